@@ -0,0 +1,62 @@
+/* eslint-disable no-console */
+import { IgApiClient } from 'instagram-private-api';
+import { IgApiClientMQTT, MQTToTBroker, MQTToTReplay, readRecording, withFbnsAndRealtime } from '../src';
+
+const { RECORDING = `${__dirname}/recordings/direct-session.jsonl`, BROKER_PORT } = process.env;
+
+(async () => {
+   const records = await readRecording(RECORDING);
+
+   // the broker answers send_message, iris subscriptions and the FBNS registration by itself,
+   // recorded responses to requests it already answered are ignored by the clients
+   const broker = new MQTToTBroker({ port: Number(BROKER_PORT ?? 0) });
+   await broker.listen();
+   console.log(`Broker listening on ${broker.host}:${broker.port}`);
+
+   // every client gets the recorded session of its kind (realtime or fbns)
+   broker.on('connect', session =>
+      new MQTToTReplay(records, { speed: 1 })
+         .play(session)
+         .then(({ sent, matched }) =>
+            console.log(`Replayed ${sent} messages to ${session.kind}, ${matched.length} matched`),
+         )
+         .catch(e => console.error(`Replay to ${session.kind} failed: ${e.message}`)),
+   );
+   broker.on('publish', (session, message) =>
+      console.log(`${session.kind} published on ${message.path ?? message.topic}: ${message.payload.toString()}`),
+   );
+
+   // with BROKER_PORT set, the broker keeps running for clients in other processes
+   if (BROKER_PORT) return;
+
+   // otherwise connect a client in this process, it needs a (fake) session, nothing is sent to Instagram
+   const ig: IgApiClientMQTT = withFbnsAndRealtime(new IgApiClient());
+   ig.state.generateDevice('offline');
+   await ig.state.cookieJar.setCookie('ds_user_id=1000000001; Domain=.instagram.com', 'https://i.instagram.com');
+   await ig.state.cookieJar.setCookie('sessionid=offline; Domain=.instagram.com', 'https://i.instagram.com');
+   // FbnsClient registers the push token over HTTP
+   ig.request.send = async () => ({ body: { status: 'ok' } } as any);
+
+   ig.realtime.on('message', async ({ message }) => {
+      console.log(`message: ${message.text}`);
+      if (message.text === '.ping' && message.thread_id) {
+         const ack = await ig.realtime.direct?.sendText({ threadId: message.thread_id, text: '🏓 Pong!' });
+         console.log(`acknowledged as ${ack?.itemId}`);
+      }
+   });
+   ig.realtime.on('direct', data => console.log('direct', data));
+   ig.fbns.on('push', push => console.log('push', push.collapseKey, push.message));
+
+   await ig.realtime.connect({
+      broker: broker.connectOptions,
+      irisData: { seq_id: 100, snapshot_at_ms: 1700000000000 },
+      autoReconnect: false,
+   });
+   await ig.fbns.connect({ broker: broker.connectOptions, autoReconnect: false });
+
+   setTimeout(async () => {
+      await ig.realtime.disconnect();
+      await ig.fbns.disconnect();
+      await broker.close();
+   }, 8000);
+})();
@@ -1,6 +1,8 @@
 export const config = {
   instagram: {
     username: process.env.IG_USERNAME || '',
+    // Only needed when there is no valid saved session
+    password: process.env.IG_PASSWORD || '',
     // Auto-mark messages as seen (be careful - might seem bot-like)
     markAsSeen: process.env.IG_MARK_AS_SEEN !== 'false',
     // Auto-react to likes with hearts
@@ -9,16 +11,144 @@ export const config = {
     respondToUnknownCommands: process.env.IG_RESPOND_UNKNOWN !== 'false'
   },
   
+  session: {
+    // mongo, file or memory (lost on restart) - by default mongo when MongoDB is enabled, otherwise file
+    storage: process.env.SESSION_STORAGE || '',
+    // Encrypts the saved state with AES-256-GCM, required for the mongo and file storage
+    secret: process.env.SESSION_SECRET || '',
+    // Saves the state readable when there is no secret, instead of refusing to start
+    allowPlaintext: process.env.SESSION_ALLOW_PLAINTEXT === 'true',
+    // Earlier sessions kept to fall back to when the latest is unusable
+    keepVersions: parseInt(process.env.SESSION_KEEP_VERSIONS) || 5,
+    // exportState() of the client (device, cookies, FBNS auth) for the file storage
+    stateFile: process.env.SESSION_STATE_FILE || './session/state.json',
+    // Cookies uploaded for older versions, imported once
+    legacyCookiesFile: './session/cookies.json',
+    // How long a login waits for a two-factor or checkpoint code
+    codeTimeoutMs: (parseInt(process.env.SESSION_CODE_TIMEOUT_MINUTES) || 10) * 60000,
+    // Minimum time between automatic logins after login_required
+    reauthIntervalMs: (parseInt(process.env.SESSION_REAUTH_INTERVAL_MINUTES) || 15) * 60000
+  },
+  
   telegram: {
     enabled: process.env.TG_ENABLED === 'true',
     botToken: process.env.TG_BOT_TOKEN || '',
-    chatId: process.env.TG_CHAT_ID || ''
+    // Forum-enabled supergroup - every Instagram thread gets its own topic
+    chatId: process.env.TG_CHAT_ID || '',
+    // Telegram user ids allowed to answer the bot's questions, e.g. login codes
+    adminIds: (process.env.TG_ADMIN_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    // Override to point the bridge at a self-hosted or fake Bot API server
+    apiUrl: process.env.TG_API_URL || 'https://api.telegram.org',
+    // Long polling timeout for getUpdates, in seconds
+    pollTimeout: parseInt(process.env.TG_POLL_TIMEOUT) || 30
+  },
+  
+  commands: {
+    // Every listed prefix starts a command, the first one is shown in help texts
+    prefixes: (process.env.COMMAND_PREFIXES || '.').split(',').map(p => p.trim()).filter(Boolean),
+    // Also accept "@botusername command"
+    mentionPrefix: process.env.COMMAND_MENTION_PREFIX !== 'false',
+    // Whether context.reply() quotes the command message: never, groups or always
+    quoteReplies: process.env.COMMAND_QUOTE_REPLIES || 'groups'
   },
   
   admin: {
+    // Instagram user pks with the owner role - roles are keyed by pk since usernames can change
+    ownerIds: (process.env.OWNER_IDS || '').split(',').map(id => id.trim()).filter(Boolean),
+    // Legacy: usernames made global admins by pk at startup
     users: (process.env.ADMIN_USERS || '').split(',').map(u => u.trim().toLowerCase()).filter(Boolean)
   },
   
+  rateLimit: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== 'false',
+    // Admins skip command limits unless disabled
+    adminBypass: process.env.RATE_LIMIT_ADMIN_BYPASS !== 'false',
+    // Commands per user across all commands
+    user: { max: parseInt(process.env.RATE_LIMIT_USER_MAX) || 10, windowMs: 60000 },
+    // Default per-user limit for a single command (override with `rateLimit` in getCommands())
+    command: { max: parseInt(process.env.RATE_LIMIT_COMMAND_MAX) || 5, windowMs: 60000 },
+    // Commands per thread, protects group chats from being flooded
+    thread: { max: parseInt(process.env.RATE_LIMIT_THREAD_MAX) || 20, windowMs: 60000 },
+    // Outgoing messages for the whole account - keeps the bot from getting flagged
+    send: { max: parseInt(process.env.RATE_LIMIT_SEND_MAX) || 30, windowMs: 60000 },
+    // Unknown command, missing role and "please wait" replies per user - a flood gets one answer
+    notice: { max: 1, windowMs: (parseInt(process.env.RATE_LIMIT_NOTICE_WINDOW_SECONDS) || 60) * 1000 },
+    // Store windows in MongoDB so they survive restarts
+    persist: process.env.RATE_LIMIT_PERSIST === 'true'
+  },
+  
+  realtime: {
+    // Latest iris seq_id, used when MongoDB is disabled
+    irisStateFile: process.env.IRIS_STATE_FILE || './session/iris-state.json',
+    // Older state is dropped in favour of a fresh inbox snapshot
+    irisMaxAgeMs: (parseInt(process.env.IRIS_MAX_AGE_HOURS) || 12) * 3600000,
+    // Held on every connection: names from SUBSCRIPTIONS, "name:id" for ones that need a target
+    subscriptions: (process.env.REALTIME_SUBSCRIPTIONS || 'presence,typing,directStatus').split(',').map(s => s.trim()).filter(Boolean)
+  },
+  
+  polling: {
+    // Starting interval of fallback polling, adapted to inbox activity
+    intervalMs: (parseInt(process.env.POLL_INTERVAL_SECONDS) || 45) * 1000,
+    minIntervalMs: (parseInt(process.env.POLL_MIN_INTERVAL_SECONDS) || 20) * 1000,
+    maxIntervalMs: (parseInt(process.env.POLL_MAX_INTERVAL_SECONDS) || 180) * 1000,
+    // Upper bound of the backoff after 429/403 responses
+    maxBackoffMs: (parseInt(process.env.POLL_MAX_BACKOFF_SECONDS) || 900) * 1000,
+    // Random +/- share of every interval
+    jitter: 0.2,
+    // How often to try switching back to realtime
+    probeIntervalMs: (parseInt(process.env.POLL_PROBE_MINUTES) || 10) * 60000,
+    // Inbox and thread pages read per poll
+    maxPages: 3
+  },
+  
+  delivery: {
+    // Recently handled item ids kept for deduplication, older items are covered by per-thread cursors
+    seenCacheSize: parseInt(process.env.DEDUP_CACHE_SIZE) || 5000
+  },
+  
+  outbound: {
+    // Pending actions, used when MongoDB is disabled
+    queueFile: process.env.OUTBOUND_QUEUE_FILE || './session/outbound-queue.json',
+    // Photos, videos and voice notes waiting to be uploaded
+    mediaDir: process.env.OUTBOUND_MEDIA_DIR || './session/media',
+    maxAttempts: parseInt(process.env.OUTBOUND_MAX_ATTEMPTS) || 6,
+    retryBaseMs: 2000,
+    retryMaxMs: 120000,
+    // Replies older than this are dropped instead of sent late
+    maxAgeMs: (parseInt(process.env.OUTBOUND_MAX_AGE_MINUTES) || 30) * 60000,
+    // Gap between messages of a thread, plus typing time per character
+    pacing: process.env.OUTBOUND_PACING === 'false' ? null : {
+      minGapMs: 800,
+      perCharMs: 30,
+      maxTypingMs: 4000
+    }
+  },
+  
+  fbns: {
+    // Push notifications as a second event source, also wakes up fallback polling
+    enabled: process.env.FBNS_ENABLED === 'true'
+  },
+  
+  presence: {
+    // Typing indicators without their own ttl end after this
+    typingTtlMs: (parseInt(process.env.PRESENCE_TYPING_TTL_SECONDS) || 10) * 1000,
+    // Online state from presence events older than this counts as unknown
+    activeTtlMs: (parseInt(process.env.PRESENCE_ACTIVE_TTL_MINUTES) || 10) * 60000
+  },
+  
+  live: {
+    // Where highlights of watched broadcasts go: instagram, telegram or both
+    forward: process.env.LIVE_FORWARD || 'instagram',
+    // Comments containing one of these are reported instead of forwarded
+    moderationKeywords: (process.env.LIVE_MODERATION_KEYWORDS || '').split(',').map(k => k.trim()).filter(Boolean),
+    // report, or block to also block the author
+    moderationAction: process.env.LIVE_MODERATION_ACTION || 'report',
+    // Comments forwarded besides the ones mentioning the bot
+    highlightKeywords: (process.env.LIVE_HIGHLIGHT_KEYWORDS || '').split(',').map(k => k.trim()).filter(Boolean),
+    forwardAllComments: process.env.LIVE_FORWARD_ALL_COMMENTS === 'true',
+    maxHighlightsPerMinute: parseInt(process.env.LIVE_MAX_HIGHLIGHTS_PER_MINUTE) || 10
+  },
+  
   app: {
     debug: process.env.DEBUG === 'true',
     logLevel: process.env.LOG_LEVEL || 'info'
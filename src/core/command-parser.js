@@ -0,0 +1,304 @@
+// Parses command arguments against the `args`/`flags` schema of a command definition:
+//
+//   typing: {
+//     args: [{ name: 'seconds', type: 'int', optional: true, default: 3, min: 1, max: 10 }],
+//     flags: { silent: { type: 'boolean', alias: 's' } },
+//     handler
+//   }
+//
+// Supported types: string, int, number, duration (→ ms), mention (→ username), emoji, rest, boolean (flags only)
+
+export class ArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArgumentError';
+  }
+}
+
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const EMOJI_REGEX = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|\u200d|\ufe0f)+$/u;
+const MENTION_REGEX = /^@?([A-Za-z0-9._]{1,30})$/;
+
+const typeParsers = {
+  string(value, spec) {
+    if (spec.choices && !spec.choices.includes(value.toLowerCase())) {
+      throw new ArgumentError(`${spec.name} must be one of: ${spec.choices.join(', ')}`);
+    }
+    return spec.choices ? value.toLowerCase() : value;
+  },
+
+  int(value, spec) {
+    if (!/^[-+]?\d+$/.test(value)) {
+      throw new ArgumentError(`${spec.name} must be a whole number`);
+    }
+    return checkRange(parseInt(value, 10), spec);
+  },
+
+  number(value, spec) {
+    const number = Number(value);
+    if (value.trim() === '' || !Number.isFinite(number)) {
+      throw new ArgumentError(`${spec.name} must be a number`);
+    }
+    return checkRange(number, spec);
+  },
+
+  duration(value, spec) {
+    return checkRange(parseDuration(value, spec), spec);
+  },
+
+  mention(value, spec) {
+    const match = value.match(MENTION_REGEX);
+    if (!match) {
+      throw new ArgumentError(`${spec.name} must be a username like @someone`);
+    }
+    return match[1];
+  },
+
+  emoji(value, spec) {
+    if (!EMOJI_REGEX.test(value)) {
+      throw new ArgumentError(`${spec.name} must be an emoji`);
+    }
+    return value;
+  },
+
+  boolean(value, spec) {
+    const normalized = String(value).toLowerCase();
+    if (['true', 'yes', 'on', '1'].includes(normalized)) return true;
+    if (['false', 'no', 'off', '0'].includes(normalized)) return false;
+    throw new ArgumentError(`${spec.name} must be on or off`);
+  }
+};
+
+function checkRange(value, spec) {
+  if (spec.min !== undefined && value < spec.min) {
+    throw new ArgumentError(`${spec.name} must be at least ${spec.min}`);
+  }
+  if (spec.max !== undefined && value > spec.max) {
+    throw new ArgumentError(`${spec.name} must be at most ${spec.max}`);
+  }
+  return value;
+}
+
+/**
+ * Parses durations like `90`, `30s`, `5m` or `1h30m` into milliseconds.
+ * Bare numbers use `spec.unit` (seconds by default).
+ */
+export function parseDuration(value, spec = { name: 'duration' }) {
+  const text = String(value).trim().toLowerCase();
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    return Math.round(parseFloat(text) * DURATION_UNITS[spec.unit || 's']);
+  }
+
+  const partRegex = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w)/g;
+  let total = 0;
+  let consumed = 0;
+  let match;
+
+  while ((match = partRegex.exec(text)) !== null) {
+    if (match.index !== consumed) break;
+    total += parseFloat(match[1]) * DURATION_UNITS[match[2]];
+    consumed += match[0].length;
+  }
+
+  if (consumed === 0 || consumed !== text.length) {
+    throw new ArgumentError(`${spec.name} must be a duration like 30s, 5m or 1h30m`);
+  }
+  return Math.round(total);
+}
+
+/**
+ * Splits on whitespace while keeping "quoted strings" and 'single quotes' together.
+ * Each token keeps its start offset so `rest` arguments can return the raw text.
+ */
+export function tokenize(text) {
+  const tokens = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quote) {
+      if (char === '\\' && (text[i + 1] === quote || text[i + 1] === '\\')) {
+        current.value += text[++i];
+      } else if (char === quote) {
+        quote = null;
+      } else {
+        current.value += char;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (current) tokens.push(current);
+      current = null;
+      continue;
+    }
+
+    if (!current) current = { value: '', start: i, quoted: false };
+
+    if ((char === '"' || char === "'") && current.value === '') {
+      quote = char;
+      current.quoted = true;
+    } else {
+      current.value += char;
+    }
+  }
+
+  if (quote) {
+    throw new ArgumentError(`Missing closing ${quote}`);
+  }
+  if (current) tokens.push(current);
+
+  return tokens;
+}
+
+function findFlag(flags, name) {
+  if (flags[name]) return [name, flags[name]];
+  return Object.entries(flags).find(([, spec]) => spec.alias === name) || [];
+}
+
+/**
+ * Validates and coerces the argument text of a command.
+ * Commands without a schema only get the tokenized positional list.
+ * @returns {{ tokens: string[], args: Record<string, any>, flags: Record<string, any> }}
+ */
+export function parseArguments(text, command = {}) {
+  const schema = command.args || [];
+  const flagSpecs = command.flags || {};
+  const tokens = tokenize(text);
+  const positional = [];
+  const flags = {};
+
+  for (const [name, spec] of Object.entries(flagSpecs)) {
+    flags[name] = spec.default ?? ((spec.type || 'boolean') === 'boolean' ? false : undefined);
+  }
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token.quoted || !token.value.startsWith('-') || /^-\d/.test(token.value) || Object.keys(flagSpecs).length === 0) {
+      positional.push(token);
+      continue;
+    }
+
+    if (token.value === '--') {
+      positional.push(...tokens.slice(i + 1));
+      break;
+    }
+
+    const raw = token.value.replace(/^--?/, '');
+    const [rawName, inlineValue] = raw.split(/=(.*)/s);
+    const negated = rawName.startsWith('no-') && !findFlag(flagSpecs, rawName)[0];
+    const [name, spec] = findFlag(flagSpecs, negated ? rawName.slice(3) : rawName);
+
+    if (!name) {
+      throw new ArgumentError(`Unknown flag: ${token.value}`);
+    }
+
+    const type = spec.type || 'boolean';
+    const flagSpec = { ...spec, name: `--${name}` };
+
+    if (type === 'boolean') {
+      flags[name] = inlineValue !== undefined ? typeParsers.boolean(inlineValue, flagSpec) : !negated;
+      continue;
+    }
+
+    const value = inlineValue ?? tokens[++i]?.value;
+    if (value === undefined) {
+      throw new ArgumentError(`--${name} needs a value`);
+    }
+    flags[name] = typeParsers[type](value, flagSpec);
+  }
+
+  const args = {};
+
+  for (let i = 0; i < schema.length; i++) {
+    const spec = schema[i];
+    const type = spec.type || 'string';
+
+    if (type === 'rest') {
+      const remaining = positional.slice(i);
+      const value = remaining.length > 0
+        ? (remaining.some(token => token.quoted) || Object.keys(flagSpecs).length > 0
+          ? remaining.map(token => token.value).join(' ')
+          : text.slice(remaining[0].start).trim())
+        : '';
+
+      if (!value && !spec.optional) {
+        throw new ArgumentError(`Missing ${spec.name}`);
+      }
+      args[spec.name] = value || spec.default || '';
+      positional.length = i;
+      break;
+    }
+
+    const token = positional[i];
+    if (!token) {
+      if (!spec.optional) {
+        throw new ArgumentError(`Missing ${spec.name}`);
+      }
+      args[spec.name] = spec.default;
+      continue;
+    }
+
+    if (!typeParsers[type]) {
+      throw new Error(`Unknown argument type '${type}' for ${spec.name}`);
+    }
+    args[spec.name] = typeParsers[type](token.value, spec);
+  }
+
+  if (schema.length > 0 && positional.length > schema.length) {
+    throw new ArgumentError('Too many arguments');
+  }
+
+  return { tokens: positional.map(token => token.value), args, flags };
+}
+
+function describeArgument(spec) {
+  const type = spec.type || 'string';
+  const label = type === 'rest' ? `${spec.name}...` : spec.choices ? spec.choices.join('|') : spec.name;
+  return spec.optional ? `[${label}]` : `<${label}>`;
+}
+
+/**
+ * Builds the usage line for a command from its schema.
+ * Falls back to the hand-written `usage` when no schema is declared.
+ */
+export function buildUsage(name, command, prefix = '.') {
+  if (!command.args && !command.flags) {
+    return command.usage || `${prefix}${name}`;
+  }
+
+  const parts = [`${prefix}${name}`];
+  for (const spec of command.args || []) {
+    parts.push(describeArgument(spec));
+  }
+  for (const [flagName, spec] of Object.entries(command.flags || {})) {
+    const type = spec.type || 'boolean';
+    parts.push(type === 'boolean' ? `[--${flagName}]` : `[--${flagName} <${type}>]`);
+  }
+  return parts.join(' ');
+}
+
+/**
+ * One line per argument and flag, used by the help module.
+ */
+export function describeSchema(command) {
+  const lines = [];
+
+  for (const spec of command.args || []) {
+    const details = [spec.type || 'string'];
+    if (spec.min !== undefined || spec.max !== undefined) details.push(`${spec.min ?? '…'}-${spec.max ?? '…'}`);
+    if (spec.default !== undefined) details.push(`default ${spec.default}`);
+    lines.push(`• ${spec.name} (${details.join(', ')})${spec.description ? ` - ${spec.description}` : ''}`);
+  }
+
+  for (const [flagName, spec] of Object.entries(command.flags || {})) {
+    const alias = spec.alias ? `, -${spec.alias}` : '';
+    lines.push(`• --${flagName}${alias} (${spec.type || 'boolean'})${spec.description ? ` - ${spec.description}` : ''}`);
+  }
+
+  return lines;
+}
@@ -0,0 +1,145 @@
+import { logger } from '../utils/utils.js';
+
+// Collapse keys of the pushes the bot turns into events, everything else is 'other'
+const PUSH_KINDS = {
+  new_follower: 'follower',
+  follower_follow: 'follower',
+  comment: 'comment',
+  comment_on_tag: 'comment',
+  reply_to_comment_with_threading: 'comment',
+  mentioned_comment: 'mention',
+  usertag: 'mention',
+  like: 'like',
+  like_on_tag: 'like',
+  comment_like: 'like',
+  direct_v2_message: 'direct'
+};
+
+/**
+ * Optional FBNS (push notification) connection next to realtime.
+ *
+ * Pushes become 'push' updates for modules. Direct pushes also tell the bot that
+ * the inbox changed, which wakes up fallback polling. The device auth is part of
+ * `exportState()`, so it is saved (encrypted) and restored with the session and
+ * restarts reuse the registered device instead of registering a new one.
+ */
+export class FbnsManager {
+  /**
+   * @param {import('instagram_mqtt').IgApiClientExt} ig - has `fbns` when built with withFbnsAndRealtime
+   * @param {(update: object) => Promise<void>} onPush
+   * @param {() => Promise<void>} saveSession - saves the session, e.g. SessionManager.save()
+   */
+  constructor(ig, onPush = async () => {}, saveSession = async () => {}) {
+    this.ig = ig;
+    this.onPush = onPush;
+    this.saveSession = saveSession;
+    this.isConnected = false;
+    this.listening = false;
+    this.recentPushIds = new Set();
+  }
+
+  get enabled() {
+    return !!this.ig.fbns;
+  }
+
+  // The session restored the device auth, if there was one
+  async initialize() {
+    if (!this.enabled) return;
+    logger.info(this.ig.fbns.auth?.deviceId
+      ? '📲 FBNS device auth restored with the session'
+      : '📲 No FBNS device auth in the session, a new device is registered');
+  }
+
+  /**
+   * Connects to FBNS. Push is a secondary source, so failures are logged and not thrown.
+   * @returns {Promise<boolean>} whether the connection is up
+   */
+  async connect() {
+    if (!this.enabled) return false;
+    const { fbns } = this.ig;
+
+    if (!this.listening) {
+      this.listening = true;
+      // A new device auth goes into the session, like everything exportState() holds
+      fbns.on('auth', () => this.save());
+      fbns.on('push', notification => this.handlePush(notification));
+      fbns.on('error', error => logger.warn('FBNS error:', error.message));
+      fbns.on('warning', warning => logger.debug('FBNS warning:', warning.message));
+      fbns.on('disconnect', () => {
+        this.isConnected = false;
+        logger.warn('📲 FBNS disconnected');
+      });
+    }
+
+    try {
+      await fbns.connect({ autoReconnect: true });
+      this.isConnected = true;
+      logger.info('📲 FBNS push notifications connected');
+      return true;
+    } catch (error) {
+      logger.warn('FBNS push notifications unavailable:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * @param {import('instagram_mqtt').FbnsNotificationUnknown} notification
+   */
+  async handlePush(notification) {
+    // Pushes are redelivered after reconnects
+    if (notification.pushId) {
+      if (this.recentPushIds.has(notification.pushId)) return;
+      this.recentPushIds.add(notification.pushId);
+      if (this.recentPushIds.size > 200) {
+        this.recentPushIds.delete(this.recentPushIds.values().next().value);
+      }
+    }
+
+    const update = this.toUpdate(notification);
+    logger.debug(`📲 Push ${notification.collapseKey} (${update.kind}): ${notification.message}`);
+
+    try {
+      await this.onPush(update);
+    } catch (error) {
+      logger.error('Failed to handle push notification:', error.message);
+    }
+  }
+
+  toUpdate(notification) {
+    const { collapseKey = null, message = '', actionParams = {} } = notification;
+    let kind = PUSH_KINDS[collapseKey] || 'other';
+    // Story replies are direct messages, told apart by their category or text
+    if (kind === 'direct' && (/reel|story/i.test(notification.pushCategory || '') || /\bstory\b/i.test(message))) {
+      kind = 'storyReply';
+    }
+
+    return {
+      type: 'push',
+      kind,
+      collapseKey,
+      userId: notification.sourceUserId || null,
+      // Push texts start with the acting user, e.g. "jane started following you."
+      username: message.match(/^([\w.]+)\b/)?.[1] || null,
+      text: message,
+      mediaId: kind !== 'direct' && kind !== 'storyReply' ? actionParams.id || null : null,
+      threadId: kind === 'direct' || kind === 'storyReply' ? actionParams.id || null : null,
+      badgeCount: notification.badgeCount || null,
+      timestamp: new Date(),
+      notification
+    };
+  }
+
+  async save() {
+    try {
+      await this.saveSession();
+    } catch (error) {
+      logger.error('Failed to save the FBNS device auth:', error.message);
+    }
+  }
+
+  async disconnect() {
+    if (!this.enabled || !this.isConnected) return;
+    this.isConnected = false;
+    await this.ig.fbns.disconnect();
+  }
+}
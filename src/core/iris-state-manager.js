@@ -0,0 +1,110 @@
+import path from 'path';
+import { logger, fileUtils } from '../utils/utils.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+const STATE_ID = 'iris';
+
+/**
+ * Keeps the latest iris sequence id so a (re)connect can resume the
+ * MessageSync stream where it stopped instead of starting from a fresh inbox
+ * snapshot. Stored in MongoDB when enabled, otherwise in a JSON file.
+ */
+export class IrisStateManager {
+  constructor(options = config.realtime) {
+    this.filePath = options?.irisStateFile || './session/iris-state.json';
+    this.maxAgeMs = options?.irisMaxAgeMs ?? 12 * 3600000;
+    this.saveDelayMs = 5000;
+    this.state = null; // { seqId, snapshotAtMs, updatedAt }
+    this.saveTimer = null;
+    this.db = null;
+  }
+
+  async initialize() {
+    if (config.database?.enabled) {
+      try {
+        this.db = await connectDb();
+        this.state = await this.db.collection('iris_state').findOne({ _id: STATE_ID });
+      } catch (error) {
+        logger.error('Failed to load iris state from database:', error.message);
+        this.db = null;
+      }
+    }
+
+    if (!this.db && (await fileUtils.pathExists(this.filePath))) {
+      this.state = await fileUtils.readJson(this.filePath);
+    }
+
+    if (this.state?.seqId) {
+      logger.info(`🧭 Restored iris seq_id ${this.state.seqId}`);
+    }
+  }
+
+  /**
+   * Subscription data to resume from, or null when there is nothing usable
+   * and a fresh inbox snapshot is needed.
+   */
+  getSubscription() {
+    if (!this.state?.seqId) return null;
+    if (Date.now() - new Date(this.state.updatedAt).getTime() > this.maxAgeMs) {
+      logger.info('🧭 Stored iris seq_id is too old, starting from a fresh snapshot');
+      return null;
+    }
+    return { seq_id: this.state.seqId, snapshot_at_ms: this.state.snapshotAtMs };
+  }
+
+  // Starts over from an inbox snapshot
+  async reset(seqId, snapshotAtMs) {
+    this.state = { seqId, snapshotAtMs, updatedAt: new Date() };
+    await this.save();
+  }
+
+  /**
+   * Records the seq_id of a MessageSync event.
+   * Several operations of one event share a seq_id, so only a jump of more than one is a gap.
+   * @returns {null | { from: number, to: number }} the missed range
+   */
+  observe(seqId) {
+    if (typeof seqId !== 'number' || !this.state) return null;
+
+    const last = this.state.seqId;
+    if (seqId <= last) return null;
+
+    this.state = { ...this.state, seqId, updatedAt: new Date() };
+    this.scheduleSave();
+
+    return last && seqId > last + 1 ? { from: last + 1, to: seqId - 1 } : null;
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelayMs);
+  }
+
+  async save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    if (!this.state) return;
+
+    if (this.db) {
+      try {
+        await this.db.collection('iris_state').updateOne(
+          { _id: STATE_ID },
+          { $set: this.state },
+          { upsert: true }
+        );
+      } catch (error) {
+        logger.error('Failed to save iris state:', error.message);
+      }
+      return;
+    }
+
+    await fileUtils.ensureDir(path.dirname(this.filePath));
+    await fileUtils.writeJson(this.filePath, this.state);
+  }
+}
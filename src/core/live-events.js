@@ -0,0 +1,139 @@
+/**
+ * Turns Instagram Live payloads from the GraphQL subscriptions (emitted by the
+ * realtime client under their QueryIDs name) and Skywalker live notifications
+ * into one event shape.
+ *
+ * @typedef {object} LiveUser
+ * @property {string | null} id
+ * @property {string | null} username
+ *
+ * @typedef {object} LiveEvent
+ * @property {'comment' | 'wave' | 'question' | 'questionStatus' | 'typing' | 'broadcast'} kind
+ * @property {string | null} broadcastId - null until matched to a watched broadcast
+ * @property {string | null} subscriptionId - client_subscription_id of the GraphQL subscription
+ * @property {string | null} id - comment, question or broadcast id
+ * @property {LiveUser | null} user - author, waver or broadcaster
+ * @property {string} text - comment or question text, empty for other kinds
+ * @property {boolean} [enabled] - questionStatus only
+ * @property {number} [count] - typing only, viewers typing a comment
+ * @property {Date} timestamp
+ * @property {object} raw
+ */
+
+function parsePayload(payload) {
+  if (typeof payload !== 'string') return payload || {};
+  try {
+    return JSON.parse(payload);
+  } catch {
+    return {};
+  }
+}
+
+// Payloads wrap the event in a single `*_event` key next to nothing else of interest
+function unwrap(payload) {
+  const key = Object.keys(payload).find(name => name.endsWith('_event') && payload[name] && typeof payload[name] === 'object');
+  return key ? payload[key] : payload;
+}
+
+function liveUser(user) {
+  if (!user) return null;
+  const id = user.pk ?? user.pk_id ?? user.id ?? null;
+  return { id: id === null ? null : String(id), username: user.username || null };
+}
+
+// Instagram mixes seconds, milliseconds and microseconds
+function toDate(value) {
+  const number = Number(value);
+  if (!number) return new Date();
+  if (number > 1e14) return new Date(number / 1000);
+  if (number > 1e11) return new Date(number);
+  return new Date(number * 1000);
+}
+
+const NORMALIZERS = {
+  liveRealtimeComments: event => {
+    const comment = event.comment || event;
+    return {
+      kind: 'comment',
+      id: comment.pk ?? comment.id ?? null,
+      user: liveUser(comment.user),
+      text: comment.text || '',
+      timestamp: toDate(comment.created_at)
+    };
+  },
+
+  liveWave: event => ({
+    kind: 'wave',
+    user: liveUser(event.sender || event.user || (event.sender_id && { pk: event.sender_id }))
+  }),
+
+  interactivityActivateQuestion: event => {
+    const question = event.question || event.activated_question || event;
+    return {
+      kind: 'question',
+      id: question.question_id ?? question.id ?? question.pk ?? null,
+      user: liveUser(question.user || question.source),
+      text: question.text || question.question_body || ''
+    };
+  },
+
+  interactivityRealtimeQuestionSubmissionsStatus: event => ({
+    kind: 'questionStatus',
+    enabled: /^(true|1|enabled|on)$/i.test(String(event.submission_status ?? event.status ?? event.enabled))
+  }),
+
+  liveTypingIndicator: event => ({
+    kind: 'typing',
+    count: Number(event.count ?? event.typing_count ?? 1)
+  })
+};
+
+// Realtime client events the normalizer understands
+export const LIVE_EVENT_SOURCES = Object.keys(NORMALIZERS);
+
+/**
+ * @param {string} source - realtime client event name, one of LIVE_EVENT_SOURCES
+ * @returns {LiveEvent | null}
+ */
+export function normalizeLiveEvent(source, payload) {
+  const normalize = NORMALIZERS[source];
+  if (!normalize) return null;
+
+  const raw = parsePayload(payload);
+  const event = unwrap(raw);
+  const normalized = normalize(event);
+  return {
+    broadcastId: event.broadcast_id ? String(event.broadcast_id) : null,
+    subscriptionId: event.client_subscription_id || raw.client_subscription_id || null,
+    id: null,
+    user: null,
+    text: '',
+    timestamp: new Date(),
+    raw,
+    ...normalized,
+    ...(normalized.id != null ? { id: String(normalized.id) } : {})
+  };
+}
+
+/**
+ * Skywalker `ig/live_notification_subscribe` payload, sent when a followed account goes live.
+ * @returns {LiveEvent | null}
+ */
+export function normalizeLiveNotification(payload) {
+  const raw = parsePayload(payload);
+  const event = unwrap(raw);
+  const broadcast = event.broadcast || event;
+  const broadcastId = broadcast.broadcast_id ?? broadcast.id;
+  if (!broadcastId) return null;
+
+  return {
+    kind: 'broadcast',
+    broadcastId: String(broadcastId),
+    subscriptionId: null,
+    id: String(broadcastId),
+    user: liveUser(broadcast.broadcast_owner || broadcast.user),
+    text: broadcast.broadcast_message || broadcast.message || '',
+    timestamp: toDate(broadcast.published_time || broadcast.timestamp),
+    raw
+  };
+}
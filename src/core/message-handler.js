@@ -1,5 +1,6 @@
 import { logger } from '../utils/utils.js';
 import { config } from '../config.js';
+import { parseArguments, ArgumentError } from './command-parser.js';
 
 const DEBUG = config.app?.debug || true;
 const debugLog = (...args) => DEBUG && console.log('[DEBUG]', ...args);
@@ -16,8 +17,9 @@ export class MessageHandler {
       debugLog(`[MessageHandler] Processing realtime message: Type=${message.type}, Text="${message.text}", Sender=@${message.senderUsername}`);
 
       // Mark message as seen (optional - be careful not to seem too bot-like)
+      // Not awaited, the outbound queue keeps it ahead of the reply anyway
       if (config.instagram?.markAsSeen !== false) {
-        await this.instagramBot.markAsSeen(message.threadId, message.id);
+        this.instagramBot.markAsSeen(message.threadId, message.id);
       }
 
       // Process through modules for stats/logging/pre-processing
@@ -25,14 +27,19 @@ export class MessageHandler {
       debugLog(`[MessageHandler] Message after module processing: Text="${message.text}"`);
 
       // Handle commands INSTANTLY
-      if (message.text?.startsWith('.')) {
+      const commandMatch = this.instagramBot.prefixes.match(
+        message.text,
+        message.threadId,
+        config.instagram?.username || this.instagramBot.ig?.state?.cookieUsername
+      );
+      if (commandMatch) {
         debugLog(`[MessageHandler] Command detected: ${message.text}`);
         
         // Indicate typing for better UX
         await this.instagramBot.indicateTyping(message.threadId, true);
         
         try {
-          await this.handleCommand(message);
+          await this.handleCommand(message, commandMatch);
         } finally {
           // Stop typing indicator
           await this.instagramBot.indicateTyping(message.threadId, false);
@@ -85,11 +92,11 @@ export class MessageHandler {
     }
   }
 
-  async handleCommand(message) {
-    const commandText = message.text.slice(1).trim();
-    const [commandName, ...args] = commandText.split(' ');
+  async handleCommand(message, { prefix, body: commandText }) {
+    const commandName = commandText.split(/\s+/, 1)[0];
+    const argsText = commandText.slice(commandName.length);
     
-    debugLog(`[MessageHandler:handleCommand] Command: "${commandName}", Args: "${args.join(' ')}"`);
+    debugLog(`[MessageHandler:handleCommand] Command: "${commandName}", Args: "${argsText.trim()}"`);
 
     const command = this.moduleManager.getCommand(commandName);
 
@@ -98,65 +105,128 @@ export class MessageHandler {
       
       // Send helpful message for unknown commands
       if (config.instagram?.respondToUnknownCommands !== false) {
-        await this.instagramBot.sendMessage(
-          message.threadId, 
-          `❌ Unknown command: .${commandName}\nType .help for available commands`
+        await this.sendNotice(
+          message,
+          `❌ Unknown command: ${prefix}${commandName}\nType ${prefix}help for available commands`
         );
       }
       return;
     }
 
-    debugLog(`[MessageHandler:handleCommand] Executing command: ${command.moduleName}.${commandName}`);
+    debugLog(`[MessageHandler:handleCommand] Executing command: ${command.moduleName}.${command.name}`);
 
-    // Admin check
-    if (command.adminOnly && !this.isAdmin(message.senderUsername)) {
-      debugLog(`[MessageHandler:handleCommand] Access denied for @${message.senderUsername}`);
-      await this.instagramBot.sendMessage(message.threadId, '❌ Admin access required');
+    // Role check - banned users are ignored without a reply
+    const role = this.getRole(message);
+    if (role === 'banned') {
+      debugLog(`[MessageHandler:handleCommand] Ignoring banned user @${message.senderUsername}`);
+      return;
+    }
+    if (!this.instagramBot.permissions.hasRole(message.sender, message.threadId, command.role)) {
+      debugLog(`[MessageHandler:handleCommand] Access denied for @${message.senderUsername} (${role} < ${command.role})`);
+      await this.sendNotice(message, `❌ Requires ${command.role} role`);
       return;
     }
 
-    // Rate limiting check (optional)
-    if (await this.isRateLimited(message.senderUsername, commandName)) {
-      await this.instagramBot.sendMessage(message.threadId, '⏰ Please wait before using this command again');
+    // Rate limiting check
+    const rateLimit = await this.isRateLimited(message, command.name, command);
+    if (rateLimit) {
+      debugLog(`[MessageHandler:handleCommand] Rate limited (${rateLimit.scope}) @${message.senderUsername}`);
+      await this.sendNotice(
+        message,
+        `⏰ Please wait ${Math.ceil(rateLimit.retryAfterMs / 1000)}s before using ${rateLimit.scope === 'command' ? 'this command' : 'commands'} again`
+      );
+      return;
+    }
+
+    // Validate and coerce arguments against the command's schema
+    let parsed;
+    try {
+      parsed = parseArguments(argsText, command);
+    } catch (error) {
+      if (!(error instanceof ArgumentError)) throw error;
+      debugLog(`[MessageHandler:handleCommand] Invalid arguments for .${commandName}: ${error.message}`);
+      await this.sendReply(message, `❌ ${error.message}\n💡 Usage: ${command.usage}`);
       return;
     }
 
     try {
       // Log command execution
-      logger.info(`⚡ Command executed: .${commandName} by @${message.senderUsername} in thread ${message.threadId}`);
+      logger.info(`⚡ Command executed: ${prefix}${command.name} by @${message.senderUsername} in thread ${message.threadId}`);
       
       // Create enhanced context for command
       const commandContext = {
         ...message,
+        args: parsed.args,
+        flags: parsed.flags,
+        role,
         bot: this.instagramBot,
-        reply: async (text) => await this.instagramBot.sendMessage(message.threadId, text),
+        // `quote` defaults to the COMMAND_QUOTE_REPLIES setting
+        reply: async (text, { quote } = {}) => await this.sendReply(message, text, quote),
+        replyPhoto: async (source) => await this.instagramBot.sendPhoto(message.threadId, source),
+        replyVideo: async (source) => await this.instagramBot.sendVideo(message.threadId, source),
+        replyVoice: async (source) => await this.instagramBot.sendVoice(message.threadId, source),
+        replyLink: async (text, urls) => await this.instagramBot.sendLink(message.threadId, text, urls),
+        shareMedia: async (mediaId, text) => await this.instagramBot.shareMedia(message.threadId, mediaId, text),
+        shareProfile: async (user, text) => await this.instagramBot.shareProfile(
+          message.threadId,
+          await this.instagramBot.permissions.resolveUserId(String(user).replace(/^@/, '')),
+          text
+        ),
+        shareStory: async (storyId, options) => await this.instagramBot.shareStory(message.threadId, storyId, options),
         react: async (emoji = '❤️') => await this.instagramBot.sendReaction(message.threadId, message.id, emoji),
         typing: async (isTyping = true) => await this.instagramBot.indicateTyping(message.threadId, isTyping)
       };
       
       // Execute command with enhanced context
-      await command.handler(args, commandContext);
+      await command.handler(parsed.tokens, commandContext);
       debugLog(`[MessageHandler:handleCommand] Command .${commandName} executed successfully`);
       
     } catch (error) {
       logger.error(`Command ${commandName} error:`, error.message);
-      await this.instagramBot.sendMessage(
-        message.threadId, 
+      await this.sendReply(
+        message,
         `❌ Command error: ${error.message}`
       );
     }
   }
 
-  async isRateLimited(username, commandName) {
-    // Implement rate limiting logic here
-    // You might want to use Redis or in-memory cache
-    // For now, return false (no rate limiting)
-    return false;
+  async isRateLimited(message, commandName, command) {
+    if (this.bypassesRateLimits(message)) {
+      return null;
+    }
+    return await this.instagramBot.rateLimits.checkCommand(message, commandName, command);
+  }
+
+  bypassesRateLimits(message) {
+    return config.rateLimit?.adminBypass !== false && this.isAdmin(message);
+  }
+
+  // Replies to a refused command at most once per notice window, so floods aren't answered one by one
+  async sendNotice(message, text) {
+    if (!this.bypassesRateLimits(message) && !(await this.instagramBot.rateLimits.allowNotice(message))) {
+      debugLog(`[MessageHandler:sendNotice] Notice window used up, not answering @${message.senderUsername}`);
+      return;
+    }
+    await this.sendReply(message, text);
+  }
+
+  // Answers a command message, quoting it when configured
+  async sendReply(message, text, quote = this.shouldQuote(message)) {
+    return await this.instagramBot.sendMessage(message.threadId, text, { replyTo: quote ? message.id : undefined });
+  }
+
+  shouldQuote(message) {
+    const mode = config.commands?.quoteReplies;
+    return mode === 'always' || (mode === 'groups' && !!message.isGroup);
+  }
+
+  getRole(message) {
+    return this.instagramBot.permissions.getRole(message.sender, message.threadId);
   }
 
-  isAdmin(username) {
-    const isAdminUser = config.admin?.users?.includes(username.toLowerCase()) || false;
-    debugLog(`[MessageHandler:isAdmin] @${username} admin status: ${isAdminUser}`);
+  isAdmin(message) {
+    const isAdminUser = this.instagramBot.permissions.hasRole(message.sender, message.threadId, 'admin');
+    debugLog(`[MessageHandler:isAdmin] @${message.senderUsername} admin status: ${isAdminUser}`);
     return isAdminUser;
   }
 
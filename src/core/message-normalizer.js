@@ -0,0 +1,454 @@
+/**
+ * Turns a direct item, as delivered by MessageSync (realtime) or the thread feed
+ * (polling), into one shape so modules never have to look at raw payloads.
+ *
+ * @typedef {object} Attachment
+ * @property {'image' | 'video' | 'audio' | 'gif' | 'sticker'} kind
+ * @property {string | null} url - best quality url, null when Instagram withheld it (e.g. viewed disappearing media)
+ * @property {number} [width]
+ * @property {number} [height]
+ * @property {number} [duration] - seconds, for video and audio
+ * @property {string} [previewUrl] - still image of a video
+ * @property {number[]} [waveform] - voice notes only
+ * @property {'once' | 'replayable' | 'permanent'} [viewMode] - disappearing media only
+ *
+ * @typedef {object} SharedEntity
+ * @property {'post' | 'reel' | 'igtv' | 'story' | 'profile' | 'hashtag' | 'location' | 'link' | 'product' | 'live' | 'effect'} kind
+ * @property {string | null} id
+ * @property {string | null} url
+ * @property {string | null} [title]
+ * @property {string | null} [username] - owner of the shared entity
+ * @property {string | null} [caption]
+ *
+ * @typedef {object} ReplyReference
+ * @property {string} itemId
+ * @property {string | null} senderId
+ * @property {string | null} text
+ * @property {string | null} type
+ *
+ * @typedef {object} NormalizedItem
+ * @property {string} id
+ * @property {string} type - item_type as sent by Instagram
+ * @property {'message' | 'media' | 'share' | 'event'} category
+ * @property {string} text - what the sender wrote, or a short description for items without text
+ * @property {string | null} body - only what the sender wrote
+ * @property {Attachment[]} attachments
+ * @property {SharedEntity | null} share
+ * @property {ReplyReference | null} replyTo
+ * @property {string[]} mentions - usernames without the @
+ */
+
+const INSTAGRAM_URL = 'https://www.instagram.com';
+
+function bestImage(media) {
+  const candidates = media?.image_versions2?.candidates || media?.images?.candidates || [];
+  return candidates.reduce((best, candidate) => (!best || candidate.width > best.width ? candidate : best), null);
+}
+
+function bestVideo(media) {
+  const versions = media?.video_versions || [];
+  return versions.reduce((best, version) => (!best || version.width > best.width ? version : best), null);
+}
+
+// Photos, videos and carousels of a media object
+function mediaAttachments(media) {
+  if (!media) return [];
+  if (media.carousel_media?.length) {
+    return media.carousel_media.flatMap(child => mediaAttachments(child));
+  }
+
+  const image = bestImage(media);
+  const video = bestVideo(media);
+  if (video || media.media_type === 2) {
+    return [{
+      kind: 'video',
+      url: video?.url || null,
+      width: video?.width || media.original_width,
+      height: video?.height || media.original_height,
+      duration: media.video_duration,
+      previewUrl: image?.url
+    }];
+  }
+
+  return [{
+    kind: 'image',
+    url: image?.url || null,
+    width: image?.width || media.original_width,
+    height: image?.height || media.original_height
+  }];
+}
+
+function postUrl(media) {
+  return media?.code ? `${INSTAGRAM_URL}/p/${media.code}/` : null;
+}
+
+function mediaShare(kind, media, url = postUrl(media)) {
+  return {
+    kind,
+    id: media?.id ? String(media.id) : null,
+    url,
+    username: media?.user?.username || null,
+    caption: media?.caption?.text || null
+  };
+}
+
+/**
+ * Per item type: what the sender wrote, what was attached or shared, and a
+ * description for items without text. Every MessageSyncMessageTypes value is
+ * listed, types Instagram added later fall back to the `xma_` or default handling.
+ */
+const NORMALIZERS = {
+  text: item => ({ category: 'message', body: item.text }),
+
+  like: item => ({ category: 'message', description: item.like || '❤️' }),
+
+  link: item => ({
+    category: 'message',
+    body: item.link?.text,
+    share: {
+      kind: 'link',
+      id: null,
+      url: item.link?.link_context?.link_url || null,
+      title: item.link?.link_context?.link_title || null,
+      caption: item.link?.link_context?.link_summary || null
+    }
+  }),
+
+  media: item => ({
+    category: 'media',
+    attachments: mediaAttachments(item.media),
+    description: item.media?.media_type === 2 ? '🎬 [Video]' : '🖼️ [Photo]'
+  }),
+
+  raven_media: item => {
+    const visual = item.visual_media || item.raven_media || {};
+    const [attachment = { kind: 'image', url: null }] = mediaAttachments(visual.media || item.raven_media);
+    return {
+      category: 'media',
+      attachments: [{ ...attachment, viewMode: visual.view_mode || 'once' }],
+      description: attachment.kind === 'video' ? '💨 [Disappearing Video]' : '💨 [Disappearing Photo]'
+    };
+  },
+
+  voice_media: item => {
+    const audio = item.voice_media?.media?.audio || {};
+    return {
+      category: 'media',
+      attachments: [{
+        kind: 'audio',
+        url: audio.audio_src || null,
+        duration: audio.duration ? audio.duration / 1000 : undefined,
+        waveform: audio.waveform_data
+      }],
+      description: '🎵 [Voice Message]'
+    };
+  },
+
+  animated_media: item => {
+    const image = item.animated_media?.images?.fixed_height || {};
+    return {
+      category: 'media',
+      attachments: [{
+        kind: item.animated_media?.is_sticker ? 'sticker' : 'gif',
+        url: image.url || image.mp4 || null,
+        width: Number(image.width) || undefined,
+        height: Number(image.height) || undefined
+      }],
+      description: item.animated_media?.is_sticker ? '🎭 [Sticker]' : '🎭 [GIF]'
+    };
+  },
+
+  static_sticker: item => ({
+    category: 'media',
+    attachments: [{ kind: 'sticker', url: item.static_sticker?.url || bestImage(item.static_sticker)?.url || null }],
+    description: '🎭 [Sticker]'
+  }),
+
+  selfie_sticker: item => ({
+    category: 'media',
+    attachments: mediaAttachments(item.selfie_sticker?.media).map(attachment => ({ ...attachment, kind: 'sticker' })),
+    description: '🤳 [Selfie Sticker]'
+  }),
+
+  media_share: item => ({
+    category: 'share',
+    body: item.text,
+    attachments: mediaAttachments(item.media_share),
+    share: mediaShare(item.media_share?.product_type === 'clips' ? 'reel' : 'post', item.media_share),
+    description: `[Shared: ${item.media_share?.caption?.text || 'Media'}]`
+  }),
+
+  clip: item => {
+    const clip = item.clip?.clip || item.clip;
+    return {
+      category: 'share',
+      body: item.text,
+      attachments: mediaAttachments(clip),
+      share: mediaShare('reel', clip, clip?.code ? `${INSTAGRAM_URL}/reel/${clip.code}/` : null),
+      description: '🎞️ [Reel]'
+    };
+  },
+
+  felix_share: item => {
+    const video = item.felix_share?.video;
+    return {
+      category: 'share',
+      body: item.felix_share?.text || item.text,
+      attachments: mediaAttachments(video),
+      share: mediaShare('igtv', video, video?.code ? `${INSTAGRAM_URL}/tv/${video.code}/` : null),
+      description: '📺 [IGTV]'
+    };
+  },
+
+  // Replies, reactions and mentions on a story of the sender or the bot
+  reel_share: item => {
+    const share = item.reel_share || {};
+    return {
+      category: 'share',
+      body: share.text || item.text,
+      attachments: mediaAttachments(share.media),
+      share: {
+        ...mediaShare('story', share.media, null),
+        username: share.media?.user?.username || null
+      },
+      mentions: share.type === 'mention' && share.mentioned_user?.username ? [share.mentioned_user.username] : [],
+      description: share.type === 'mention' ? '📸 [Story Mention]' : '📸 [Story Reply]'
+    };
+  },
+
+  story_share: item => {
+    const share = item.story_share || {};
+    const username = share.media?.user?.username || null;
+    return {
+      category: 'share',
+      body: share.text || item.text,
+      attachments: mediaAttachments(share.media),
+      share: {
+        ...mediaShare('story', share.media, username ? `${INSTAGRAM_URL}/stories/${username}/${share.media?.pk || ''}` : null),
+        // An expired or private story comes without media but with a notice
+        title: share.title || share.message || null
+      },
+      description: share.media ? '📸 [Shared Story]' : `📸 [${share.message || 'Story unavailable'}]`
+    };
+  },
+
+  reel_react: item => ({
+    category: 'event',
+    body: item.reel_react?.text || item.text,
+    attachments: mediaAttachments(item.reel_react?.media),
+    description: `📸 Reacted to a story${item.reel_react?.emoji ? ` with ${item.reel_react.emoji}` : ''}`
+  }),
+
+  profile: item => ({
+    category: 'share',
+    body: item.text,
+    share: {
+      kind: 'profile',
+      id: item.profile?.pk ? String(item.profile.pk) : null,
+      url: item.profile?.username ? `${INSTAGRAM_URL}/${item.profile.username}/` : null,
+      title: item.profile?.full_name || null,
+      username: item.profile?.username || null
+    },
+    mentions: item.profile?.username ? [item.profile.username] : [],
+    description: `👤 @${item.profile?.username || 'user'}`
+  }),
+
+  hashtag: item => ({
+    category: 'share',
+    body: item.text,
+    share: {
+      kind: 'hashtag',
+      id: item.hashtag?.id ? String(item.hashtag.id) : null,
+      url: item.hashtag?.name ? `${INSTAGRAM_URL}/explore/tags/${item.hashtag.name}/` : null,
+      title: item.hashtag?.name || null
+    },
+    description: `#${item.hashtag?.name || 'hashtag'}`
+  }),
+
+  location: item => ({
+    category: 'share',
+    body: item.text,
+    share: {
+      kind: 'location',
+      id: item.location?.pk ? String(item.location.pk) : null,
+      url: item.location?.pk ? `${INSTAGRAM_URL}/explore/locations/${item.location.pk}/` : null,
+      title: item.location?.name || null,
+      caption: item.location?.address || null
+    },
+    description: `📍 ${item.location?.name || 'Location'}`
+  }),
+
+  product_share: item => {
+    const product = item.product_share?.product || item.product || {};
+    return {
+      category: 'share',
+      body: item.product_share?.text || item.text,
+      attachments: mediaAttachments(product.main_image),
+      share: {
+        kind: 'product',
+        id: product.product_id ? String(product.product_id) : null,
+        url: product.external_url || null,
+        title: product.name || null,
+        username: product.merchant?.username || null
+      },
+      description: `🛍️ ${product.name || 'Product'}`
+    };
+  },
+
+  live_video_share: item => {
+    const broadcast = item.live_video_share?.broadcast || {};
+    return {
+      category: 'share',
+      body: item.live_video_share?.text || item.text,
+      share: {
+        kind: 'live',
+        id: broadcast.id ? String(broadcast.id) : null,
+        url: broadcast.broadcast_owner?.username ? `${INSTAGRAM_URL}/${broadcast.broadcast_owner.username}/live/` : null,
+        title: broadcast.broadcast_message || null,
+        username: broadcast.broadcast_owner?.username || null
+      },
+      description: '🔴 [Live Video]'
+    };
+  },
+
+  live_viewer_invite: item => {
+    const invite = item.live_viewer_invite || {};
+    return {
+      category: 'event',
+      body: invite.text || item.text,
+      share: {
+        kind: 'live',
+        id: invite.broadcast?.id ? String(invite.broadcast.id) : null,
+        url: null,
+        title: invite.title || invite.message || null,
+        username: invite.broadcast?.broadcast_owner?.username || null
+      },
+      description: '🔴 Invited you to watch a live video'
+    };
+  },
+
+  live_invite_guest: item => ({
+    category: 'event',
+    body: item.text,
+    description: '🔴 Invited you to join a live video'
+  }),
+
+  ar_effect: item => ({
+    category: 'share',
+    body: item.text,
+    share: {
+      kind: 'effect',
+      id: item.ar_effect?.id ? String(item.ar_effect.id) : null,
+      url: null,
+      title: item.ar_effect?.name || item.ar_effect?.title || null,
+      username: item.ar_effect?.attribution_user?.username || null
+    },
+    description: `✨ ${item.ar_effect?.name || 'Effect'}`
+  }),
+
+  cta_link: item => ({
+    category: 'share',
+    body: item.cta_link?.title || item.text,
+    share: {
+      kind: 'link',
+      id: null,
+      url: item.cta_link?.webpage_url || item.cta_link?.link_url || null,
+      title: item.cta_link?.title || null,
+      caption: item.cta_link?.summary || null
+    },
+    description: '🔗 [Link]'
+  }),
+
+  poll_vote: item => ({
+    category: 'event',
+    description: `📊 ${item.poll_vote?.text || item.poll_vote_info?.text || 'Voted in a poll'}`
+  }),
+
+  action_log: item => ({
+    category: 'event',
+    description: item.action_log?.description || '[Thread activity]'
+  }),
+
+  video_call_event: item => ({
+    category: 'event',
+    description: `📞 ${item.video_call_event?.description || 'Video call'}`
+  }),
+
+  placeholder: item => ({
+    category: 'event',
+    description: item.placeholder?.message || item.placeholder?.title || '[Unsupported message]'
+  }),
+
+  // Item updates rather than messages, handled as updates by the bot
+  deletion: () => ({ category: 'event', description: '🗑️ [Unsent]' }),
+  title: item => ({ category: 'event', description: `✏️ Renamed the chat${item.title ? ` to ${item.title}` : ''}` }),
+  user_reaction: () => ({ category: 'event', description: '[Reaction]' }),
+  reaction_log: () => ({ category: 'event', description: '[Reaction]' }),
+  history_edit: item => ({ category: 'event', body: item.text, description: '✏️ [Edited]' }),
+
+  // Internal and deprecated types Instagram never shows to users
+  deprecated_channel: () => ({ category: 'event' }),
+  test: () => ({ category: 'event' }),
+  type_max: () => ({ category: 'event' })
+};
+
+NORMALIZERS.product = NORMALIZERS.product_share;
+
+// Extended media attachments (xma_media_share, xma_reel_share, xma_story_share, ...)
+function normalizeXma(item) {
+  const [xma = {}] = [].concat(item[item.item_type] || []);
+  const preview = xma.preview_url_info?.url || xma.preview_url || null;
+  return {
+    category: 'share',
+    body: item.text,
+    attachments: preview ? [{ kind: 'image', url: preview, width: xma.preview_width, height: xma.preview_height }] : [],
+    share: {
+      kind: /story/.test(item.item_type) ? 'story' : /reel|clip/.test(item.item_type) ? 'reel' : 'post',
+      id: xma.target_url?.match(/\/(?:p|reel|stories\/[^/]+)\/([^/?]+)/)?.[1] || null,
+      url: xma.target_url || null,
+      title: xma.title_text || null,
+      username: xma.header_title_text || null,
+      caption: xma.subtitle_text || null
+    },
+    description: `[Shared: ${xma.title_text || 'Media'}]`
+  };
+}
+
+function replyReference(item) {
+  const replied = item.replied_to_message;
+  if (!replied?.item_id) return null;
+
+  return {
+    itemId: String(replied.item_id),
+    senderId: replied.user_id != null ? String(replied.user_id) : null,
+    text: replied.text ?? null,
+    type: replied.item_type || null
+  };
+}
+
+function extractMentions(text) {
+  return [...(text || '').matchAll(/(?:^|[^\w.])@([\w.]{1,30})/g)].map(match => match[1].replace(/\.+$/, ''));
+}
+
+/**
+ * @param {object} item - a MessageSyncMessage or a thread feed item
+ * @returns {NormalizedItem}
+ */
+export function normalizeItem(item) {
+  const type = item.item_type || 'text';
+  const normalizer = NORMALIZERS[type] || (type.startsWith('xma') ? normalizeXma : null);
+  const result = normalizer ? normalizer(item) : { category: 'message', body: item.text };
+  const body = result.body || null;
+
+  return {
+    id: item.item_id ? String(item.item_id) : null,
+    type,
+    category: result.category,
+    text: body || result.description || `[${type}]`,
+    body,
+    attachments: result.attachments || [],
+    share: result.share || null,
+    replyTo: replyReference(item),
+    mentions: [...new Set([...extractMentions(body), ...(result.mentions || [])])]
+  };
+}
@@ -0,0 +1,140 @@
+import { logger } from '../utils/utils.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+// Instagram item timestamps are microseconds and still fit a double exactly
+export function toMicros(timestamp) {
+  if (timestamp instanceof Date) return timestamp.getTime() * 1000;
+  return Number(timestamp) || 0;
+}
+
+/**
+ * Makes sure every item is handled once and in order per thread, whichever
+ * transport (realtime, reconnect replay, polling) delivered it.
+ *
+ * Recently handled item ids are kept in an LRU set. Per thread a floor
+ * timestamp covers everything older: it starts at the persisted cursor (or the
+ * start time for unknown threads) and rises whenever an id is evicted. The
+ * cursor, the newest handled item, only tells where the next backfill starts.
+ */
+export class MessageTracker {
+  constructor(options = config.delivery) {
+    this.maxSeen = options?.seenCacheSize || 5000;
+    this.seen = new Map(); // itemId -> { threadId, timestamp }
+    this.floors = new Map(); // threadId -> micros
+    this.cursors = new Map(); // threadId -> { itemId, timestamp }
+    this.queues = new Map(); // threadId -> tail promise
+    this.startedAt = Date.now() * 1000;
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!config.database?.enabled) {
+      return;
+    }
+
+    try {
+      this.db = await connectDb();
+      const collection = this.db.collection('thread_cursors');
+      await collection.createIndex({ threadId: 1 }, { unique: true });
+
+      const cursors = await collection.find().toArray();
+      for (const cursor of cursors) {
+        this.cursors.set(cursor.threadId, { itemId: cursor.itemId, timestamp: cursor.timestamp });
+        this.floors.set(cursor.threadId, cursor.timestamp);
+      }
+
+      logger.info(`🧭 Restored cursors for ${cursors.length} threads`);
+    } catch (error) {
+      logger.error('Failed to restore thread cursors:', error.message);
+      this.db = null;
+    }
+  }
+
+  getCursor(threadId) {
+    return this.cursors.get(threadId) || null;
+  }
+
+  getFloor(threadId) {
+    return this.floors.has(threadId) ? this.floors.get(threadId) : this.startedAt;
+  }
+
+  isSeen(threadId, itemId, timestamp) {
+    if (this.seen.has(String(itemId))) return true;
+    return toMicros(timestamp) <= this.getFloor(threadId);
+  }
+
+  // Whether a thread has activity newer than anything handled in it
+  hasUnseenActivity(threadId, lastActivityAt) {
+    const cursor = this.cursors.get(threadId);
+    return toMicros(lastActivityAt) > Math.max(cursor?.timestamp ?? 0, this.getFloor(threadId));
+  }
+
+  // Everything up to `timestamp` was read, e.g. after a full thread fetch
+  advanceFloor(threadId, timestamp) {
+    const micros = toMicros(timestamp);
+    if (micros > this.getFloor(threadId)) {
+      this.floors.set(threadId, micros);
+    }
+  }
+
+  /**
+   * Marks an item as handled.
+   * @returns {boolean} false when it was handled before. An item older than the
+   *   cursor is still claimed: it was missed, e.g. by a backfill a realtime item overtook
+   */
+  claim(threadId, itemId, timestamp) {
+    if (this.isSeen(threadId, itemId, timestamp)) return false;
+
+    const micros = toMicros(timestamp);
+    const cursor = this.cursors.get(threadId);
+    this.seen.set(String(itemId), { threadId, timestamp: micros });
+    this.evict();
+
+    if (!cursor || micros > cursor.timestamp) {
+      this.cursors.set(threadId, { itemId: String(itemId), timestamp: micros });
+      this.persistCursor(threadId);
+    }
+    return true;
+  }
+
+  evict() {
+    while (this.seen.size > this.maxSeen) {
+      const [itemId, { threadId, timestamp }] = this.seen.entries().next().value;
+      this.seen.delete(itemId);
+      if (timestamp > this.getFloor(threadId)) {
+        this.floors.set(threadId, timestamp);
+      }
+    }
+  }
+
+  /**
+   * Runs `task` after every task queued earlier for the same thread.
+   */
+  enqueue(threadId, task) {
+    const previous = this.queues.get(threadId) || Promise.resolve();
+    const next = previous.then(task).catch(error => {
+      logger.error(`Thread ${threadId} task failed:`, error.message);
+    });
+    this.queues.set(threadId, next);
+    next.then(() => {
+      if (this.queues.get(threadId) === next) this.queues.delete(threadId);
+    });
+    return next;
+  }
+
+  async persistCursor(threadId) {
+    if (!this.db) return;
+
+    try {
+      const cursor = this.cursors.get(threadId);
+      await this.db.collection('thread_cursors').updateOne(
+        { threadId },
+        { $set: { ...cursor, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Failed to persist thread cursor:', error.message);
+    }
+  }
+}
@@ -0,0 +1,482 @@
+import { logger } from '../utils/utils.js';
+import { config } from '../config.js';
+import { connectDb, dbUtils } from '../utils/db.js';
+import { buildUsage } from './command-parser.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const MODULES_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../modules');
+
+// Events modules can subscribe to with `context.onEvent(name, handler)`
+export const EVENT_NAMES = [
+  'messageEdited',
+  'messageDeleted',
+  'reactionAdded',
+  'reactionRemoved',
+  'seenBy',
+  'participantAdded',
+  'participantLeft',
+  'threadRenamed',
+  'typingChanged',
+  'presenceChanged',
+  'liveEvent',
+  'newFollower',
+  'mediaCommented',
+  'mentioned',
+  'mediaLiked',
+  'storyReplied',
+  'pushReceived'
+];
+
+// Push notification kinds with their own event, every other push is 'pushReceived'
+const PUSH_EVENTS = {
+  follower: 'newFollower',
+  comment: 'mediaCommented',
+  mention: 'mentioned',
+  like: 'mediaLiked',
+  storyReply: 'storyReplied'
+};
+
+function eventNameOf(update) {
+  switch (update.type) {
+    case 'edit': return 'messageEdited';
+    case 'delete': return 'messageDeleted';
+    case 'reaction': return update.removed ? 'reactionRemoved' : 'reactionAdded';
+    case 'seen': return 'seenBy';
+    case 'participant': return update.added ? 'participantAdded' : 'participantLeft';
+    case 'rename': return 'threadRenamed';
+    case 'typing': return 'typingChanged';
+    case 'presence': return 'presenceChanged';
+    case 'live': return 'liveEvent';
+    case 'push': return PUSH_EVENTS[update.kind] || 'pushReceived';
+    default: return null;
+  }
+}
+
+export class ModuleManager {
+  constructor(instagramBot = null, telegramBridge = null) {
+    this.modules = [];
+    this.commandRegistry = new Map();
+    this.aliasRegistry = new Map();
+    this.commandCollisions = [];
+    this.eventHandlers = new Map(); // event name -> [{ owner, handler }]
+    this.instagramBot = instagramBot;
+    this.telegramBridge = telegramBridge;
+    this.modulesPath = MODULES_DIR;
+    this.db = null;
+  }
+
+  async loadModules() {
+    try {
+      if (config.database?.enabled) {
+        try {
+          this.db = await connectDb();
+        } catch (error) {
+          logger.warn('Modules will run without database:', error.message);
+        }
+      }
+
+      const moduleFiles = fs.readdirSync(this.modulesPath)
+        .filter(file => file.endsWith('.js'))
+        .sort();
+
+      const candidates = [];
+      for (const file of moduleFiles) {
+        const candidate = await this.importModule(file);
+        if (candidate) candidates.push(candidate);
+      }
+
+      for (const candidate of this.sortByDependencies(candidates)) {
+        await this.initModule(candidate);
+      }
+
+      this.buildCommandRegistry();
+      logger.info(`🔌 Loaded ${this.modules.length} modules`);
+
+    } catch (error) {
+      logger.error('Module loading error:', error.message);
+    }
+  }
+
+  /**
+   * Imports a module file and reads its manifest without initializing it.
+   * A query string busts the ESM cache so a reload picks up file changes.
+   */
+  async importModule(filename) {
+    try {
+      const filePath = path.join(this.modulesPath, filename);
+      const moduleImport = await import(`${pathToFileURL(filePath).href}?v=${Date.now()}`);
+      const ModuleClass = Object.values(moduleImport).find(value => typeof value === 'function');
+
+      if (!ModuleClass) {
+        throw new Error(`No valid module class in ${filename}`);
+      }
+
+      const manifest = {
+        name: ModuleClass.name.replace(/Module$/, '').toLowerCase(),
+        version: '0.0.0',
+        dependencies: [],
+        ...(ModuleClass.manifest || {})
+      };
+
+      return { ModuleClass, manifest, filename };
+
+    } catch (error) {
+      logger.error(`Failed to import ${filename}:`, error.message);
+      return null;
+    }
+  }
+
+  async initModule({ ModuleClass, manifest, filename }) {
+    try {
+      if (this.getModule(manifest.name)) {
+        throw new Error(`Module ${manifest.name} is already loaded`);
+      }
+
+      const missing = manifest.dependencies.filter(dependency => !this.getModule(dependency));
+      if (missing.length > 0) {
+        throw new Error(`Missing dependencies: ${missing.join(', ')}`);
+      }
+
+      const moduleInstance = new ModuleClass();
+      moduleInstance.name = moduleInstance.name || manifest.name;
+      moduleInstance.manifest = manifest;
+      moduleInstance.filename = filename;
+      // Set module manager reference
+      moduleInstance.moduleManager = this;
+
+      if (typeof moduleInstance.init === 'function') {
+        await moduleInstance.init(this.createContext(manifest));
+      }
+
+      this.modules.push(moduleInstance);
+      logger.debug(`Loaded module ${manifest.name}@${manifest.version}`);
+      return moduleInstance;
+
+    } catch (error) {
+      logger.error(`Failed to load ${filename}:`, error.message);
+      return null;
+    }
+  }
+
+  createContext(manifest) {
+    return {
+      bot: this.instagramBot,
+      db: this.db,
+      config,
+      logger: {
+        info: (...args) => logger.info(`[${manifest.name}]`, ...args),
+        warn: (...args) => logger.warn(`[${manifest.name}]`, ...args),
+        error: (...args) => logger.error(`[${manifest.name}]`, ...args),
+        debug: (...args) => logger.debug(`[${manifest.name}]`, ...args)
+      },
+      moduleManager: this,
+      telegramBridge: this.telegramBridge,
+      // Handlers are dropped again when the module is unloaded or reloaded
+      onEvent: (name, handler) => this.onEvent(name, handler, manifest.name),
+      // Realtime subscriptions are released the same way, see SUBSCRIPTIONS for names
+      subscribe: (name, target) => this.instagramBot.subscriptions.subscribe(name, target, manifest.name),
+      unsubscribe: (name, target) => this.instagramBot.subscriptions.unsubscribe(name, target)
+    };
+  }
+
+  /**
+   * Subscribes to a bot event, see EVENT_NAMES.
+   * @returns {() => void} unsubscribes the handler
+   */
+  onEvent(name, handler, owner = null) {
+    if (!EVENT_NAMES.includes(name)) {
+      throw new Error(`Unknown event '${name}', expected one of ${EVENT_NAMES.join(', ')}`);
+    }
+
+    const entry = { owner, handler };
+    this.eventHandlers.set(name, [...(this.eventHandlers.get(name) || []), entry]);
+    return () => {
+      this.eventHandlers.set(name, (this.eventHandlers.get(name) || []).filter(other => other !== entry));
+    };
+  }
+
+  async emitEvent(name, event) {
+    for (const { owner, handler } of this.eventHandlers.get(name) || []) {
+      try {
+        await handler(event);
+      } catch (error) {
+        logger.error(`${name} handler${owner ? ` of ${owner}` : ''} failed:`, error.message);
+      }
+    }
+  }
+
+  removeEventHandlers(owner) {
+    for (const [name, entries] of this.eventHandlers) {
+      this.eventHandlers.set(name, entries.filter(entry => entry.owner !== owner));
+    }
+  }
+
+  // Orders modules so that dependencies are initialized first
+  sortByDependencies(candidates) {
+    const byName = new Map(candidates.map(candidate => [candidate.manifest.name, candidate]));
+    const sorted = [];
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = candidate => {
+      const { name } = candidate.manifest;
+      if (visited.has(name)) return;
+      if (visiting.has(name)) {
+        logger.error(`Circular module dependency involving ${name}`);
+        return;
+      }
+
+      visiting.add(name);
+      for (const dependency of candidate.manifest.dependencies) {
+        if (byName.has(dependency)) visit(byName.get(dependency));
+      }
+      visiting.delete(name);
+      visited.add(name);
+      sorted.push(candidate);
+    };
+
+    candidates.forEach(visit);
+    return sorted;
+  }
+
+  // Loaded modules that depend on `name`, directly or transitively, in unload order
+  getDependents(name) {
+    const dependents = [];
+    const collect = target => {
+      for (const module of this.modules) {
+        if (module.manifest?.dependencies.includes(target) && !dependents.includes(module)) {
+          collect(module.name);
+          dependents.push(module);
+        }
+      }
+    };
+    collect(name);
+    return dependents;
+  }
+
+  resolveModuleFile(name) {
+    const loaded = this.getModule(name);
+    if (loaded?.filename) return loaded.filename;
+
+    const candidates = [name, `${name}.js`, `${name}.module.js`];
+    return candidates.find(file => file.endsWith('.js') && fs.existsSync(path.join(this.modulesPath, file)));
+  }
+
+  /**
+   * Loads a module from the modules directory at runtime.
+   * @param {string} name - module name or file name
+   */
+  async load(name) {
+    const filename = this.resolveModuleFile(name);
+    if (!filename) {
+      throw new Error(`Module file for '${name}' not found`);
+    }
+
+    const candidate = await this.importModule(filename);
+    if (!candidate) {
+      throw new Error(`Could not import ${filename}`);
+    }
+
+    const moduleInstance = await this.initModule(candidate);
+    if (!moduleInstance) {
+      throw new Error(`Could not initialize ${candidate.manifest.name}`);
+    }
+
+    this.buildCommandRegistry();
+    return moduleInstance;
+  }
+
+  async unload(name) {
+    const moduleInstance = this.getModule(name);
+    if (!moduleInstance) {
+      throw new Error(`Module '${name}' is not loaded`);
+    }
+    if (moduleInstance.manifest?.protected) {
+      throw new Error(`Module '${moduleInstance.name}' cannot be unloaded`);
+    }
+
+    const dependents = this.getDependents(moduleInstance.name);
+    if (dependents.length > 0) {
+      throw new Error(`Required by: ${dependents.map(module => module.name).join(', ')}`);
+    }
+
+    await this.disposeModule(moduleInstance);
+    this.buildCommandRegistry();
+    return moduleInstance;
+  }
+
+  /**
+   * Re-imports a module and every module depending on it.
+   * The realtime connection is untouched, only the command registry is rebuilt.
+   * @returns {string[]} names of reloaded modules
+   */
+  async reload(name) {
+    const moduleInstance = this.getModule(name);
+    if (!moduleInstance) {
+      throw new Error(`Module '${name}' is not loaded`);
+    }
+
+    const affected = [...this.getDependents(moduleInstance.name), moduleInstance];
+    for (const module of affected) {
+      await this.disposeModule(module);
+    }
+
+    const reloaded = [];
+    const failed = [];
+    for (const module of affected.reverse()) {
+      const candidate = await this.importModule(module.filename);
+      const instance = candidate && (await this.initModule(candidate));
+      (instance ? reloaded : failed).push(module.name);
+    }
+
+    this.buildCommandRegistry();
+
+    if (failed.length > 0) {
+      throw new Error(`Failed to reload: ${failed.join(', ')}`);
+    }
+    return reloaded;
+  }
+
+  async disposeModule(moduleInstance) {
+    try {
+      if (moduleInstance.cleanup) {
+        await moduleInstance.cleanup();
+      }
+    } catch (error) {
+      logger.error(`Cleanup of ${moduleInstance.name} failed:`, error.message);
+    }
+    this.removeEventHandlers(moduleInstance.manifest?.name || moduleInstance.name);
+    try {
+      await this.instagramBot?.subscriptions?.release(moduleInstance.manifest?.name || moduleInstance.name);
+    } catch (error) {
+      logger.error(`Releasing the subscriptions of ${moduleInstance.name} failed:`, error.message);
+    }
+    this.modules = this.modules.filter(module => module !== moduleInstance);
+  }
+
+  /**
+   * Registers every command and alias. The first module to claim a name keeps it,
+   * later claims are reported as collisions instead of silently overwriting.
+   * @returns {string[]} collision descriptions
+   */
+  buildCommandRegistry() {
+    this.commandRegistry.clear();
+    this.aliasRegistry.clear();
+    this.commandCollisions = [];
+
+    const prefix = config.commands?.prefixes?.[0] || '.';
+    const owners = new Map();
+    const claim = (name, moduleName, description) => {
+      const owner = owners.get(name);
+      if (owner) {
+        this.commandCollisions.push(`${prefix}${name}: ${description} from ${moduleName} conflicts with ${owner}`);
+        return false;
+      }
+      owners.set(name, `${description} from ${moduleName}`);
+      return true;
+    };
+
+    for (const module of this.modules) {
+      const moduleName = module.name || module.constructor.name.replace('Module', '').toLowerCase();
+      const commands = module.getCommands?.() || {};
+
+      for (const [rawName, command] of Object.entries(commands)) {
+        const name = rawName.toLowerCase();
+        if (!claim(name, moduleName, 'command')) continue;
+
+        const aliases = (command.aliases || [])
+          .map(alias => alias.toLowerCase())
+          .filter(alias => claim(alias, moduleName, `alias of ${prefix}${name}`));
+
+        this.commandRegistry.set(name, {
+          ...command,
+          name,
+          aliases,
+          // `adminOnly` is still honoured for modules written before roles existed
+          role: command.role || (command.adminOnly ? 'admin' : 'user'),
+          usage: buildUsage(name, command, prefix),
+          module: module,
+          moduleName
+        });
+
+        for (const alias of aliases) {
+          this.aliasRegistry.set(alias, name);
+        }
+      }
+    }
+
+    for (const collision of this.commandCollisions) {
+      logger.warn(`⚠️ Command collision - ${collision}`);
+    }
+    return this.commandCollisions;
+  }
+
+  getCommand(name) {
+    name = name.toLowerCase();
+    return this.commandRegistry.get(name) || this.commandRegistry.get(this.aliasRegistry.get(name));
+  }
+
+  // Canonical commands only - aliases resolve through getCommand()
+  getAllCommands() {
+    return this.commandRegistry;
+  }
+
+  getModule(name) {
+    return this.modules.find(module => module.name?.toLowerCase() === name.toLowerCase());
+  }
+
+  async processMessage(message) {
+    for (const module of this.modules) {
+      try {
+        if (module.process) {
+          message = await module.process(message);
+        }
+      } catch (error) {
+        // Silent fail for module processing
+      }
+    }
+    return message;
+  }
+
+  /**
+   * Hands an update (see InstagramRealtimeBot.parseItemUpdate() and ThreadWatcher) to every
+   * module's processUpdate() and then emits it as an event.
+   * Events about an item carry the archived `message` as it was before the update,
+   * e.g. `message.text` is the previous text of an edit; it is null when the item was not archived.
+   */
+  async processUpdate(update) {
+    const name = eventNameOf(update);
+    // Read before modules run, the archive applies the update to the stored copy
+    const message = name && update.itemId && this.eventHandlers.get(name)?.length
+      ? await dbUtils.getMessage(update.itemId)
+      : null;
+
+    for (const module of this.modules) {
+      try {
+        if (module.processUpdate) {
+          await module.processUpdate(update);
+        }
+      } catch (error) {
+        logger.debug(`Update processing in ${module.name} failed:`, error.message);
+      }
+    }
+
+    if (name) {
+      await this.emitEvent(name, update.itemId ? { ...update, message } : update);
+    }
+  }
+
+  async cleanup() {
+    for (const module of this.modules) {
+      if (module.cleanup) {
+        await module.cleanup();
+      }
+    }
+    this.modules = [];
+    this.commandRegistry.clear();
+    this.aliasRegistry.clear();
+    this.eventHandlers.clear();
+  }
+}
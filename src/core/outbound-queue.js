@@ -0,0 +1,308 @@
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { logger, fileUtils } from '../utils/utils.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+// Seen markers go out right away, everything else is paced like a person typing
+const UNPACED_TYPES = new Set(['seen']);
+// Seen markers and reactions queue in a lane of their own per thread, so their
+// retries never hold up messages
+const BEST_EFFORT_TYPES = new Set(['seen', 'reaction']);
+
+function laneOf(job) {
+  return BEST_EFFORT_TYPES.has(job.type) ? `${job.threadId}:best-effort` : job.threadId;
+}
+
+/**
+ * Durable queue for everything the bot sends.
+ *
+ * Jobs of one lane run strictly one after another, lanes run independently. Each
+ * thread has a lane for messages and one for seen markers and reactions. A failed
+ * job is retried with exponential backoff and blocks its lane meanwhile, so replies
+ * never overtake each other. Pending jobs are stored in MongoDB (or a JSON file)
+ * and resumed after a restart.
+ */
+export class OutboundQueue {
+  /**
+   * @param {(job: object) => Promise<object>} executor - performs a job, throws to retry it
+   */
+  constructor(executor, options = config.outbound) {
+    this.executor = executor;
+    this.options = options;
+    this.filePath = options.queueFile;
+    this.lanes = new Map(); // lane -> job[]
+    this.draining = new Set();
+    this.waiters = new Map(); // jobId -> { resolve }
+    this.wakers = new Map(); // lane -> resolve of the current wait
+    this.lastSentAt = new Map(); // threadId -> ms
+    this.failed = [];
+    this.started = false;
+    this.writing = Promise.resolve();
+    this.db = null;
+  }
+
+  async initialize() {
+    let jobs = [];
+
+    if (config.database?.enabled) {
+      try {
+        this.db = await connectDb();
+        const collection = this.db.collection('outbound_queue');
+        await collection.createIndex({ threadId: 1, createdAt: 1 });
+        jobs = await collection.find().sort({ createdAt: 1 }).toArray();
+      } catch (error) {
+        logger.error('Failed to load outbound queue:', error.message);
+        this.db = null;
+      }
+    }
+
+    if (!this.db && (await fileUtils.pathExists(this.filePath))) {
+      jobs = (await fileUtils.readJson(this.filePath)) || [];
+    }
+
+    for (const { _id, ...job } of jobs) {
+      job.id = job.id || String(_id);
+      job.createdAt = new Date(job.createdAt);
+      this.getLaneJobs(laneOf(job)).push(job);
+    }
+
+    if (jobs.length > 0) {
+      logger.info(`📤 Restored ${jobs.length} queued outgoing actions`);
+    }
+  }
+
+  // Begins sending, restored jobs wait until the client is logged in
+  start() {
+    this.started = true;
+    for (const lane of this.lanes.keys()) {
+      this.drain(lane);
+    }
+  }
+
+  getLaneJobs(lane) {
+    if (!this.lanes.has(lane)) {
+      this.lanes.set(lane, []);
+    }
+    return this.lanes.get(lane);
+  }
+
+  /**
+   * Queues an action and resolves once it is stored, not when it was performed, so
+   * callers on the inbound path are not held up by pacing and retries.
+   * @returns {Promise<{ id: string, done: Promise<false | object> }>} `done` resolves with
+   *   the executor result, or false when the job was dropped
+   */
+  async enqueue(type, threadId, payload = {}) {
+    const job = {
+      id: randomUUID(),
+      type,
+      threadId,
+      payload,
+      attempts: 0,
+      nextAttemptAt: 0,
+      lastError: null,
+      createdAt: new Date()
+    };
+
+    const done = new Promise(resolve => this.waiters.set(job.id, { resolve }));
+    this.getLaneJobs(laneOf(job)).push(job);
+    await this.persist(job);
+
+    if (this.started) {
+      this.drain(laneOf(job));
+    }
+    return { id: job.id, done };
+  }
+
+  async drain(lane) {
+    if (this.draining.has(lane)) return;
+    this.draining.add(lane);
+
+    try {
+      const jobs = this.getLaneJobs(lane);
+      while (jobs.length > 0 && this.started) {
+        const job = jobs[0];
+
+        if (Date.now() - job.createdAt.getTime() > this.options.maxAgeMs) {
+          this.finish(job, false, 'expired');
+          continue;
+        }
+
+        const waitMs = Math.max(job.nextAttemptAt - Date.now(), this.getPaceDelay(job));
+        if (waitMs > 0) {
+          await this.sleep(lane, waitMs);
+          // flush() or clear() may have changed the queue meanwhile
+          if (jobs[0] !== job) continue;
+        }
+
+        try {
+          job.attempts++;
+          const result = await this.executor(job);
+          if (!UNPACED_TYPES.has(job.type)) {
+            this.lastSentAt.set(job.threadId, Date.now());
+          }
+          this.finish(job, result || {});
+        } catch (error) {
+          job.lastError = error.message;
+
+          if (job.attempts >= this.options.maxAttempts) {
+            logger.error(`📤 Giving up on ${job.type} to ${job.threadId} after ${job.attempts} attempts:`, error.message);
+            this.finish(job, false, error.message);
+            continue;
+          }
+
+          const delay = this.getRetryDelay(job.attempts);
+          job.nextAttemptAt = Date.now() + delay;
+          logger.warn(`📤 ${job.type} to ${job.threadId} failed (${error.message}), retry ${job.attempts}/${this.options.maxAttempts - 1} in ${Math.round(delay / 1000)}s`);
+          await this.persist(job);
+        }
+      }
+    } finally {
+      this.draining.delete(lane);
+      if (this.lanes.get(lane)?.length === 0) {
+        this.lanes.delete(lane);
+      }
+    }
+  }
+
+  finish(job, result, reason) {
+    const jobs = this.getLaneJobs(laneOf(job));
+    const index = jobs.indexOf(job);
+    if (index !== -1) jobs.splice(index, 1);
+
+    if (result === false) {
+      this.failed.unshift({ ...job, reason, failedAt: new Date() });
+      this.failed.length = Math.min(this.failed.length, 20);
+    }
+
+    this.waiters.get(job.id)?.resolve(result);
+    this.waiters.delete(job.id);
+    this.remove(job);
+  }
+
+  getRetryDelay(attempts) {
+    const delay = Math.min(this.options.retryBaseMs * 2 ** (attempts - 1), this.options.retryMaxMs);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  // Time left until a person could have typed this after the previous message
+  getPaceDelay(job) {
+    if (!this.options.pacing || UNPACED_TYPES.has(job.type)) return 0;
+
+    const { minGapMs, perCharMs, maxTypingMs } = this.options.pacing;
+    const typingMs = Math.min((job.payload.text?.length || 0) * perCharMs, maxTypingMs);
+    const gapMs = (minGapMs + typingMs) * (0.8 + Math.random() * 0.4);
+    const since = Date.now() - (this.lastSentAt.get(job.threadId) || 0);
+    return Math.max(0, gapMs - since);
+  }
+
+  sleep(lane, ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.wakers.delete(lane);
+        resolve();
+      }, ms);
+      this.wakers.set(lane, () => {
+        clearTimeout(timer);
+        this.wakers.delete(lane);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Retries every waiting job right away.
+   * @returns {number} number of pending jobs
+   */
+  flush() {
+    let pending = 0;
+    for (const [lane, jobs] of this.lanes) {
+      for (const job of jobs) {
+        job.nextAttemptAt = 0;
+        pending++;
+      }
+      this.wakers.get(lane)?.();
+      this.drain(lane);
+    }
+    return pending;
+  }
+
+  /**
+   * Drops pending jobs, of one thread or all.
+   * @returns {number} number of dropped jobs
+   */
+  clear(threadId) {
+    let dropped = 0;
+
+    for (const [lane, jobs] of this.lanes) {
+      if (threadId && jobs[0]?.threadId !== threadId) continue;
+
+      for (const job of [...jobs]) {
+        this.finish(job, false, 'cleared');
+        dropped++;
+      }
+      this.wakers.get(lane)?.();
+    }
+    return dropped;
+  }
+
+  getStats() {
+    const jobs = [...this.lanes.values()].flat();
+    return {
+      pending: jobs.length,
+      threads: new Set(jobs.map(job => job.threadId)).size,
+      retrying: jobs.filter(job => job.attempts > 0).length,
+      oldest: jobs.reduce((oldest, job) => (!oldest || job.createdAt < oldest ? job.createdAt : oldest), null),
+      jobs,
+      failed: this.failed
+    };
+  }
+
+  async persist(job) {
+    if (this.db) {
+      try {
+        const { id, ...fields } = job;
+        await this.db.collection('outbound_queue').updateOne(
+          { _id: id },
+          { $set: fields },
+          { upsert: true }
+        );
+      } catch (error) {
+        logger.error('Failed to persist outbound job:', error.message);
+      }
+      return;
+    }
+    await this.writeFile();
+  }
+
+  async remove(job) {
+    if (this.db) {
+      try {
+        await this.db.collection('outbound_queue').deleteOne({ _id: job.id });
+      } catch (error) {
+        logger.error('Failed to remove outbound job:', error.message);
+      }
+      return;
+    }
+    await this.writeFile();
+  }
+
+  // Writes are chained so an older snapshot never overwrites a newer one
+  writeFile() {
+    if (!this.filePath) return;
+
+    this.writing = this.writing.then(async () => {
+      await fileUtils.ensureDir(path.dirname(this.filePath));
+      await fileUtils.writeJson(this.filePath, [...this.lanes.values()].flat());
+    });
+    return this.writing;
+  }
+
+  stop() {
+    this.started = false;
+    for (const wake of this.wakers.values()) {
+      wake();
+    }
+  }
+}
@@ -0,0 +1,183 @@
+import { logger } from '../utils/utils.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+// Ordered from least to most privileged
+export const ROLES = ['banned', 'user', 'trusted', 'moderator', 'admin', 'owner'];
+
+export function roleLevel(role) {
+  const level = ROLES.indexOf(role);
+  if (level === -1) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  return level;
+}
+
+const GLOBAL_SCOPE = '*';
+// grantedBy of the admin roles created from ADMIN_USERS
+const ADMIN_USERS_GRANT = 'ADMIN_USERS';
+
+export class PermissionManager {
+  constructor(ig) {
+    this.ig = ig;
+    // `${userId}:${threadId | '*'}` -> { userId, threadId, role, username }
+    this.assignments = new Map();
+    this.usernameCache = new Map();
+    this.db = null;
+  }
+
+  // Runs after the login, ADMIN_USERS are looked up on Instagram
+  async initialize() {
+    await this.loadAssignments();
+    await this.importAdminUsers();
+  }
+
+  async loadAssignments() {
+    if (!config.database?.enabled) {
+      return;
+    }
+
+    try {
+      this.db = await connectDb();
+      const collection = this.db.collection('user_roles');
+      await collection.createIndex({ userId: 1, threadId: 1 }, { unique: true });
+
+      const assignments = await collection.find().toArray();
+      for (const assignment of assignments) {
+        this.assignments.set(this.key(assignment.userId, assignment.threadId), assignment);
+      }
+
+      logger.info(`🛡️ Loaded ${assignments.length} role assignments`);
+    } catch (error) {
+      logger.error('Failed to load role assignments:', error.message);
+      this.db = null;
+    }
+  }
+
+  /**
+   * Turns the usernames in ADMIN_USERS into global admin roles of their pks, so a
+   * later owner of a listed username gains nothing. Names imported before are skipped,
+   * roles of names removed from the list are revoked.
+   */
+  async importAdminUsers() {
+    const listed = new Set(config.admin?.users || []);
+    const granted = [...this.assignments.values()]
+      .filter(assignment => assignment.grantedBy === ADMIN_USERS_GRANT);
+
+    for (const assignment of granted) {
+      if (listed.has(assignment.username)) continue;
+      await this.revoke(assignment.userId, { threadId: assignment.threadId });
+      logger.info(`🛡️ @${assignment.username} was removed from ADMIN_USERS, revoked admin of ${assignment.userId}`);
+    }
+
+    const imported = new Set(granted.map(assignment => assignment.username));
+    for (const username of listed) {
+      if (imported.has(username)) continue;
+
+      let userId;
+      try {
+        userId = await this.resolveUserId(username);
+      } catch (error) {
+        logger.warn(`ADMIN_USERS: could not find @${username}:`, error.message);
+        continue;
+      }
+
+      // A role stored for the pk was given on purpose and stays
+      if (this.assignments.has(this.key(userId))) continue;
+
+      await this.assign(userId, 'admin', { username, grantedBy: ADMIN_USERS_GRANT });
+      logger.info(`🛡️ @${username} from ADMIN_USERS is admin as ${userId}`);
+    }
+  }
+
+  key(userId, threadId) {
+    return `${userId}:${threadId || GLOBAL_SCOPE}`;
+  }
+
+  /**
+   * Effective role of a user in a thread.
+   * Owners come from config, a ban in either scope wins, otherwise the higher of the global and thread role.
+   */
+  getRole(userId, threadId) {
+    userId = String(userId);
+    if (config.admin?.ownerIds?.includes(userId)) {
+      return 'owner';
+    }
+
+    const globalRole = this.assignments.get(this.key(userId))?.role;
+    const threadRole = threadId ? this.assignments.get(this.key(userId, threadId))?.role : undefined;
+
+    if (globalRole === 'banned' || threadRole === 'banned') {
+      return 'banned';
+    }
+
+    let role = globalRole || 'user';
+    if (threadRole && roleLevel(threadRole) > roleLevel(role)) {
+      role = threadRole;
+    }
+    return role;
+  }
+
+  hasRole(userId, threadId, requiredRole) {
+    return roleLevel(this.getRole(userId, threadId)) >= roleLevel(requiredRole || 'user');
+  }
+
+  async assign(userId, role, { threadId = null, username, grantedBy } = {}) {
+    roleLevel(role);
+    userId = String(userId);
+
+    const assignment = { userId, threadId, role, username, grantedBy, updatedAt: new Date() };
+    this.assignments.set(this.key(userId, threadId), assignment);
+
+    if (this.db) {
+      try {
+        await this.db.collection('user_roles').updateOne(
+          { userId, threadId },
+          { $set: assignment },
+          { upsert: true }
+        );
+      } catch (error) {
+        logger.error('Failed to save role assignment:', error.message);
+      }
+    }
+    return assignment;
+  }
+
+  async revoke(userId, { threadId = null } = {}) {
+    userId = String(userId);
+    const existed = this.assignments.delete(this.key(userId, threadId));
+
+    if (this.db) {
+      try {
+        await this.db.collection('user_roles').deleteOne({ userId, threadId });
+      } catch (error) {
+        logger.error('Failed to delete role assignment:', error.message);
+      }
+    }
+    return existed;
+  }
+
+  // Every stored assignment of a user, global first
+  getAssignments(userId) {
+    userId = String(userId);
+    return [...this.assignments.values()]
+      .filter(assignment => assignment.userId === userId)
+      .sort((a, b) => (a.threadId ? 1 : 0) - (b.threadId ? 1 : 0));
+  }
+
+  /**
+   * Resolves a username (or a numeric pk) to a user pk.
+   */
+  async resolveUserId(usernameOrId) {
+    if (/^\d+$/.test(usernameOrId)) {
+      return usernameOrId;
+    }
+
+    const username = usernameOrId.toLowerCase();
+    if (!this.usernameCache.has(username)) {
+      const userId = await this.ig.user.getIdByUsername(username);
+      this.usernameCache.set(username, String(userId));
+    }
+    return this.usernameCache.get(username);
+  }
+}
@@ -0,0 +1,124 @@
+import { logger } from '../utils/utils.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+const MAX_PREFIX_LENGTH = 3;
+
+/**
+ * Checks a command prefix. Prefixes starting with a letter or digit would turn
+ * ordinary words ("a", "the") into command attempts.
+ * @returns {string | null} why the prefix is refused, null when it is fine
+ */
+export function validatePrefix(prefix) {
+  if (!prefix || prefix.length > MAX_PREFIX_LENGTH) {
+    return `"${prefix}" must be 1 to ${MAX_PREFIX_LENGTH} characters`;
+  }
+  if (/\s/.test(prefix)) {
+    return `"${prefix}" must not contain spaces`;
+  }
+  if (/^[\p{L}\p{N}]/u.test(prefix)) {
+    return `"${prefix}" must not start with a letter or digit`;
+  }
+  return null;
+}
+
+export class PrefixManager {
+  constructor(options = config.commands) {
+    const prefixes = options.prefixes.filter(prefix => {
+      const problem = validatePrefix(prefix);
+      if (problem) logger.warn(`Ignoring command prefix from COMMAND_PREFIXES: ${problem}`);
+      return !problem;
+    });
+    this.defaultPrefixes = prefixes.length ? prefixes : ['.'];
+    this.mentionPrefix = options.mentionPrefix;
+    this.threadPrefixes = new Map();
+    this.db = null;
+  }
+
+  // Primary prefix, used in usage lines and help texts
+  get primary() {
+    return this.defaultPrefixes[0] || '.';
+  }
+
+  async initialize() {
+    if (!config.database?.enabled) {
+      return;
+    }
+
+    try {
+      this.db = await connectDb();
+      const overrides = await this.db.collection('thread_prefixes').find().toArray();
+
+      for (const override of overrides) {
+        // Overrides saved before prefixes were validated may be words
+        const prefixes = (override.prefixes || []).filter(prefix => !validatePrefix(prefix));
+        if (prefixes.length) this.threadPrefixes.set(override.threadId, prefixes);
+      }
+    } catch (error) {
+      logger.error('Failed to load thread prefixes:', error.message);
+      this.db = null;
+    }
+  }
+
+  getPrefixes(threadId) {
+    return this.threadPrefixes.get(threadId) || this.defaultPrefixes;
+  }
+
+  async setThreadPrefixes(threadId, prefixes) {
+    this.threadPrefixes.set(threadId, prefixes);
+
+    if (!this.db) return;
+
+    try {
+      await this.db.collection('thread_prefixes').updateOne(
+        { threadId },
+        { $set: { prefixes, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Failed to save thread prefixes:', error.message);
+    }
+  }
+
+  async resetThreadPrefixes(threadId) {
+    this.threadPrefixes.delete(threadId);
+
+    if (!this.db) return;
+
+    try {
+      await this.db.collection('thread_prefixes').deleteOne({ threadId });
+    } catch (error) {
+      logger.error('Failed to reset thread prefixes:', error.message);
+    }
+  }
+
+  /**
+   * Matches a command prefix at the start of a message.
+   * Mentioning the bot (`@botname ping`) works in every thread when enabled.
+   * @returns {null | { prefix: string, body: string }}
+   */
+  match(text, threadId, botUsername) {
+    if (!text) return null;
+
+    if (this.mentionPrefix && botUsername) {
+      const mention = text.match(/^@([A-Za-z0-9._]+)[,:]?\s+(\S[\s\S]*)$/);
+      if (mention && mention[1].toLowerCase() === botUsername.toLowerCase()) {
+        return { prefix: `@${mention[1]} `, body: mention[2].trim() };
+      }
+    }
+
+    // Longest first so `!!` wins over `!`
+    const prefixes = [...this.getPrefixes(threadId)].sort((a, b) => b.length - a.length);
+    for (const prefix of prefixes) {
+      if (!text.startsWith(prefix)) continue;
+
+      const body = text.slice(prefix.length);
+      // ". hello" or "..." are not commands
+      if (!body || /^[\s\p{P}]/u.test(body)) return null;
+
+      return { prefix, body: body.trim() };
+    }
+
+    return null;
+  }
+}
@@ -0,0 +1,125 @@
+import { logger } from '../utils/utils.js';
+import { config } from '../config.js';
+
+/**
+ * Keeps who is online and who is typing where, from the realtime `appPresence`
+ * and `direct` (activity indicator) events. Messages and read receipts count as
+ * activity too, so last-active times keep working while polling.
+ *
+ * Every change is handed to `onUpdate` as a 'presence' or 'typing' update.
+ */
+export class PresenceTracker {
+  constructor(onUpdate = () => {}, options = config.presence) {
+    this.onUpdate = onUpdate;
+    this.options = options;
+    this.users = new Map(); // userId -> { isActive, lastActiveAt, updatedAt }
+    this.typing = new Map(); // threadId -> Map<userId, timer>
+    this.refreshedAt = 0;
+  }
+
+  /**
+   * @param {{ user_id: string, is_active: boolean, last_activity_at_ms?: string }} event - AppPresenceEvent
+   */
+  handlePresence(event) {
+    const userId = String(event.user_id);
+    const previous = this.users.get(userId);
+    const lastActiveAt = event.last_activity_at_ms ? new Date(Number(event.last_activity_at_ms)) : previous?.lastActiveAt || null;
+
+    this.users.set(userId, { isActive: !!event.is_active, lastActiveAt, updatedAt: Date.now() });
+    if (previous?.isActive !== !!event.is_active) {
+      this.onUpdate({ type: 'presence', userId, isActive: !!event.is_active, lastActiveAt, timestamp: new Date() });
+    }
+  }
+
+  /**
+   * Handles an activity indicator from the `direct` event.
+   * @returns {boolean} false when the event is no typing indicator
+   */
+  handleDirect(event) {
+    const match = event.path?.match(/^\/direct_v2\/threads\/(\d+)\/activity_indicator_id\//);
+    if (!match || !event.value || typeof event.value !== 'object') return false;
+
+    const { sender_id: senderId, activity_status: status, ttl } = event.value;
+    if (!senderId) return false;
+
+    this.setTyping(match[1], String(senderId), status === 1 && event.op !== 'remove', ttl || this.options.typingTtlMs);
+    this.noteActivity(senderId);
+    return true;
+  }
+
+  // Typing ends on an explicit stop or when the indicator's ttl runs out
+  setTyping(threadId, userId, isTyping, ttl = this.options.typingTtlMs) {
+    const typists = this.typing.get(threadId) || new Map();
+    const wasTyping = typists.has(userId);
+    clearTimeout(typists.get(userId));
+
+    if (isTyping) {
+      typists.set(userId, setTimeout(() => this.setTyping(threadId, userId, false), ttl).unref());
+      this.typing.set(threadId, typists);
+    } else {
+      typists.delete(userId);
+      if (typists.size === 0) this.typing.delete(threadId);
+    }
+
+    if (wasTyping !== isTyping) {
+      logger.debug(`@${userId} ${isTyping ? 'started' : 'stopped'} typing in ${threadId}`);
+      this.onUpdate({ type: 'typing', threadId, userId, isTyping, timestamp: new Date() });
+    }
+  }
+
+  // A message or read receipt proves the user was active at `at`
+  noteActivity(userId, at = new Date()) {
+    userId = String(userId);
+    const entry = this.users.get(userId);
+    if (!entry) {
+      this.users.set(userId, { isActive: null, lastActiveAt: at, updatedAt: Date.now() });
+    } else if (!entry.lastActiveAt || at > entry.lastActiveAt) {
+      entry.lastActiveAt = at;
+    }
+  }
+
+  /**
+   * @returns {null | { isActive: boolean | null, lastActiveAt: Date | null }} isActive is null when unknown
+   *   or when the last presence event is older than `activeTtlMs`
+   */
+  getPresence(userId) {
+    const entry = this.users.get(String(userId));
+    if (!entry) return null;
+
+    const fresh = Date.now() - entry.updatedAt <= this.options.activeTtlMs;
+    return { isActive: fresh ? entry.isActive : null, lastActiveAt: entry.lastActiveAt };
+  }
+
+  getOnlineUsers() {
+    return [...this.users.keys()].filter(userId => this.getPresence(userId).isActive);
+  }
+
+  getTypingUsers(threadId) {
+    return [...(this.typing.get(String(threadId))?.keys() || [])];
+  }
+
+  /**
+   * Loads presence of recent contacts over HTTP, for polling mode and stale data.
+   * @param {import('instagram-private-api').IgApiClient} ig
+   */
+  async refresh(ig, maxAgeMs = 60000) {
+    if (Date.now() - this.refreshedAt < maxAgeMs) return;
+    this.refreshedAt = Date.now();
+
+    try {
+      const { user_presence: presence = {} } = await ig.direct.getPresence();
+      for (const [userId, state] of Object.entries(presence)) {
+        this.handlePresence({ user_id: userId, ...state });
+      }
+    } catch (error) {
+      logger.warn('Failed to refresh presence:', error.message);
+    }
+  }
+
+  cleanup() {
+    for (const typists of this.typing.values()) {
+      typists.forEach(timer => clearTimeout(timer));
+    }
+    this.typing.clear();
+  }
+}
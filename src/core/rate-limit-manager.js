@@ -0,0 +1,232 @@
+import { logger, RateLimiter } from '../utils/utils.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+const SEND_KEY = 'send:global';
+// How often windows without a hit left are dropped from memory
+const SWEEP_INTERVAL_MS = 5 * 60000;
+
+/**
+ * Command, notice and send windows. Users are keyed by pk, like roles, since
+ * usernames can change.
+ */
+export class RateLimitManager {
+  constructor(options = config.rateLimit) {
+    this.options = options;
+    this.limiter = new RateLimiter();
+    this.bypassUsers = new Set(); // user pks
+    this.db = null;
+    this.lastSweepAt = Date.now();
+    // Longest window in use, commands may override theirs
+    this.longestWindowMs = Math.max(0, ...['user', 'command', 'thread', 'send', 'notice']
+      .map(scope => options?.[scope]?.windowMs || 0));
+  }
+
+  get enabled() {
+    return this.options?.enabled !== false;
+  }
+
+  async initialize() {
+    if (!this.options?.persist || !config.database?.enabled) {
+      return;
+    }
+
+    try {
+      this.db = await connectDb();
+      const collection = this.db.collection('rate_limits');
+      await collection.createIndex({ key: 1 }, { unique: true });
+      // Let MongoDB drop windows that have fully expired
+      await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+      const entries = await collection.find({ expiresAt: { $gt: new Date() } }).toArray();
+      for (const entry of entries) {
+        this.limiter.set(entry.key, entry.hits);
+      }
+
+      // Entries from before bypasses were keyed by pk only have a username and are dropped
+      await this.db.collection('rate_limit_bypass').deleteMany({ userId: { $exists: false } });
+      const bypass = await this.db.collection('rate_limit_bypass').find().toArray();
+      for (const entry of bypass) {
+        this.bypassUsers.add(entry.userId);
+      }
+
+      logger.info(`⏰ Restored ${entries.length} rate limit windows from database`);
+    } catch (error) {
+      logger.error('Failed to restore rate limits:', error.message);
+      this.db = null;
+    }
+  }
+
+  /**
+   * Checks the user, thread and per-command windows for a command invocation.
+   * A hit is only recorded in every window when none of them is exhausted.
+   * @returns {null | { scope: string, retryAfterMs: number }}
+   */
+  async checkCommand(message, commandName, command) {
+    if (!this.enabled) return null;
+
+    const userId = String(message.sender);
+    if (this.isBypassed(userId)) return null;
+    this.sweep();
+
+    const windows = [
+      { scope: 'user', key: `user:${userId}`, limit: this.options.user },
+      { scope: 'thread', key: `thread:${message.threadId}`, limit: this.options.thread },
+      {
+        scope: 'command',
+        key: `command:${commandName}:${userId}`,
+        // `rateLimit: false` in a command definition opts out of the per-command window
+        limit: command.rateLimit === undefined ? this.options.command : command.rateLimit
+      }
+    ].filter(window => window.limit);
+
+    for (const { limit } of windows) {
+      this.longestWindowMs = Math.max(this.longestWindowMs, limit.windowMs);
+    }
+
+    for (const { scope, key, limit } of windows) {
+      if (this.limiter.check(key, limit.max, limit.windowMs)) {
+        return { scope, retryAfterMs: this.limiter.retryAfter(key, limit.max, limit.windowMs) };
+      }
+    }
+
+    for (const { key, limit } of windows) {
+      this.limiter.hit(key);
+      await this.persist(key, limit.windowMs);
+    }
+    return null;
+  }
+
+  /**
+   * Whether the sender may get another notice (unknown command, missing role, please
+   * wait) in the current window. Records the notice when allowed, so a user flooding
+   * the bot gets one answer per window instead of one per message.
+   */
+  async allowNotice(message) {
+    const limit = this.options?.notice;
+    const userId = String(message.sender);
+    if (!this.enabled || !limit || this.isBypassed(userId)) return true;
+    this.sweep();
+
+    const key = `notice:${userId}`;
+    if (this.limiter.check(key, limit.max, limit.windowMs)) return false;
+    this.limiter.hit(key);
+    await this.persist(key, limit.windowMs);
+    return true;
+  }
+
+  // Drops windows of users who stopped sending, at most every SWEEP_INTERVAL_MS
+  sweep(now = Date.now()) {
+    if (now - this.lastSweepAt < SWEEP_INTERVAL_MS) return;
+    this.lastSweepAt = now;
+    this.limiter.sweep(this.longestWindowMs);
+  }
+
+  /**
+   * Waits until the global outgoing budget allows another send, then records it.
+   * Keeps bursts of replies from looking like automated traffic.
+   */
+  async acquireSendSlot() {
+    const limit = this.options?.send;
+    if (!this.enabled || !limit) return;
+
+    let waitMs = this.limiter.retryAfter(SEND_KEY, limit.max, limit.windowMs);
+    while (waitMs > 0) {
+      logger.warn(`⏰ Outgoing send budget exhausted, waiting ${Math.ceil(waitMs / 1000)}s...`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+      waitMs = this.limiter.retryAfter(SEND_KEY, limit.max, limit.windowMs);
+    }
+
+    this.limiter.hit(SEND_KEY);
+    await this.persist(SEND_KEY, limit.windowMs);
+  }
+
+  async persist(key, windowMs) {
+    if (!this.db) return;
+
+    try {
+      const hits = this.limiter.get(key);
+      await this.db.collection('rate_limits').updateOne(
+        { key },
+        { $set: { hits, expiresAt: new Date(hits[hits.length - 1] + windowMs) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Failed to persist rate limit:', error.message);
+    }
+  }
+
+  isBypassed(userId) {
+    return userId != null && this.bypassUsers.has(String(userId));
+  }
+
+  async setBypass(userId, enabled) {
+    userId = String(userId);
+    if (enabled) {
+      this.bypassUsers.add(userId);
+    } else {
+      this.bypassUsers.delete(userId);
+    }
+
+    if (!this.db) return;
+
+    try {
+      const collection = this.db.collection('rate_limit_bypass');
+      if (enabled) {
+        await collection.updateOne({ userId }, { $set: { userId, updatedAt: new Date() } }, { upsert: true });
+      } else {
+        await collection.deleteOne({ userId });
+      }
+    } catch (error) {
+      logger.error('Failed to persist rate limit bypass:', error.message);
+    }
+  }
+
+  /**
+   * Clears every window for a user pk, or every window when no user is given.
+   * @returns {number} number of cleared windows
+   */
+  async reset(userId) {
+    const keys = userId
+      ? this.limiter.keys().filter(key => key.endsWith(`:${userId}`))
+      : this.limiter.keys();
+
+    for (const key of keys) {
+      this.limiter.clear(key);
+    }
+
+    if (this.db) {
+      try {
+        await this.db.collection('rate_limits').deleteMany({ key: { $in: keys } });
+      } catch (error) {
+        logger.error('Failed to reset rate limits:', error.message);
+      }
+    }
+
+    return keys.length;
+  }
+
+  getUsage(userId) {
+    userId = String(userId);
+    const userLimit = this.options.user;
+
+    return {
+      bypassed: this.isBypassed(userId),
+      user: userLimit ? this.limiter.prune(`user:${userId}`, userLimit.windowMs).length : 0,
+      userMax: userLimit?.max,
+      commands: this.limiter.keys()
+        .filter(key => key.startsWith('command:') && key.endsWith(`:${userId}`))
+        .map(key => ({ command: key.split(':')[1], hits: this.limiter.get(key).length }))
+        .filter(entry => entry.hits > 0)
+    };
+  }
+
+  getSendUsage() {
+    const limit = this.options?.send;
+    return {
+      sent: limit ? this.limiter.prune(SEND_KEY, limit.windowMs).length : 0,
+      max: limit?.max,
+      windowMs: limit?.windowMs
+    };
+  }
+}
@@ -1,16 +1,68 @@
-import { withRealtime } from '../index.js';
+import fs from 'fs';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { withRealtime, withFbnsAndRealtime } from '../index.js';
 import { IgApiClient } from 'instagram-private-api';
 import { logger } from '../utils/utils.js';
 import { config } from '../config.js';
 import { SessionManager } from './session-manager.js';
 import { MessageHandler } from './message-handler.js';
 import { ModuleManager } from './module-manager.js';
+import { RateLimitManager } from './rate-limit-manager.js';
+import { PrefixManager } from './prefix-manager.js';
+import { PermissionManager } from './permission-manager.js';
+import { MessageTracker, toMicros } from './message-tracker.js';
+import { IrisStateManager } from './iris-state-manager.js';
+import { OutboundQueue } from './outbound-queue.js';
+import { normalizeItem } from './message-normalizer.js';
+import { ThreadWatcher } from './thread-watcher.js';
+import { PresenceTracker } from './presence-tracker.js';
+import { SubscriptionManager } from './subscription-manager.js';
+import { FbnsManager } from './fbns-manager.js';
+
+// How long the server has to answer an item sent over realtime
+const SEND_RESPONSE_TIMEOUT_MS = 10000;
+// mqtts rejects publishes in flight with these when the connection goes away
+const DISCONNECT_ERRORS = ['AbortError', 'FlowStoppedError', 'EndOfStreamError', 'IllegalStateError'];
+
+// The server refused an item on /ig_send_message_response
+class SendMessageError extends Error {
+  constructor(message, response) {
+    super(message);
+    this.name = 'SendMessageError';
+    this.response = response;
+  }
+}
+
+// No answer on /ig_send_message_response, the item may or may not have been sent
+class SendResponseTimeoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SendResponseTimeoutError';
+  }
+}
 
 export class InstagramRealtimeBot {
   constructor() {
-    // Use the extended client with realtime capabilities
-    this.ig = withRealtime(new IgApiClient());
+    // Use the extended client with realtime (and optionally FBNS push) capabilities
+    this.ig = config.fbns.enabled ? withFbnsAndRealtime(new IgApiClient()) : withRealtime(new IgApiClient());
     this.sessionManager = new SessionManager(this.ig);
+    this.rateLimits = new RateLimitManager();
+    this.prefixes = new PrefixManager();
+    this.permissions = new PermissionManager(this.ig);
+    this.tracker = new MessageTracker();
+    this.iris = new IrisStateManager();
+    this.outbound = new OutboundQueue(job => this.performAction(job));
+    this.threadWatcher = new ThreadWatcher(() => this.ig.state.cookieUserId);
+    this.subscriptions = new SubscriptionManager(
+      () => (this.isRealtimeConnected ? this.ig.realtime : null),
+      () => this.ig.state.cookieUserId
+    );
+    this.presence = new PresenceTracker(update => this.moduleManager.processUpdate({
+      ...update,
+      username: this.threadWatcher.getUsername(update.userId)
+    }));
+    this.fbns = new FbnsManager(this.ig, update => this.handlePush(update), () => this.sessionManager.save());
     this.moduleManager = new ModuleManager(this);
     this.messageHandler = new MessageHandler(this, this.moduleManager, null);
     
@@ -19,13 +71,28 @@ export class InstagramRealtimeBot {
     this.isPolling = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 3;
-    this.pollingInterval = null;
-    this.lastMessageCheck = new Date();
+    this.pollingTimer = null;
+    this.pollingDueAt = 0;
+    this.pollRunning = false;
+    this.pollWakePending = false;
+    this.lastPollAt = 0;
+    this.pollDelay = config.polling.intervalMs;
+    this.lastProbeAt = 0;
+    this.listenersAttached = false;
+    this.backfillRunning = false;
+    this.backfillPending = false;
+    // Realtime item sends waiting for their answer, by client_context (the job id)
+    this.pendingSends = new Map();
+    this.sendResponseTimeoutMs = SEND_RESPONSE_TIMEOUT_MS;
   }
 
-  async login() {
+  /**
+   * @param {import('../tg-bridge/bridge.js').TelegramBridge | null} telegramBridge - asked for login codes
+   */
+  async login(telegramBridge = null) {
     try {
       logger.info('🔐 Logging into Instagram...');
+      this.sessionManager.setAdminChannel(telegramBridge);
       const success = await this.sessionManager.login();
       if (success) {
         logger.info('✅ Instagram login successful');
@@ -39,17 +106,35 @@ export class InstagramRealtimeBot {
   }
 
   async setupMessageHandlers(telegramBridge) {
+    await this.rateLimits.initialize();
+    await this.prefixes.initialize();
+    await this.permissions.initialize();
+    await this.tracker.initialize();
+    await this.iris.initialize();
+    await this.outbound.initialize();
+    await this.fbns.initialize();
+
     // Load modules first
+    this.moduleManager.telegramBridge = telegramBridge;
     await this.moduleManager.loadModules();
     
     // Update message handler with telegram bridge
     this.messageHandler = new MessageHandler(this, this.moduleManager, telegramBridge);
+
+    // Logged in by now, so actions restored from the queue can go out
+    this.outbound.start();
     
     // Setup Telegram reply handler
     if (telegramBridge?.enabled) {
       telegramBridge.onMessage(async (reply) => {
         if (reply.type === 'telegram_reply') {
-          await this.sendMessage(reply.threadId, reply.text);
+          // Telegram wants to know whether it arrived, so this waits for the send itself
+          if (reply.media) {
+            const sent = await (await this.sendUpload(reply.media.type, reply.threadId, reply.media.data)).done;
+            // The caption follows as a separate message
+            if (!sent || !reply.text) return sent;
+          }
+          return await (await this.sendMessage(reply.threadId, reply.text)).done;
         }
       });
     }
@@ -59,47 +144,20 @@ export class InstagramRealtimeBot {
     try {
       logger.info('🔌 Connecting to Instagram realtime...');
       
-      // Try to get initial inbox data for iris subscription
-      let inboxData = null;
-      try {
-        inboxData = await this.ig.feed.directInbox().request();
-        logger.info('✅ Inbox access successful');
-      } catch (error) {
-        logger.warn('⚠️ Cannot access inbox (account may be flagged), using fallback polling...');
-        await this.startFallbackPolling();
-        return;
-      }
-      
-      // Setup realtime event listeners
-      this.setupRealtimeListeners();
-      
-      // Connect to realtime with subscriptions
-      await this.ig.realtime.connect({
-        // GraphQL subscriptions for various real-time events
-        graphQlSubs: [
-          // App presence subscription
-          '1/graphqlsubscriptions/17846944882223835/{"input_data":{"client_subscription_id":"' + this.generateUUID() + '"}}',
-          // Direct status subscription  
-          '1/graphqlsubscriptions/17854499065530643/{"input_data":{"client_subscription_id":"' + this.generateUUID() + '"}}',
-          // Direct typing subscription
-          '1/graphqlsubscriptions/17867973967082385/{"input_data":{"user_id":"' + this.ig.state.cookieUserId + '"}}',
-        ],
-        
-        // Iris subscription for direct messages
-        irisData: {
-          seq_id: inboxData.seq_id || 0,
-          snapshot_at_ms: inboxData.snapshot_at_ms || Date.now()
-        },
-        
-        // Connection settings
-        connectOverrides: {
-          keepAliveTimeout: 60,
+      // Resume the MessageSync stream from the stored seq_id when possible
+      let irisData = this.iris.getSubscription();
+      if (!irisData) {
+        try {
+          irisData = await this.fetchIrisSnapshot();
+          logger.info('✅ Inbox access successful');
+        } catch (error) {
+          logger.warn('⚠️ Cannot access inbox (account may be flagged), using fallback polling...');
+          await this.startFallbackPolling();
+          return;
         }
-      });
+      }
 
-      this.isRealtimeConnected = true;
-      this.reconnectAttempts = 0;
-      logger.info('✅ Instagram realtime connected successfully');
+      await this.openRealtime(irisData);
       
     } catch (error) {
       logger.error('❌ Failed to connect to realtime:', error.message);
@@ -108,10 +166,54 @@ export class InstagramRealtimeBot {
     }
   }
 
+  async openRealtime(irisData) {
+    // Setup realtime event listeners
+    this.setupRealtimeListeners();
+    
+    // Connect to realtime with the configured and runtime GraphQL/Skywalker subscriptions
+    await this.ig.realtime.connect({
+      ...this.subscriptions.getConnectSubs(),
+      
+      // Connection settings
+      connectOverrides: {
+        keepAliveTimeout: 60,
+      },
+
+      // handleReconnection() reconnects, so every reconnect subscribes with the current seq_id
+      autoReconnect: false
+    });
+
+    // Iris subscription for direct messages
+    await this.ig.realtime.irisSubscribe(irisData);
+
+    this.isRealtimeConnected = true;
+    this.reconnectAttempts = 0;
+    logger.info(`✅ Instagram realtime connected successfully (seq_id ${irisData.seq_id})`);
+
+    // Pick up whatever arrived while we were not connected
+    this.backfill('connect');
+  }
+
+  // Inbox snapshot to start the MessageSync stream from
+  async fetchIrisSnapshot() {
+    const inboxData = await this.ig.feed.directInbox().request();
+    const irisData = {
+      seq_id: inboxData.seq_id || 0,
+      snapshot_at_ms: inboxData.snapshot_at_ms || Date.now()
+    };
+    await this.iris.reset(irisData.seq_id, irisData.snapshot_at_ms);
+    return irisData;
+  }
+
   setupRealtimeListeners() {
+    // The realtime client keeps its listeners across reconnects
+    if (this.listenersAttached) return;
+    this.listenersAttached = true;
+
     // Handle incoming direct messages
     this.ig.realtime.on('message', async (messageWrapper) => {
       try {
+        this.trackSequence(messageWrapper.seq_id);
         await this.handleRealtimeMessage(messageWrapper);
       } catch (error) {
         logger.error('Error handling realtime message:', error.message);
@@ -121,27 +223,76 @@ export class InstagramRealtimeBot {
     // Handle thread updates (user joins/leaves, etc.)
     this.ig.realtime.on('threadUpdate', async (threadUpdate) => {
       try {
+        this.trackSequence(threadUpdate.seq_id);
         logger.debug('Thread update received:', threadUpdate.meta);
+        // Inbox updates carry the whole thread: title, participants and read receipts
+        if (threadUpdate.meta?.path?.startsWith('/direct_v2/inbox/threads/') && threadUpdate.meta.thread_id) {
+          await this.processThreadChanges({ ...threadUpdate.update, thread_id: threadUpdate.meta.thread_id });
+          return;
+        }
+        const itemUpdate = this.parseItemUpdate({ ...threadUpdate.update, ...threadUpdate.meta });
+        if (itemUpdate) {
+          await this.moduleManager.processUpdate(itemUpdate);
+        }
       } catch (error) {
         logger.error('Error handling thread update:', error.message);
       }
     });
 
-    // Handle typing indicators
-    this.ig.realtime.on('direct', async (directData) => {
+    // Iris events without thread data still advance the sequence
+    this.ig.realtime.on('iris', (irisData) => {
+      this.trackSequence(irisData.seq_id);
+    });
+
+    this.ig.realtime.on('receive', async (topic, messages) => {
+      // /ig_send_message_response answers the items the bot sent
+      if (topic?.id === '133') {
+        for (const message of messages || []) {
+          this.handleSendResponse(message?.data);
+        }
+        return;
+      }
+
+      // A rejected iris subscription (e.g. seq_id too old) means starting from a new snapshot
+      if (topic?.id !== '135') return;
       try {
-        if (directData.op === 'replace' && directData.path?.includes('activity_indicator_id')) {
-          logger.debug(`User typing in thread: ${this.extractThreadId(directData.path)}`);
+        const response = messages?.[0]?.data;
+        if (response && response.succeeded === false) {
+          logger.warn(`⚠️ Iris subscription rejected (${response.error_message || response.error_type}), resubscribing from a fresh snapshot...`);
+          await this.ig.realtime.irisSubscribe(await this.fetchIrisSnapshot());
+          await this.backfill('iris resubscribe');
         }
+      } catch (error) {
+        logger.error('Error handling iris subscription response:', error.message);
+      }
+    });
+
+    // Handle typing indicators
+    this.ig.realtime.on('direct', (directData) => {
+      try {
+        this.presence.handleDirect(directData);
       } catch (error) {
         logger.error('Error handling direct event:', error.message);
       }
     });
 
+    // Online state of contacts, from the app presence subscription
+    this.ig.realtime.on('appPresence', (data) => {
+      try {
+        if (data?.presence_event) {
+          this.presence.handlePresence(data.presence_event);
+        }
+      } catch (error) {
+        logger.error('Error handling presence event:', error.message);
+      }
+    });
+
     // Handle connection errors
     this.ig.realtime.on('error', async (error) => {
       logger.error('Realtime connection error:', error.message);
       this.isRealtimeConnected = false;
+      // While polling, probeRealtime() decides when to try again
+      if (this.isPolling) return;
       await this.handleReconnection();
     });
 
@@ -149,6 +300,7 @@ export class InstagramRealtimeBot {
     this.ig.realtime.on('disconnect', async () => {
       logger.warn('⚠️ Realtime connection lost');
       this.isRealtimeConnected = false;
+      if (this.isPolling) return;
       await this.handleReconnection();
     });
 
@@ -161,9 +313,31 @@ export class InstagramRealtimeBot {
   async handleRealtimeMessage(messageWrapper) {
     try {
       const { message } = messageWrapper;
-      
+      if (!message) {
+        return;
+      }
+
+      // Edits, unsends and reactions arrive on item paths too
+      const itemUpdate = this.parseItemUpdate(message);
+      if (itemUpdate) {
+        logger.debug(`Item ${itemUpdate.type} in thread ${itemUpdate.threadId}: ${itemUpdate.itemId}`);
+        await this.moduleManager.processUpdate(itemUpdate);
+        return;
+      }
+
+      // Read receipts carry an item_id as well, but are no new item
+      const receipt = message.path?.match(/^\/direct_v2\/threads\/(\d+)\/participants\/(\d+)\/has_seen/);
+      if (receipt) {
+        const seen = this.threadWatcher.observeSeen(receipt[1], receipt[2], message.item_id, message.timestamp);
+        if (seen) {
+          this.presence.noteActivity(seen.userId, seen.timestamp);
+          await this.moduleManager.processUpdate(seen);
+        }
+        return;
+      }
+
       // Skip if no message data
-      if (!message || !message.item_id) {
+      if (!message.item_id) {
         return;
       }
 
@@ -179,126 +353,328 @@ export class InstagramRealtimeBot {
         return;
       }
 
-      // Get thread details to find sender info
-      const thread = await this.getThreadInfo(threadId);
-      if (!thread) {
-        logger.warn(`Could not get thread info for ${threadId}`);
+      // Replays after a reconnect - don't spend a thread lookup on them
+      if (this.tracker.isSeen(threadId, message.item_id, message.timestamp)) {
         return;
       }
 
-      const sender = thread.users?.find(u => u.pk?.toString() === message.user_id?.toString());
-      
-      const processedMessage = {
-        id: message.item_id,
-        text: message.text || this.extractMessageText(message),
-        sender: message.user_id,
-        senderUsername: sender?.username || 'Unknown',
-        senderDisplayName: sender?.full_name || sender?.username || 'Unknown',
-        timestamp: new Date(parseInt(message.timestamp) / 1000),
-        threadId: threadId,
-        threadTitle: thread.thread_title || 'Direct Message',
-        type: message.item_type || 'text',
-        shouldForward: true,
-        rawMessage: message
-      };
+      // The thread's slot is taken right away, the thread lookup happens inside it
+      await this.dispatchMessage(threadId, async () => {
+        // Get thread details to find sender info
+        const thread = await this.getThreadInfo(threadId);
+        if (!thread) {
+          logger.warn(`Could not get thread info for ${threadId}`);
+          return null;
+        }
 
-      logger.info(`📨 [REALTIME] New message from @${processedMessage.senderUsername}: ${processedMessage.text}`);
-      
-      // Process the message through our handler
-      await this.messageHandler.handleMessage(processedMessage);
+        const processedMessage = this.buildMessage(message, { ...thread, thread_id: threadId });
+        logger.info(`📨 [REALTIME] New message from @${processedMessage.senderUsername}: ${processedMessage.text}`);
+        return processedMessage;
+      });
 
     } catch (error) {
       logger.error('Error processing realtime message:', error.message);
     }
   }
 
+  trackSequence(seqId) {
+    const gap = this.iris.observe(seqId);
+    if (gap) {
+      logger.warn(`⚠️ Missed iris events ${gap.from}-${gap.to}, backfilling...`);
+      this.backfill(`seq_id gap ${gap.from}-${gap.to}`);
+    }
+  }
+
+  /**
+   * Reads threads that changed since their cursor through the thread feed.
+   * Runs once at a time, a request while running is folded into one more run.
+   */
+  async backfill(reason) {
+    if (this.backfillRunning) {
+      this.backfillPending = true;
+      return;
+    }
+
+    this.backfillRunning = true;
+    try {
+      logger.debug(`Backfilling missed items (${reason})`);
+      const threads = await this.ig.feed.directInbox().items();
+
+      for (const thread of threads) {
+        await this.processThreadChanges(thread);
+        if (!this.tracker.hasUnseenActivity(thread.thread_id, thread.last_activity_at)) continue;
+        await this.checkThreadMessages(thread);
+        await this.delay(1000);
+      }
+    } catch (error) {
+      logger.error('Backfill failed:', error.message);
+    } finally {
+      this.backfillRunning = false;
+      if (this.backfillPending) {
+        this.backfillPending = false;
+        await this.backfill('queued');
+      }
+    }
+  }
+
+  /**
+   * Recognizes MessageSync operations that change an existing item instead of adding one.
+   * @returns {null | { type: 'edit' | 'delete' | 'reaction', threadId: string, itemId: string }}
+   */
+  parseItemUpdate(message) {
+    const match = message.path?.match(/^\/direct_v2\/threads\/(\d+)\/items\/(\d+)(?:\/reactions\/(likes|emojis)\/(\d+))?/);
+    if (!match) return null;
+
+    const [, threadId, itemId, reactionKind, reactionSender] = match;
+    const timestamp = message.timestamp ? new Date(parseInt(message.timestamp) / 1000) : new Date();
+
+    if (reactionKind) {
+      return {
+        type: 'reaction',
+        threadId,
+        itemId,
+        removed: message.op === 'remove',
+        senderId: String(message.sender_id || reactionSender),
+        emoji: message.emoji || '❤️',
+        timestamp
+      };
+    }
+
+    if (message.op === 'remove') {
+      return { type: 'delete', threadId, itemId, timestamp };
+    }
+
+    if (message.op === 'replace' && message.item_id) {
+      return {
+        type: 'edit',
+        threadId,
+        itemId,
+        senderId: message.user_id?.toString(),
+        text: normalizeItem(message).text,
+        timestamp: new Date(),
+        rawMessage: message
+      };
+    }
+
+    return null;
+  }
+
   // FALLBACK POLLING SYSTEM FOR FLAGGED ACCOUNTS
   async startFallbackPolling() {
     if (this.isPolling) return;
     
     this.isPolling = true;
     this.isRealtimeConnected = false;
+    this.pollDelay = config.polling.intervalMs;
+    this.lastProbeAt = Date.now();
     
     logger.info('🔄 Starting fallback polling mode (safe for flagged accounts)...');
-    
-    // Use longer intervals to avoid further flags
-    const pollInterval = 45000; // 45 seconds - much safer
-    
-    this.pollingInterval = setInterval(async () => {
-      if (this.isPolling) {
+    this.scheduleNextPoll();
+    logger.info(`✅ Fallback polling started (~${Math.round(this.pollDelay / 1000)}s intervals)`);
+  }
+
+  stopFallbackPolling() {
+    this.isPolling = false;
+    if (this.pollingTimer) {
+      clearTimeout(this.pollingTimer);
+      this.pollingTimer = null;
+    }
+  }
+
+  // Randomized so requests don't arrive on a fixed beat
+  scheduleNextPoll() {
+    const jitter = 1 + (Math.random() * 2 - 1) * config.polling.jitter;
+    // A push that arrived while polling may not be covered by that poll
+    const delay = this.pollWakePending ? config.polling.minIntervalMs : Math.round(this.pollDelay * jitter);
+    this.pollWakePending = false;
+    this.pollingDueAt = Date.now() + delay;
+    this.pollingTimer = setTimeout(() => this.pollOnce(), delay);
+  }
+
+  /**
+   * Polls early because something (a direct push) says the inbox changed.
+   * Never polls more often than POLL_MIN_INTERVAL_SECONDS.
+   */
+  wakePolling(reason) {
+    if (!this.isPolling) return;
+    if (this.pollRunning) {
+      this.pollWakePending = true;
+      return;
+    }
+
+    const dueAt = Math.max(Date.now() + 1000, this.lastPollAt + config.polling.minIntervalMs);
+    if (dueAt >= this.pollingDueAt) return;
+
+    logger.debug(`⏰ ${reason}, polling in ${Math.round((dueAt - Date.now()) / 1000)}s`);
+    clearTimeout(this.pollingTimer);
+    this.pollingDueAt = dueAt;
+    this.pollingTimer = setTimeout(() => this.pollOnce(), dueAt - Date.now());
+  }
+
+  async pollOnce() {
+    if (!this.isPolling) return;
+    const options = config.polling;
+    this.pollRunning = true;
+    this.lastPollAt = Date.now();
+
+    try {
+      const activity = await this.checkForNewMessages();
+
+      // Busy inboxes are polled faster, quiet ones slower
+      this.pollDelay = activity > 0
+        ? Math.max(options.minIntervalMs, this.pollDelay / 2)
+        : Math.min(options.maxIntervalMs, this.pollDelay * 1.25);
+
+      if (Date.now() - this.lastProbeAt >= options.probeIntervalMs) {
+        this.lastProbeAt = Date.now();
+        if (await this.probeRealtime()) {
+          this.pollRunning = false;
+          return;
+        }
+      }
+    } catch (error) {
+      if (error.message.includes('login_required')) {
+        logger.warn('Login required, attempting re-login...');
         try {
-          await this.checkForNewMessages();
-        } catch (error) {
-          if (error.message.includes('login_required')) {
-            logger.warn('Login required, attempting re-login...');
-            try {
-              await this.login();
-            } catch (loginError) {
-              logger.error('Re-login failed:', loginError.message);
-            }
-          } else if (error.message.includes('403') || error.message.includes('429')) {
-            logger.warn('Rate limited, increasing poll interval...');
-            // Temporarily increase interval when rate limited
-            clearInterval(this.pollingInterval);
-            setTimeout(() => {
-              if (this.isPolling) {
-                this.startFallbackPolling();
-              }
-            }, 120000); // Wait 2 minutes before resuming
-          }
+          await this.login();
+        } catch (loginError) {
+          logger.error('Re-login failed:', loginError.message);
         }
+      } else if (this.isThrottled(error)) {
+        this.pollDelay = Math.min(options.maxBackoffMs, Math.max(this.pollDelay, options.intervalMs) * 2);
+        logger.warn(`Rate limited, next poll in ~${Math.round(this.pollDelay / 1000)}s`);
+      } else {
+        logger.error('Polling error:', error.message);
       }
-    }, pollInterval);
-    
-    logger.info(`✅ Fallback polling started (${pollInterval/1000}s intervals)`);
+    }
+
+    this.pollRunning = false;
+    if (this.isPolling) {
+      this.scheduleNextPoll();
+    }
   }
 
-  async checkForNewMessages() {
+  isThrottled(error) {
+    const status = error.response?.statusCode;
+    return status === 429 || status === 403 || /\b(429|403)\b/.test(error.message);
+  }
+
+  // Tries realtime again while polling, polling stops once it is back
+  async probeRealtime() {
+    logger.info('🔍 Probing realtime connection...');
     try {
-      const inboxFeed = this.ig.feed.directInbox();
-      const inbox = await inboxFeed.items();
-      
-      if (!inbox?.length) return;
+      await this.openRealtime(this.iris.getSubscription() || (await this.fetchIrisSnapshot()));
+      this.stopFallbackPolling();
+      logger.info('✅ Realtime is back, fallback polling stopped');
+      return true;
+    } catch (error) {
+      logger.info(`Realtime still unavailable: ${error.message}`);
+      this.isRealtimeConnected = false;
+      try {
+        await this.ig.realtime.disconnect();
+      } catch (disconnectError) {
+        // Nothing was connected
+      }
+      return false;
+    }
+  }
 
-      // Only check first 3 threads to reduce API calls
-      for (const thread of inbox.slice(0, 3)) {
-        await this.checkThreadMessages(thread);
-        await this.delay(3000); // 3 second delay between threads
+  /**
+   * Walks the inbox, most recently active threads first, and reads every thread
+   * with activity newer than its cursor. Unchanged threads are skipped, not a reason
+   * to stop: pinned threads or activity without a new item break the order. Paging
+   * stops after a page without any changed thread.
+   * @returns {number} number of new items found
+   */
+  async checkForNewMessages() {
+    const inboxFeed = this.ig.feed.directInbox();
+    let found = 0;
+
+    for (let page = 0; page < config.polling.maxPages; page++) {
+      const threads = await inboxFeed.items();
+      let changed = 0;
+
+      for (const thread of threads) {
+        await this.processThreadChanges(thread);
+        if (!this.tracker.hasUnseenActivity(thread.thread_id, thread.last_activity_at)) continue;
+
+        changed++;
+        found += await this.checkThreadMessages(thread);
+        await this.delay(1500 + Math.random() * 1500);
       }
 
-    } catch (error) {
-      throw error;
+      if (!changed || !inboxFeed.isMoreAvailable()) break;
     }
+
+    return found;
   }
 
+  /**
+   * Reads a thread back to the first already handled item and handles the rest oldest first.
+   * @returns {number} number of new items
+   */
   async checkThreadMessages(thread) {
     try {
       const threadFeed = this.ig.feed.directThread({ thread_id: thread.thread_id });
-      const messages = await threadFeed.items();
-      
-      if (!messages?.length) return;
+      const newMessages = [];
+      // Stopped at the page limit with unread items left
+      let truncated = true;
 
-      const latestMessage = messages[0];
-      
-      if (this.isNewMessage(latestMessage)) {
-        await this.handlePollingMessage(latestMessage, thread);
+      for (let page = 0; page < config.polling.maxPages; page++) {
+        const items = await threadFeed.items();
+        const unseen = items.filter(item => !this.tracker.isSeen(thread.thread_id, item.item_id, item.timestamp));
+        newMessages.push(...unseen);
+
+        // A handled item means everything older was handled as well
+        if (unseen.length < items.length || !threadFeed.isMoreAvailable()) {
+          truncated = false;
+          break;
+        }
       }
 
+      // The feed is newest first. The whole batch takes its queue slots at once, so a
+      // realtime item arriving meanwhile lines up behind it instead of between its items
+      newMessages.sort((a, b) => toMicros(a.timestamp) - toMicros(b.timestamp));
+      await Promise.all(newMessages.map(item => this.handlePollingMessage(item, thread)));
+
+      if (truncated) {
+        // The thread was not read to the end, only what was read counts as seen
+        logger.warn(`Thread ${thread.thread_id} has more than ${config.polling.maxPages} pages of new items, older ones were not read`);
+        if (newMessages.length) this.tracker.advanceFloor(thread.thread_id, newMessages[0].timestamp);
+      } else {
+        // Our own messages are never claimed, don't read the thread again for them
+        this.tracker.advanceFloor(thread.thread_id, thread.last_activity_at);
+      }
+      return newMessages.length;
+
     } catch (error) {
+      if (this.isThrottled(error)) throw error;
       // Silent fail for thread errors to avoid spam
       logger.debug('Thread check error:', error.message);
+      return 0;
     }
   }
 
-  isNewMessage(message) {
-    const messageTime = new Date(message.timestamp / 1000);
-    const isNew = messageTime > this.lastMessageCheck;
-    
-    if (isNew) {
-      this.lastMessageCheck = messageTime;
-    }
-    
-    return isNew;
+  /**
+   * Every transport ends up here, so an item is handled exactly once and
+   * items of the same thread are handled one after another.
+   * Callers must not await anything before this: the queue slot is taken in arrival
+   * order, `build` (which may look the thread up) runs inside the slot.
+   * @param {() => object | null | Promise<object | null>} build - the message, null to skip
+   */
+  dispatchMessage(threadId, build) {
+    return this.tracker.enqueue(threadId, async () => {
+      const message = await build();
+      if (!message) return;
+
+      const timestamp = message.rawMessage?.timestamp ?? message.timestamp;
+      if (!this.tracker.claim(message.threadId, message.id, timestamp)) {
+        logger.debug(`Skipping item ${message.id}, handled before`);
+        return;
+      }
+      this.presence.noteActivity(message.sender, message.timestamp);
+      await this.messageHandler.handleMessage(message);
+    });
   }
 
   async handlePollingMessage(message, thread) {
@@ -308,60 +684,69 @@ export class InstagramRealtimeBot {
         return;
       }
 
-      const sender = thread.users.find(u => u.pk.toString() === message.user_id.toString());
-      
-      const processedMessage = {
-        id: message.item_id,
-        text: message.text || this.extractMessageText(message),
-        sender: message.user_id,
-        senderUsername: sender?.username || 'Unknown',
-        senderDisplayName: sender?.full_name || sender?.username || 'Unknown',
-        timestamp: new Date(message.timestamp / 1000),
-        threadId: thread.thread_id,
-        threadTitle: thread.thread_title || 'Direct Message',
-        type: message.item_type || 'text',
-        shouldForward: true,
-        rawMessage: message
-      };
-
-      logger.info(`📨 [POLLING] New message from @${processedMessage.senderUsername}: ${processedMessage.text}`);
-      
-      await this.messageHandler.handleMessage(processedMessage);
+      await this.dispatchMessage(thread.thread_id, () => {
+        const processedMessage = this.buildMessage(message, thread);
+        logger.info(`📨 [POLLING] New message from @${processedMessage.senderUsername}: ${processedMessage.text}`);
+        return processedMessage;
+      });
 
     } catch (error) {
       logger.error('Handle polling message error:', error.message);
     }
   }
 
-  extractMessageText(message) {
-    // Handle different message types
-    switch (message.item_type) {
-      case 'text':
-        return message.text || '';
-      case 'media':
-        return message.media?.caption?.text || '[Media]';
-      case 'media_share':
-        return `[Shared: ${message.media_share?.caption?.text || 'Media'}]`;
-      case 'like':
-        return '❤️';
-      case 'hashtag':
-        return `#${message.hashtag?.name || 'hashtag'}`;
-      case 'location':
-        return `📍 ${message.location?.name || 'Location'}`;
-      case 'profile':
-        return `👤 @${message.profile?.username || 'user'}`;
-      case 'voice_media':
-        return '🎵 [Voice Message]';
-      case 'animated_media':
-        return '🎭 [GIF]';
-      default:
-        return `[${message.item_type || 'Unknown'}]`;
+  /**
+   * The message object handed to modules, identical for realtime and polling.
+   * Content fields (text, body, attachments, share, replyTo, mentions) come from normalizeItem.
+   */
+  buildMessage(item, thread) {
+    const findUser = userId => thread.users?.find(u => u.pk?.toString() === userId?.toString());
+    const sender = findUser(item.user_id);
+    const content = normalizeItem(item);
+
+    if (content.replyTo) {
+      content.replyTo.senderUsername = content.replyTo.senderId === String(this.ig.state.cookieUserId)
+        ? this.ig.state.cookieUsername
+        : findUser(content.replyTo.senderId)?.username || null;
     }
+
+    return {
+      ...content,
+      sender: item.user_id,
+      senderUsername: sender?.username || 'Unknown',
+      senderDisplayName: sender?.full_name || sender?.username || 'Unknown',
+      timestamp: new Date(toMicros(item.timestamp) / 1000),
+      threadId: thread.thread_id,
+      threadTitle: thread.thread_title || 'Direct Message',
+      isGroup: thread.is_group ?? (thread.users?.length > 1),
+      shouldForward: true,
+      rawMessage: item
+    };
+  }
+
+  // Renames, joins, leaves and read receipts found by comparing with the last look at a thread
+  async processThreadChanges(thread) {
+    for (const update of this.threadWatcher.observe(thread)) {
+      logger.debug(`Thread ${update.type} in ${update.threadId}`);
+      if (update.type === 'seen') {
+        this.presence.noteActivity(update.userId, update.timestamp);
+      }
+      await this.moduleManager.processUpdate(update);
+    }
+  }
+
+  // Push notifications from FBNS, see FbnsManager
+  async handlePush(update) {
+    if (update.kind === 'direct' || update.kind === 'storyReply') {
+      this.wakePolling(`Direct push for thread ${update.threadId}`);
+    }
+    await this.moduleManager.processUpdate(update);
   }
 
   async getThreadInfo(threadId) {
     try {
       const thread = await this.ig.entity.directThread(threadId).info();
+      await this.processThreadChanges(thread);
       return thread;
     } catch (error) {
       logger.error(`Failed to get thread info for ${threadId}:`, error.message);
@@ -397,65 +782,296 @@ export class InstagramRealtimeBot {
     }, delay);
   }
 
-  async sendMessage(threadId, text) {
-    try {
-      // Use realtime client for sending if available
-      if (this.ig.realtime && this.isRealtimeConnected) {
-        await this.ig.realtime.direct.sendText({
-          threadId: threadId,
-          text: text
-        });
-      } else {
-        // Fallback to regular API
-        await this.ig.entity.directThread(threadId).broadcastText(text);
-      }
-      return true;
-    } catch (error) {
-      logger.error('Failed to send message:', error.message);
-      return false;
+  /**
+   * Queues a text, resolving as soon as it is queued; `done` resolves once it was sent,
+   * with the item id and timestamp the server assigned. HTTP is only used when realtime
+   * is down, refused the item or dropped the connection, see withHttpFallback().
+   * Failed sends are retried by the outbound queue.
+   * The same result shape is returned by every other send method.
+   * @param {{ replyTo?: string }} [options] - item id to quote
+   * @returns {Promise<{ id: string, done: Promise<false | { itemId?: string, timestamp?: string, via: 'realtime' | 'http' }> }>}
+   */
+  async sendMessage(threadId, text, { replyTo } = {}) {
+    return await this.outbound.enqueue('text', threadId, replyTo ? { text, replyTo: String(replyTo) } : { text });
+  }
+
+  /**
+   * Uploads and sends a photo, video or voice note (MP4/M4A audio).
+   * @param {Buffer | string | { url?: string, path?: string }} source - data, a file path or an http(s) url
+   */
+  async sendPhoto(threadId, source) {
+    return await this.sendUpload('photo', threadId, source);
+  }
+
+  async sendVideo(threadId, source) {
+    return await this.sendUpload('video', threadId, source);
+  }
+
+  async sendVoice(threadId, source) {
+    return await this.sendUpload('voice', threadId, source);
+  }
+
+  async sendUpload(type, threadId, source) {
+    const media = await this.storeMedia(source);
+    const queued = await this.outbound.enqueue(type, threadId, media);
+    if (media.temporary) {
+      // A dropped upload leaves its file behind otherwise
+      queued.done.then(async result => {
+        if (result === false) await fs.promises.rm(media.path, { force: true });
+      }).catch(error => logger.warn(`Failed to remove ${media.path}:`, error.message));
+    }
+    return queued;
+  }
+
+  // Links found in `text` are used when no urls are given
+  async sendLink(threadId, text, urls = text.match(/https?:\/\/\S+/g) || []) {
+    return await this.outbound.enqueue('link', threadId, { text, urls });
+  }
+
+  async shareMedia(threadId, mediaId, text = '') {
+    return await this.outbound.enqueue('media_share', threadId, { mediaId, text });
+  }
+
+  async shareProfile(threadId, userId, text = '') {
+    return await this.outbound.enqueue('profile', threadId, { userId: String(userId), text });
+  }
+
+  async shareStory(threadId, storyId, { text = '', mediaType = 'photo' } = {}) {
+    return await this.outbound.enqueue('story_share', threadId, { storyId, text, mediaType });
+  }
+
+  /**
+   * Turns a media source into something the queue can persist.
+   * Buffers are written to the media directory so queued jobs stay small.
+   */
+  async storeMedia(source) {
+    if (Buffer.isBuffer(source)) {
+      const filePath = path.join(config.outbound.mediaDir, randomUUID());
+      await fs.promises.mkdir(config.outbound.mediaDir, { recursive: true });
+      await fs.promises.writeFile(filePath, source);
+      return { path: filePath, temporary: true };
+    }
+    if (typeof source === 'string') {
+      return /^https?:\/\//.test(source) ? { url: source } : { path: source };
+    }
+    if (source?.url || source?.path) {
+      return { url: source.url, path: source.path };
+    }
+    throw new Error('Media must be a Buffer, a file path or a url');
+  }
+
+  async loadMedia(media) {
+    if (media.path) {
+      return await fs.promises.readFile(media.path);
+    }
+
+    const response = await fetch(media.url);
+    if (!response.ok) {
+      throw new Error(`Downloading ${media.url} failed with HTTP ${response.status}`);
     }
+    return Buffer.from(await response.arrayBuffer());
   }
 
   async sendReaction(threadId, itemId, emoji = '❤️') {
-    try {
-      if (this.ig.realtime && this.isRealtimeConnected) {
-        await this.ig.realtime.direct.sendReaction({
-          threadId: threadId,
-          itemId: itemId,
-          emoji: emoji,
-          reactionStatus: 'created'
-        });
+    return await this.outbound.enqueue('reaction', threadId, { itemId, emoji });
+  }
+
+  async markAsSeen(threadId, itemId) {
+    return await this.outbound.enqueue('seen', threadId, { itemId });
+  }
+
+  /**
+   * Performs a queued action, over realtime when connected and over HTTP otherwise.
+   * Throws so the outbound queue retries it.
+   */
+  async performAction(job) {
+    const { threadId, payload } = job;
+
+    // Stay within the global outgoing budget
+    if (job.type !== 'seen' && job.type !== 'reaction') {
+      await this.rateLimits.acquireSendSlot();
+    }
+
+    switch (job.type) {
+      case 'text':
+        return await this.withHttpFallback(`send to ${threadId}`, job,
+          // sendText() only passes the text on, a quote needs the raw item
+          direct => direct.sendItem({
+            threadId,
+            itemType: 'text',
+            clientContext: job.id,
+            data: payload.replyTo
+              ? { text: payload.text, replied_to_item_id: payload.replyTo }
+              : { text: payload.text }
+          }),
+          () => payload.replyTo
+            // broadcastText() has no way to quote, so post the text item directly
+            ? this.ig.directThread.broadcast({
+              item: 'text',
+              threadIds: threadId,
+              form: { text: payload.text, replied_to_item_id: payload.replyTo }
+            })
+            : this.ig.entity.directThread(threadId).broadcastText(payload.text));
+
+      case 'reaction':
+        return await this.withHttpFallback(`reaction in ${threadId}`, null,
+          direct => direct.sendReaction({
+            threadId,
+            itemId: payload.itemId,
+            emoji: payload.emoji,
+            reactionStatus: 'created'
+          }),
+          () => this.ig.directThread.broadcast({
+            item: 'reaction',
+            threadIds: threadId,
+            form: {
+              item_id: payload.itemId,
+              node_type: 'item',
+              reaction_type: 'like',
+              reaction_status: 'created',
+              emoji: payload.emoji
+            }
+          }));
+
+      case 'photo':
+      case 'video':
+      case 'voice': {
+        // Uploads only exist over HTTP, so these never go through realtime
+        const file = await this.loadMedia(payload);
+        const thread = this.ig.entity.directThread(threadId);
+        const response = job.type === 'photo'
+          ? await thread.broadcastPhoto({ file })
+          : job.type === 'video'
+            ? await thread.broadcastVideo({ video: file })
+            : await thread.broadcastVoice({ file });
+
+        if (payload.temporary) {
+          await fs.promises.rm(payload.path, { force: true });
+        }
+        return { ...this.toItemResult(response), via: 'http' };
       }
-      return true;
-    } catch (error) {
-      logger.error('Failed to send reaction:', error.message);
-      return false;
+
+      case 'link':
+        return await this.withHttpFallback(`link to ${threadId}`, job,
+          // The realtime client has no sendLink(), the item is sent as it would send it
+          direct => direct.sendItem({
+            threadId,
+            itemType: 'link',
+            clientContext: job.id,
+            data: { link_text: payload.text, link_urls: JSON.stringify(payload.urls) }
+          }),
+          () => this.ig.entity.directThread(threadId).broadcastLink(payload.text, payload.urls));
+
+      case 'media_share':
+        return await this.withHttpFallback(`media share to ${threadId}`, job,
+          direct => direct.sendMedia({ threadId, mediaId: payload.mediaId, text: payload.text, clientContext: job.id }),
+          () => this.ig.entity.directThread(threadId).broadcastPost(payload.mediaId));
+
+      case 'profile':
+        return await this.withHttpFallback(`profile share to ${threadId}`, job,
+          direct => direct.sendProfile({ threadId, userId: payload.userId, text: payload.text, clientContext: job.id }),
+          () => this.ig.entity.directThread(threadId).broadcastProfile(payload.userId));
+
+      case 'story_share':
+        return await this.withHttpFallback(`story share to ${threadId}`, job,
+          direct => direct.sendUserStory({ threadId, storyId: payload.storyId, text: payload.text, clientContext: job.id }),
+          () => this.ig.entity.directThread(threadId).broadcastUserStory({
+            mediaId: payload.storyId,
+            text: payload.text,
+            mediaType: payload.mediaType
+          }));
+
+      case 'seen':
+        return await this.withHttpFallback(`seen in ${threadId}`, null,
+          direct => direct.markAsSeen({ threadId, itemId: payload.itemId }),
+          () => this.ig.directThread.markItemSeen(threadId, payload.itemId));
+
+      default:
+        throw new Error(`Unknown outbound action ${job.type}`);
     }
   }
 
-  async markAsSeen(threadId, itemId) {
-    try {
-      if (this.ig.realtime && this.isRealtimeConnected) {
-        await this.ig.realtime.direct.markAsSeen({
-          threadId: threadId,
-          itemId: itemId
-        });
+  /**
+   * Sends over realtime and resends over HTTP only when that certainly failed: the
+   * server refused the item or the connection dropped before the publish went through.
+   * Item sends carry the job id as client_context and resolve with the server's answer
+   * on /ig_send_message_response. Without an answer the outcome is unknown, the error is
+   * thrown and the queue retries the send with the same client_context.
+   * @param {object | null} job - the job of an item send, null for seen markers and reactions
+   */
+  async withHttpFallback(description, job, viaRealtime, viaHttp) {
+    if (this.ig.realtime && this.isRealtimeConnected) {
+      // Waited for before publishing, the answer may arrive before the PUBACK
+      const response = job ? this.awaitSendResponse(job.id) : null;
+      try {
+        await viaRealtime(this.ig.realtime.direct);
+        return { ...(response ? await response : {}), via: 'realtime' };
+      } catch (error) {
+        if (job) this.forgetSendResponse(job.id);
+        const refused = error instanceof SendMessageError;
+        const disconnected = DISCONNECT_ERRORS.includes(error.name) || !this.isRealtimeConnected;
+        if (error instanceof SendResponseTimeoutError || (!refused && !disconnected)) {
+          throw error;
+        }
+        logger.warn(`Realtime ${description} failed (${error.message}), retrying over HTTP...`);
       }
-      return true;
-    } catch (error) {
-      logger.error('Failed to mark as seen:', error.message);
-      return false;
+    }
+    return { ...this.toItemResult(await viaHttp()), via: 'http' };
+  }
+
+  // Resolves with the item id and timestamp of the answer to `clientContext`, rejects on a refusal or timeout
+  awaitSendResponse(clientContext) {
+    const response = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingSends.delete(clientContext);
+        reject(new SendResponseTimeoutError(`no answer from the server within ${this.sendResponseTimeoutMs / 1000}s`));
+      }, this.sendResponseTimeoutMs);
+      this.pendingSends.set(clientContext, { resolve, reject, timer });
+    });
+    // Handled once the publish went through, a refusal may come first
+    response.catch(() => {});
+    return response;
+  }
+
+  forgetSendResponse(clientContext) {
+    clearTimeout(this.pendingSends.get(clientContext)?.timer);
+    this.pendingSends.delete(clientContext);
+  }
+
+  handleSendResponse(response) {
+    const clientContext = response?.payload?.client_context ?? response?.client_context;
+    const pending = this.pendingSends.get(clientContext);
+    if (!pending) return;
+    this.forgetSendResponse(clientContext);
+
+    if (response.status === 'ok') {
+      pending.resolve({ itemId: response.payload?.item_id, timestamp: response.payload?.timestamp });
+    } else {
+      pending.reject(new SendMessageError(
+        response.payload?.message || `Sending failed with status ${response.status_code ?? response.status}`,
+        response
+      ));
     }
   }
 
+  // Item id and timestamp from an HTTP broadcast response
+  toItemResult(response) {
+    const item = response?.message_metadata?.[0] || response;
+    return { itemId: item?.item_id, timestamp: item?.timestamp };
+  }
+
+  // Typing is ephemeral and has no REST endpoint, so it is neither queued nor retried
   async indicateTyping(threadId, isTyping = true) {
+    if (!this.ig.realtime || !this.isRealtimeConnected) {
+      logger.debug(`Skipping typing indicator for ${threadId}, realtime is down`);
+      return false;
+    }
+
     try {
-      if (this.ig.realtime && this.isRealtimeConnected) {
-        await this.ig.realtime.direct.indicateActivity({
-          threadId: threadId,
-          isActive: isTyping
-        });
-      }
+      await this.ig.realtime.direct.indicateActivity({
+        threadId: threadId,
+        isActive: isTyping
+      });
       return true;
     } catch (error) {
       logger.error('Failed to indicate typing:', error.message);
@@ -468,20 +1084,27 @@ export class InstagramRealtimeBot {
       logger.info('🛑 Disconnecting from Instagram...');
       
       // Stop polling
-      if (this.pollingInterval) {
-        clearInterval(this.pollingInterval);
-        this.pollingInterval = null;
-      }
-      this.isPolling = false;
+      this.stopFallbackPolling();
+      this.outbound.stop();
+      this.presence.cleanup();
       this.isRealtimeConnected = false;
+
+      // A later connect starts over with fresh listeners and no backfill in flight.
+      // Removed first, so the intentional disconnect below does not trigger a reconnect
+      this.ig.realtime?.removeAllListeners();
+      this.listenersAttached = false;
+      this.backfillRunning = false;
+      this.backfillPending = false;
+      await this.iris.save();
       
       // Disconnect realtime if connected
       if (this.ig.realtime) {
         await this.ig.realtime.disconnect();
       }
+      await this.fbns.disconnect();
       
-      // Save cookies to DB on disconnect
-      await this.sessionManager.saveCookiesToDb();
+      // Keep the latest session state for the next start
+      await this.sessionManager.save();
       await this.moduleManager.cleanup();
       
       logger.info('✅ Disconnected successfully');
@@ -491,14 +1114,6 @@ export class InstagramRealtimeBot {
   }
 
   // Utility methods
-  generateUUID() {
-    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-      const r = Math.random() * 16 | 0;
-      const v = c == 'x' ? r : (r & 0x3 | 0x8);
-      return v.toString(16);
-    });
-  }
-
   async delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -508,6 +1123,9 @@ export class InstagramRealtimeBot {
     return {
       connected: this.isRealtimeConnected,
       polling: this.isPolling,
+      pollIntervalMs: this.pollDelay,
+      outboundPending: this.outbound.getStats().pending,
+      push: this.fbns.isConnected,
       reconnectAttempts: this.reconnectAttempts,
       userId: this.ig.state.cookieUserId,
       username: this.ig.state.cookieUsername
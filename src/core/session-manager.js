@@ -1,20 +1,414 @@
-async loadCookiesFromDb() {
-  try {
-   // Skip DB operations if MongoDB is disabled
-   if (!config.database?.enabled) {
-     logger.info('📝 MongoDB disabled, skipping database save');
-     return;
-   }
-
-   // Skip DB operations if MongoDB is disabled
-   if (!config.database?.enabled) {
-     return false;
-   }
-
-    if (!this.db) {
-      this.db = await connectDb();
-    }
-  } catch (error) {
-    // Handle error
-  }
-}
\ No newline at end of file
+import fs from 'fs';
+import readline from 'readline';
+import { AsyncLocalStorage } from 'async_hooks';
+import tough from 'tough-cookie';
+import {
+  IgChallengeWrongCodeError,
+  IgCheckpointError,
+  IgLoginRequiredError,
+  IgLoginTwoFactorRequiredError,
+  IgUserHasLoggedOutError
+} from 'instagram-private-api';
+import { logger, fileUtils } from '../utils/utils.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+import { createSessionStore } from './session-store.js';
+
+// Security codes have 6 digits, two-factor backup codes 8
+const CODE_PATTERN = /^\d{6,8}$/;
+const MAX_CODE_ATTEMPTS = 3;
+// A checkpoint after a two-factor login after a checkpoint... gives up eventually
+const MAX_CHALLENGES = 3;
+
+/**
+ * Logs the account in and keeps it logged in.
+ *
+ * The complete client state from `exportState()` (device, cookies, authorization,
+ * FBNS auth) is kept in a SessionStore and saved again after requests, so restarts
+ * continue the session. Each login starts a new version, an older one is used when
+ * the latest is unreadable or logged out. Without a usable session it logs in with
+ * IG_PASSWORD. Two-factor and checkpoint codes are asked for in the Telegram
+ * bridge and on the terminal, the first answer wins. Requests failing with
+ * login_required trigger one login for all of them and are retried once.
+ */
+export class SessionManager {
+  constructor(ig, options = config.session) {
+    this.ig = ig;
+    this.username = config.instagram.username;
+    this.password = config.instagram.password;
+    this.options = options;
+    this.legacyCookiesPath = options.legacyCookiesFile;
+    this.codeTimeoutMs = options.codeTimeoutMs;
+    this.reauthIntervalMs = options.reauthIntervalMs;
+    this.saveDelayMs = 2000;
+    this.adminChannel = null;
+    this.loggedIn = false;
+    this.watching = false;
+    this.saveTimer = null;
+    // Saves run one after another, the first save after a login decides the version
+    this.saving = Promise.resolve();
+    this.reauthentication = null;
+    this.lastLoginAt = 0;
+    // Saved version of the current session, null until the first save after a login
+    this.version = null;
+    this.legacyImported = false;
+    // Requests made by a login pass errors through instead of waiting for themselves
+    this.loginContext = new AsyncLocalStorage();
+    this.store = null;
+  }
+
+  // Where codes are asked for besides the terminal, e.g. the Telegram bridge
+  setAdminChannel(channel) {
+    this.adminChannel = channel;
+  }
+
+  async login() {
+    if (!this.username) {
+      throw new Error('Instagram username is missing from config');
+    }
+
+    this.ig.state.generateDevice(this.username);
+    await this.initialize();
+
+    const restored = (await this.restore()) || ((await this.importLegacyCookies()) && (await this.verify()));
+    if (restored) {
+      logger.info('✅ Logged in with the saved session');
+    } else {
+      await this.authenticate();
+    }
+
+    this.loggedIn = true;
+    this.watch();
+    await this.save();
+    return true;
+  }
+
+  async initialize() {
+    if (!this.store) {
+      this.store = await createSessionStore(this.options);
+    }
+  }
+
+  // Whether the restored session is still logged in, a checkpoint on the way is answered
+  async verify() {
+    try {
+      await this.loginContext.run(true, () => this.withChallenges(() => this.ig.account.currentUser()));
+      return true;
+    } catch (error) {
+      // Network trouble is no reason to log in again
+      if (!isSessionError(error)) throw error;
+      logger.warn('⚠️ Saved session is no longer valid');
+      return false;
+    }
+  }
+
+  // LOGIN
+
+  async authenticate() {
+    if (!this.password) {
+      throw new Error('No valid session and IG_PASSWORD is not set - cannot log in');
+    }
+
+    logger.info(`🔑 Logging in as ${this.username}...`);
+    this.lastLoginAt = Date.now();
+    await this.loginContext.run(true, () =>
+      this.withChallenges(() => this.ig.account.login(this.username, this.password))
+    );
+    this.version = null;
+    logger.info(`✅ Logged in as ${this.username}`);
+  }
+
+  /**
+   * Runs a login step and answers the two-factor or checkpoint challenge it runs into
+   */
+  async withChallenges(step, depth = 0) {
+    try {
+      return await step();
+    } catch (error) {
+      if (depth >= MAX_CHALLENGES) throw error;
+
+      if (error instanceof IgLoginTwoFactorRequiredError) {
+        return this.withChallenges(() => this.twoFactorLogin(error.response.body.two_factor_info), depth + 1);
+      }
+      if (error instanceof IgCheckpointError) {
+        return this.withChallenges(() => this.resolveCheckpoint(), depth + 1);
+      }
+      throw error;
+    }
+  }
+
+  async twoFactorLogin(info) {
+    const totp = !!info.totp_two_factor_on;
+    const prompt = totp
+      ? `Two-factor login for ${this.username}: send the code from your authenticator app`
+      : `Two-factor login for ${this.username}: send the code texted to ${info.obfuscated_phone_number}`;
+
+    return this.withCode(prompt, code => this.ig.account.twoFactorLogin({
+      username: this.username,
+      verificationCode: code,
+      twoFactorIdentifier: info.two_factor_identifier,
+      // 0 is an authenticator app, 1 is SMS
+      verificationMethod: totp ? '0' : '1',
+      trustThisDevice: '1'
+    }));
+  }
+
+  async resolveCheckpoint() {
+    logger.warn('🛂 Instagram asks for a security check');
+    // Takes the verification method Instagram suggests and has the code sent
+    const challenge = await this.ig.challenge.auto(true);
+    const contact = challenge?.step_data?.contact_point;
+
+    await this.withCode(
+      `Security check for ${this.username}: send the code Instagram sent${contact ? ` to ${contact}` : ''}`,
+      code => this.ig.challenge.sendSecurityCode(code)
+    );
+    return this.ig.account.currentUser();
+  }
+
+  // Asks again when Instagram rejects the code
+  async withCode(prompt, submit) {
+    for (let attempt = 1; ; attempt++) {
+      const code = await this.requestCode(attempt === 1 ? prompt : `Wrong code, try again. ${prompt}`);
+      try {
+        return await submit(code);
+      } catch (error) {
+        if (attempt >= MAX_CODE_ATTEMPTS || !isWrongCode(error)) throw error;
+        logger.warn(`🔐 Code rejected (${attempt}/${MAX_CODE_ATTEMPTS})`);
+      }
+    }
+  }
+
+  /**
+   * Asks the admin channel and the terminal for a code
+   * @returns {Promise<string>} the first valid code from either
+   */
+  async requestCode(prompt) {
+    const askers = [];
+    if (this.adminChannel?.enabled) {
+      askers.push(signal => this.adminChannel.askAdmin(`🔐 ${prompt}`, { signal }));
+    }
+    if (process.stdin.isTTY) {
+      askers.push(signal => askTerminal(`🔐 ${prompt}: `, signal));
+    }
+    if (!askers.length) {
+      throw new Error(`${prompt} - but there is neither a Telegram bridge nor a terminal to enter it`);
+    }
+
+    logger.warn(`🔐 ${prompt}`);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.codeTimeoutMs);
+
+    try {
+      return await Promise.any(askers.map(ask => askForCode(ask, controller.signal)));
+    } catch (error) {
+      throw controller.signal.aborted
+        ? new Error(`No code was entered within ${Math.round(this.codeTimeoutMs / 60000)} minutes`)
+        : error.errors[0];
+    } finally {
+      clearTimeout(timer);
+      controller.abort();
+    }
+  }
+
+  // STAYING LOGGED IN
+
+  // Saves the state as it changes and logs in again when Instagram ends the session
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+
+    // Responses update cookies and the authorization header
+    this.ig.request.end$.subscribe(() => this.scheduleSave());
+
+    const send = this.ig.request.send.bind(this.ig.request);
+    this.ig.request.send = async (options, onlyCheckHttpStatus) => {
+      // send() fills the options with defaults like the authorization header, a retry needs its own copy
+      const retryOptions = { ...options, headers: options?.headers && { ...options.headers } };
+
+      try {
+        return await send(options, onlyCheckHttpStatus);
+      } catch (error) {
+        if (!isSessionError(error) || this.loginContext.getStore()) throw error;
+
+        await this.reauthenticate(error);
+        return send(retryOptions, onlyCheckHttpStatus);
+      }
+    };
+  }
+
+  // One login for all requests that failed at the same time
+  reauthenticate(cause) {
+    if (!this.reauthentication) {
+      // A session that keeps getting logged out must not turn into a login loop
+      if (Date.now() - this.lastLoginAt < this.reauthIntervalMs) {
+        return Promise.reject(cause);
+      }
+
+      logger.warn(`⚠️ Instagram ended the session (${cause.message}), logging in again...`);
+      this.reauthentication = this.authenticate()
+        .then(() => this.save())
+        .finally(() => {
+          this.reauthentication = null;
+        });
+    }
+    return this.reauthentication;
+  }
+
+  // STORAGE
+
+  // Tries the saved versions newest first
+  async restore() {
+    let versions = [];
+    try {
+      versions = await this.store.history(this.username);
+    } catch (error) {
+      logger.error('Failed to load the saved session:', error.message);
+    }
+
+    for (const [index, entry] of versions.entries()) {
+      try {
+        await this.ig.importState(this.store.open(entry, this.username));
+      } catch (error) {
+        logger.warn(`Saved session version ${entry.version} is unreadable:`, error.message);
+        continue;
+      }
+      logger.info(`📂 Restored saved session version ${entry.version}`);
+
+      if (!(await this.verify())) continue;
+
+      if (index > 0) {
+        try {
+          await this.store.rollback(this.username, entry.version);
+          logger.info(`⏪ Rolled back to saved session version ${entry.version}`);
+        } catch (error) {
+          logger.error('Failed to roll back the saved session:', error.message);
+        }
+      }
+      this.version = entry.version;
+      return true;
+    }
+    return false;
+  }
+
+  // Sessions from before exportState() were uploaded cookie arrays
+  async importLegacyCookies() {
+    let cookieData = null;
+
+    if (config.database?.enabled) {
+      try {
+        const db = await connectDb();
+        cookieData = (await db.collection('cookies').findOne({ username: this.username }))?.cookieData;
+      } catch (error) {
+        logger.error('Failed to load cookies from database:', error.message);
+      }
+    }
+    if (!cookieData && (await fileUtils.pathExists(this.legacyCookiesPath))) {
+      cookieData = await fileUtils.readJson(this.legacyCookiesPath);
+    }
+    if (!Array.isArray(cookieData) || !cookieData.length) {
+      return false;
+    }
+
+    for (const cookie of cookieData) {
+      const toughCookie = new tough.Cookie({
+        key: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain.replace(/^\./, ''),
+        path: cookie.path,
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly
+      });
+      await this.ig.state.cookieJar.setCookie(toughCookie.toString(), `https://${cookie.domain}${cookie.path}`);
+    }
+
+    this.legacyImported = true;
+    logger.info('🍪 Imported uploaded cookies, the session is stored in the new format from now on');
+    return true;
+  }
+
+  // The uploaded cookies are readable, the saved session replaces them
+  async removeLegacyCookies() {
+    this.legacyImported = false;
+
+    if (config.database?.enabled) {
+      try {
+        const db = await connectDb();
+        await db.collection('cookies').deleteOne({ username: this.username });
+      } catch (error) {
+        logger.error('Failed to remove the uploaded cookies from database:', error.message);
+      }
+    }
+    try {
+      await fs.promises.rm(this.legacyCookiesPath, { force: true });
+    } catch (error) {
+      logger.error('Failed to remove the uploaded cookies file:', error.message);
+    }
+  }
+
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelayMs);
+  }
+
+  save() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.saving = this.saving.then(() => this.writeState());
+    return this.saving;
+  }
+
+  async writeState() {
+    // Before a login there is nothing worth keeping, and a stored session must not be overwritten
+    if (!this.loggedIn) return;
+
+    let state;
+    try {
+      state = await this.ig.exportState();
+    } catch (error) {
+      logger.error('Failed to export the session:', error.message);
+      return;
+    }
+
+    try {
+      this.version = await this.store.save(this.username, state, this.version);
+    } catch (error) {
+      logger.error('Failed to save the session:', error.message);
+      return;
+    }
+
+    if (this.legacyImported) {
+      await this.removeLegacyCookies();
+    }
+  }
+}
+
+function isSessionError(error) {
+  return error instanceof IgLoginRequiredError || error instanceof IgUserHasLoggedOutError;
+}
+
+function isWrongCode(error) {
+  return error instanceof IgChallengeWrongCodeError || /code/i.test(error?.response?.body?.error_type || '');
+}
+
+// Asks until the answer looks like a code
+async function askForCode(ask, signal) {
+  while (true) {
+    const answer = String(await ask(signal)).replace(/\s+/g, '');
+    if (CODE_PATTERN.test(answer)) return answer;
+  }
+}
+
+function askTerminal(question, signal) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  return new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new Error('Question was withdrawn')), { once: true });
+    rl.question(question, { signal }, resolve);
+  }).finally(() => rl.close());
+}
@@ -0,0 +1,286 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger, fileUtils } from '../utils/utils.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+
+/**
+ * AES-256-GCM for saved session states. The key comes from the secret through scrypt
+ * with a salt per process. The username is authenticated with the state, so a state
+ * moved to another account's record does not decrypt.
+ */
+export class SessionCipher {
+  constructor(secret) {
+    this.secret = secret;
+    this.salt = crypto.randomBytes(SALT_LENGTH);
+    // scrypt is slow on purpose, derived keys are kept by salt
+    this.keys = new Map();
+  }
+
+  key(salt) {
+    const id = salt.toString('base64');
+    if (!this.keys.has(id)) {
+      this.keys.set(id, crypto.scryptSync(this.secret, salt, KEY_LENGTH));
+    }
+    return this.keys.get(id);
+  }
+
+  encrypt(text, username) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key(this.salt), iv);
+    cipher.setAAD(Buffer.from(username, 'utf8'));
+    const data = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return {
+      algorithm: ALGORITHM,
+      salt: this.salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(sealed, username) {
+    if (sealed?.algorithm !== ALGORITHM) {
+      throw new Error(`Unknown session encryption ${sealed?.algorithm}`);
+    }
+
+    const key = this.key(Buffer.from(sealed.salt, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(sealed.iv, 'base64'));
+    decipher.setAAD(Buffer.from(username, 'utf8'));
+    decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+
+    try {
+      return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch {
+      throw new Error('Saved session cannot be decrypted - wrong SESSION_SECRET or a damaged record');
+    }
+  }
+}
+
+/**
+ * Saved session states of an account, in versions. A version is one session: saves
+ * after requests update the latest version, a new login starts the next one. The
+ * oldest versions are dropped beyond `keepVersions`.
+ *
+ * Backends implement `read(username)` and `write(username, record)` for a whole
+ * `{ versions }` record, oldest version first.
+ */
+export class SessionStore {
+  constructor({ secret = '', keepVersions = 5 } = {}) {
+    this.cipher = secret ? new SessionCipher(secret) : null;
+    this.keepVersions = Math.max(1, keepVersions);
+    // Writes are chained so an older state never overwrites a newer one
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * @returns {Promise<object[]>} the saved versions, newest first, states still sealed - see open()
+   */
+  async history(username) {
+    return toVersions(await this.read(username)).reverse();
+  }
+
+  /**
+   * @returns {string} the exportState() string of a version from history()
+   */
+  open(entry, username) {
+    if (!entry.encrypted) {
+      return entry.state;
+    }
+    if (!this.cipher) {
+      throw new Error('Saved session is encrypted, SESSION_SECRET is needed to read it');
+    }
+    return this.cipher.decrypt(entry.state, username);
+  }
+
+  /**
+   * Updates `version` when it is the latest, otherwise saves the state as a new version
+   * @returns {Promise<number>} the version the state was saved as
+   */
+  save(username, state, version = null) {
+    return this.queue(async () => {
+      const versions = toVersions(await this.read(username)).map(entry => this.reseal(entry, username));
+      const latest = versions[versions.length - 1];
+      const entry = {
+        version: latest && latest.version === version ? version : (latest?.version ?? 0) + 1,
+        savedAt: new Date(),
+        ...this.seal(state, username)
+      };
+
+      if (latest && latest.version === entry.version) {
+        versions[versions.length - 1] = entry;
+      } else {
+        versions.push(entry);
+      }
+
+      await this.write(username, { versions: versions.slice(-this.keepVersions) });
+      return entry.version;
+    });
+  }
+
+  /**
+   * Drops the versions newer than `version`, which becomes the latest again
+   */
+  rollback(username, version) {
+    return this.queue(async () => {
+      const versions = toVersions(await this.read(username));
+      const index = versions.findIndex(entry => entry.version === version);
+      if (index === -1) {
+        throw new Error(`There is no saved session version ${version}`);
+      }
+
+      await this.write(username, { versions: versions.slice(0, index + 1) });
+      return versions.length - index - 1;
+    });
+  }
+
+  seal(state, username) {
+    return this.cipher
+      ? { encrypted: true, state: this.cipher.encrypt(state, username) }
+      : { encrypted: false, state };
+  }
+
+  // Readable versions left from before SESSION_SECRET was set get encrypted too
+  reseal(entry, username) {
+    if (entry.encrypted || !this.cipher) return entry;
+    return { ...entry, ...this.seal(entry.state, username) };
+  }
+
+  queue(task) {
+    const result = this.writing.then(task);
+    this.writing = result.catch(() => {});
+    return result;
+  }
+}
+
+export class FileSessionStore extends SessionStore {
+  constructor(filePath, options) {
+    super(options);
+    this.filePath = filePath;
+  }
+
+  async read(username) {
+    if (!(await fileUtils.pathExists(this.filePath))) return null;
+
+    const record = await fileUtils.readJson(this.filePath);
+    // Another account's sessions are no use, they get replaced by the next save
+    if (record?.username && record.username !== username) {
+      logger.warn(`${this.filePath} holds the session of ${record.username}, ignoring it`);
+      return null;
+    }
+    return record;
+  }
+
+  // A temporary file renamed over the old one, so a crash never leaves half a session behind
+  async write(username, record) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+
+    const file = await fs.promises.open(tempPath, 'w', 0o600);
+    try {
+      await file.writeFile(JSON.stringify({ username, ...record }, null, 2));
+      await file.sync();
+    } finally {
+      await file.close();
+    }
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+export class MongoSessionStore extends SessionStore {
+  constructor(db, options) {
+    super(options);
+    this.collection = db.collection('sessions');
+  }
+
+  read(username) {
+    return this.collection.findOne({ _id: username });
+  }
+
+  // One document per account, replacing it is atomic
+  async write(username, record) {
+    await this.collection.replaceOne(
+      { _id: username },
+      { ...record, updatedAt: new Date() },
+      { upsert: true }
+    );
+  }
+}
+
+// Kept for the lifetime of the process only, every start logs in again
+export class MemorySessionStore extends SessionStore {
+  constructor(options) {
+    super(options);
+    this.records = new Map();
+  }
+
+  async read(username) {
+    const record = this.records.get(username);
+    return record ? structuredClone(record) : null;
+  }
+
+  async write(username, record) {
+    this.records.set(username, structuredClone(record));
+  }
+}
+
+/**
+ * The store for `options.storage`: mongo, file or memory. Without a setting it is
+ * mongo when MongoDB is enabled, otherwise file. Mongo falls back to the file when
+ * the database is disabled or unreachable. Both need a secret unless
+ * `allowPlaintext` is set, the state logs in as the account.
+ */
+export async function createSessionStore(options = config.session) {
+  const settings = { secret: options.secret, keepVersions: options.keepVersions };
+  const storage = options.storage || (config.database?.enabled ? 'mongo' : 'file');
+
+  if (!options.secret && storage !== 'memory') {
+    if (!options.allowPlaintext) {
+      throw new Error('SESSION_SECRET is not set - set it to encrypt the saved session, or set SESSION_ALLOW_PLAINTEXT=true to save it readable');
+    }
+    logger.warn('⚠️ SESSION_SECRET is not set, the session is saved unencrypted (SESSION_ALLOW_PLAINTEXT)');
+  }
+
+  switch (storage) {
+    case 'memory':
+      return new MemorySessionStore(settings);
+
+    case 'mongo':
+      if (!config.database?.enabled) {
+        logger.warn('SESSION_STORAGE is mongo but MongoDB is disabled, saving the session to a file');
+        break;
+      }
+      try {
+        return new MongoSessionStore(await connectDb(), settings);
+      } catch (error) {
+        logger.error('Failed to connect to the database for the session, using a file:', error.message);
+      }
+      break;
+
+    case 'file':
+      break;
+
+    default:
+      logger.warn(`Unknown SESSION_STORAGE ${storage}, saving the session to a file`);
+  }
+
+  return new FileSessionStore(options.stateFile, settings);
+}
+
+// Records saved before versioning were a single readable { state, updatedAt }
+function toVersions(record) {
+  if (Array.isArray(record?.versions)) {
+    return record.versions;
+  }
+  if (record?.state) {
+    return [{ version: 0, savedAt: record.updatedAt, encrypted: false, state: record.state }];
+  }
+  return [];
+}
@@ -0,0 +1,248 @@
+import { randomUUID } from 'crypto';
+import { GraphQLSubscriptions, SkywalkerSubscriptions } from 'instagram_mqtt';
+import { logger } from '../utils/utils.js';
+import { config } from '../config.js';
+
+/**
+ * Subscriptions the bot knows how to build, by the name used in config and commands.
+ * `target` names the id a subscription needs (e.g. a broadcast), `build` gets the
+ * bot's own user id, that target and a client subscription id and returns the topic
+ * string. Events of a GraphQL subscription carry its client subscription id.
+ */
+export const SUBSCRIPTIONS = {
+  presence: {
+    kind: 'graphql',
+    description: 'Online state of contacts',
+    build: (userId, target, subscriptionId) => GraphQLSubscriptions.getAppPresenceSubscription({ subscriptionId })
+  },
+  typing: {
+    kind: 'graphql',
+    description: 'Typing indicators in direct threads',
+    build: userId => GraphQLSubscriptions.getDirectTypingSubscription(userId)
+  },
+  directStatus: {
+    kind: 'graphql',
+    description: 'Direct message status updates',
+    build: (userId, target, subscriptionId) => GraphQLSubscriptions.getDirectStatusSubscription({ subscriptionId })
+  },
+  liveComments: {
+    kind: 'graphql',
+    target: 'broadcastId',
+    description: 'Comments of a live broadcast',
+    build: (userId, broadcastId, subscriptionId) =>
+      GraphQLSubscriptions.getLiveRealtimeCommentsSubscription(broadcastId, { subscriptionId })
+  },
+  liveWave: {
+    kind: 'graphql',
+    target: 'broadcastId',
+    description: 'Waves sent to the bot in a live broadcast',
+    build: (userId, broadcastId, subscriptionId) =>
+      GraphQLSubscriptions.getIgLiveWaveSubscription(broadcastId, userId, { subscriptionId })
+  },
+  liveQuestions: {
+    kind: 'graphql',
+    target: 'broadcastId',
+    description: 'Questions activated in a live broadcast',
+    build: (userId, broadcastId, subscriptionId) =>
+      GraphQLSubscriptions.getInteractivityActivateQuestionSubscription(broadcastId, { subscriptionId })
+  },
+  liveQuestionStatus: {
+    kind: 'graphql',
+    target: 'broadcastId',
+    description: 'Whether a live broadcast accepts questions',
+    build: (userId, broadcastId, subscriptionId) =>
+      GraphQLSubscriptions.getInteractivityRealtimeQuestionSubmissionsStatusSubscription(broadcastId, { subscriptionId })
+  },
+  liveTyping: {
+    kind: 'graphql',
+    target: 'broadcastId',
+    description: 'Viewers typing a comment in a live broadcast',
+    build: (userId, broadcastId, subscriptionId) =>
+      GraphQLSubscriptions.getLiveTypingIndicatorSubscription(broadcastId, { subscriptionId })
+  },
+  mediaFeedback: {
+    kind: 'graphql',
+    target: 'feedbackId',
+    description: 'Likes and comments of a post',
+    build: (userId, feedbackId, subscriptionId) =>
+      GraphQLSubscriptions.getMediaFeedbackSubscription(feedbackId, { subscriptionId })
+  },
+  skywalkerDirect: {
+    kind: 'skywalker',
+    description: 'Direct events over Skywalker',
+    build: userId => SkywalkerSubscriptions.directSub(userId)
+  },
+  skywalkerLive: {
+    kind: 'skywalker',
+    description: 'Live notifications of followed accounts',
+    build: userId => SkywalkerSubscriptions.liveSub(userId)
+  }
+};
+
+// Topics subscription changes are published on, by kind. instagram_mqtt does not export its Topics
+const SUBSCRIPTION_TOPICS = {
+  graphql: { id: '149', path: '/ig_realtime_sub' },
+  skywalker: { id: '88', path: '/pubsub' }
+};
+
+// "liveComments:1789..." -> { name: 'liveComments', target: '1789...' }
+export function parseSubscription(spec) {
+  const [name, target = null] = String(spec).trim().split(':');
+  return { name, target };
+}
+
+/**
+ * Keeps the GraphQL and Skywalker subscriptions of the realtime connection.
+ *
+ * Subscriptions from `config.realtime.subscriptions` are always held, others are
+ * added and removed at runtime by commands and modules. Topic strings are built
+ * once, so a reconnect subscribes to the same ids and unsubscribing matches them.
+ */
+export class SubscriptionManager {
+  /**
+   * @param {() => object | null} getRealtime - the connected realtime client, or null
+   * @param {() => string} getUserId - the bot's own user id
+   */
+  constructor(getRealtime, getUserId, specs = config.realtime.subscriptions) {
+    this.getRealtime = getRealtime;
+    this.getUserId = getUserId;
+    this.specs = specs;
+    this.active = new Map(); // key -> { name, target, kind, topic, subscriptionId, owner, since }
+    this.invalid = new Set(); // config entries already reported
+  }
+
+  keyOf(name, target) {
+    return target ? `${name}:${target}` : name;
+  }
+
+  /**
+   * Builds the topic of a subscription.
+   * @throws {Error} for unknown names and missing or unexpected targets
+   */
+  resolve(name, target = null) {
+    const definition = SUBSCRIPTIONS[name];
+    if (!definition) {
+      throw new Error(`Unknown subscription '${name}', expected one of ${Object.keys(SUBSCRIPTIONS).join(', ')}`);
+    }
+    if (definition.target && !target) {
+      throw new Error(`Subscription '${name}' needs a ${definition.target}`);
+    }
+    if (!definition.target && target) {
+      throw new Error(`Subscription '${name}' takes no target`);
+    }
+
+    const subscriptionId = randomUUID();
+    return {
+      kind: definition.kind,
+      topic: definition.build(String(this.getUserId()), target && String(target), subscriptionId),
+      subscriptionId
+    };
+  }
+
+  /**
+   * Topics to pass to `realtime.connect()`: the configured ones plus everything
+   * subscribed at runtime. Invalid config entries are logged and skipped.
+   */
+  getConnectSubs() {
+    for (const spec of this.specs) {
+      const { name, target } = parseSubscription(spec);
+      if (this.active.has(this.keyOf(name, target)) || this.invalid.has(spec)) continue;
+
+      try {
+        this.add(name, target, 'config');
+      } catch (error) {
+        this.invalid.add(spec);
+        logger.warn(`Skipping subscription '${spec}':`, error.message);
+      }
+    }
+
+    const subs = [...this.active.values()];
+    return {
+      graphQlSubs: subs.filter(sub => sub.kind === 'graphql').map(sub => sub.topic),
+      skywalkerSubs: subs.filter(sub => sub.kind === 'skywalker').map(sub => sub.topic)
+    };
+  }
+
+  add(name, target, owner) {
+    const entry = { name, target: target || null, ...this.resolve(name, target), owner, since: new Date() };
+    this.active.set(this.keyOf(name, target), entry);
+    return entry;
+  }
+
+  /**
+   * Subscribes at runtime, right away when connected and with the next connect otherwise.
+   * @returns {Promise<boolean>} false when the subscription was already held
+   */
+  async subscribe(name, target = null, owner = null) {
+    if (this.active.has(this.keyOf(name, target))) return false;
+
+    const entry = this.add(name, target, owner);
+    const realtime = this.getRealtime();
+    if (realtime) {
+      try {
+        await (entry.kind === 'graphql' ? realtime.graphQlSubscribe(entry.topic) : realtime.skywalkerSubscribe(entry.topic));
+      } catch (error) {
+        this.active.delete(this.keyOf(name, target));
+        throw error;
+      }
+    }
+
+    logger.info(`📡 Subscribed to ${this.keyOf(name, target)}`);
+    return true;
+  }
+
+  /**
+   * Unsubscribes right away when connected; offline the subscription is just not
+   * renewed with the next connect.
+   * @returns {Promise<boolean>} false when the subscription was not held
+   * @throws {Error} when the unsubscribe could not be sent, the subscription is kept then
+   */
+  async unsubscribe(name, target = null) {
+    const key = this.keyOf(name, target);
+    const entry = this.active.get(key);
+    if (!entry) return false;
+
+    const realtime = this.getRealtime();
+    if (realtime) {
+      // The realtime client can only subscribe, an unsub goes out on the same topic
+      await realtime.commands.updateSubscriptions({
+        topic: SUBSCRIPTION_TOPICS[entry.kind],
+        data: { unsub: [entry.topic] }
+      });
+    }
+
+    this.active.delete(key);
+    logger.info(`📡 Unsubscribed from ${key}`);
+    return true;
+  }
+
+  /**
+   * Drops what an unloaded module subscribed to.
+   * @throws {Error} naming the subscriptions that could not be removed, they stay listed
+   */
+  async release(owner) {
+    const failed = [];
+    for (const entry of [...this.active.values()]) {
+      if (entry.owner !== owner) continue;
+
+      try {
+        await this.unsubscribe(entry.name, entry.target);
+      } catch (error) {
+        failed.push(`${this.keyOf(entry.name, entry.target)} (${error.message})`);
+      }
+    }
+
+    if (failed.length > 0) {
+      throw new Error(`Failed to unsubscribe from ${failed.join(', ')}`);
+    }
+  }
+
+  // The subscription an event came from, by the client_subscription_id in its payload
+  findBySubscriptionId(subscriptionId) {
+    return this.list().find(entry => entry.subscriptionId === subscriptionId) || null;
+  }
+
+  list() {
+    return [...this.active.values()];
+  }
+}
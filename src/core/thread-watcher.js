@@ -0,0 +1,100 @@
+/**
+ * Remembers title, participants and seen receipts of every thread the bot came
+ * across and turns differences between two looks at a thread into updates.
+ *
+ * Threads are seen through realtime inbox updates, thread lookups and polled
+ * inbox pages alike; the first look at a thread only records it.
+ */
+export class ThreadWatcher {
+  constructor(selfId = () => null) {
+    this.selfId = selfId;
+    this.threads = new Map(); // threadId -> { title, users: Map<userId, username>, seen: Map<userId, itemId> }
+  }
+
+  getState(threadId) {
+    if (!this.threads.has(threadId)) {
+      this.threads.set(threadId, { title: undefined, users: null, seen: new Map() });
+    }
+    return this.threads.get(threadId);
+  }
+
+  // userId -> username of the thread's participants, null before the first look
+  getParticipants(threadId) {
+    return this.threads.get(String(threadId))?.users || null;
+  }
+
+  // Username of a participant of any known thread
+  getUsername(userId) {
+    for (const { users } of this.threads.values()) {
+      const username = users?.get(String(userId));
+      if (username) return username;
+    }
+    return null;
+  }
+
+  /**
+   * Compares a thread object (inbox item or thread info) with the last one.
+   * @returns {object[]} 'rename', 'participant' and 'seen' updates
+   */
+  observe(thread) {
+    const threadId = String(thread.thread_id);
+    const firstLook = !this.threads.has(threadId);
+    const state = this.getState(threadId);
+    const updates = [];
+    const timestamp = new Date();
+
+    if (thread.thread_title !== undefined) {
+      if (state.title !== undefined && thread.thread_title !== state.title) {
+        updates.push({ type: 'rename', threadId, title: thread.thread_title, previousTitle: state.title, timestamp });
+      }
+      state.title = thread.thread_title;
+    }
+
+    if (Array.isArray(thread.users)) {
+      const users = new Map(thread.users.map(user => [String(user.pk), user.username]));
+      if (state.users) {
+        for (const [userId, username] of users) {
+          if (!state.users.has(userId)) {
+            updates.push({ type: 'participant', threadId, userId, username, added: true, timestamp });
+          }
+        }
+        for (const [userId, username] of state.users) {
+          if (!users.has(userId)) {
+            updates.push({ type: 'participant', threadId, userId, username, added: false, timestamp });
+          }
+        }
+      }
+      state.users = users;
+    }
+
+    for (const [userId, seen] of Object.entries(thread.last_seen_at || {})) {
+      const update = this.observeSeen(threadId, userId, seen.item_id, seen.timestamp);
+      // Receipts found on the first look are history, not news
+      if (update && !firstLook) updates.push(update);
+    }
+
+    return updates;
+  }
+
+  /**
+   * Records a seen receipt, from a thread object or a realtime has_seen operation.
+   * @returns {null | object} a 'seen' update when the user read another item than before
+   */
+  observeSeen(threadId, userId, itemId, timestamp) {
+    userId = String(userId);
+    if (!itemId || userId === String(this.selfId())) return null;
+
+    const state = this.getState(String(threadId));
+    if (state.seen.get(userId) === String(itemId)) return null;
+    state.seen.set(userId, String(itemId));
+
+    return {
+      type: 'seen',
+      threadId: String(threadId),
+      itemId: String(itemId),
+      userId,
+      username: state.users?.get(userId) || null,
+      timestamp: timestamp ? new Date(Number(timestamp) / 1000) : new Date()
+    };
+  }
+}
@@ -18,3 +18,28 @@ export class IllegalArgumentError extends BaseError {}
 
 // TODO: split further
 export class ThriftError extends BaseError {}
+
+/**
+ * A value that doesn't match its ThriftSchema type, `path` is the field it was found at, e.g. `clientInfo.userId`
+ */
+export class ThriftSchemaError extends ThriftError {
+   public constructor(
+      message: string,
+      public readonly path: string,
+   ) {
+      super(path ? `${path}: ${message}` : message);
+   }
+}
+
+export class SendMessageError extends BaseError {
+   public constructor(
+      message: string,
+      public readonly response?: unknown,
+   ) {
+      super(message);
+   }
+}
+
+export class SendMessageTimeoutError extends BaseError {}
+
+export class ReplayTimeoutError extends BaseError {}
@@ -10,7 +10,13 @@ import {
    ToEventFn,
    tryUnzipAsync,
 } from '../shared';
-import { MQTToTConnection, MQTToTClient, MQTToTConnectResponsePacket } from '../mqttot';
+import {
+   MQTToTConnection,
+   MQTToTClient,
+   MQTToTConnectResponsePacket,
+   MQTToTBrokerOverride,
+   MQTToTPacketTap,
+} from '../mqttot';
 import { Chance } from 'chance';
 import { FbnsMessageData, FbnsNotificationUnknown } from './fbns.types';
 import { IllegalStateError, MqttMessage } from 'mqtts';
@@ -74,11 +80,15 @@ export class FbnsClient extends EventEmitter<ToEventFn<FbnsClientEvents & { [x:
       autoReconnect,
       socksOptions,
       additionalTlsOptions,
+      broker,
+      packetTap,
    }: {
       enableTrace?: boolean;
       autoReconnect?: boolean;
       socksOptions?: SocksProxy;
       additionalTlsOptions?: ConnectionOptions;
+      broker?: MQTToTBrokerOverride;
+      packetTap?: MQTToTPacketTap;
    } = {}): Promise<any> {
       this.fbnsDebug('Connecting to FBNS...');
       this.auth.update();
@@ -96,6 +106,8 @@ export class FbnsClient extends EventEmitter<ToEventFn<FbnsClientEvents & { [x:
          requirePayload: true,
          socksOptions,
          additionalOptions: additionalTlsOptions,
+         broker,
+         packetTap,
       });
       this.client.on('warning', w => this.emit('warning', w));
       this.client.on('error', e => this.emit('error', e));
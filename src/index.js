@@ -21,16 +21,17 @@ class HyperInstaRealtime {
     try {
       this.showStartupBanner();
       
-      console.log('📱 Connecting to Instagram...');
-      await this.instagramBot.login();
-      console.log('✅ Instagram connected');
-      
+      // The bridge comes first so two-factor and checkpoint codes can be sent through Telegram
       if (this.telegramBridge) {
         console.log('📨 Initializing Telegram bridge...');
         await this.telegramBridge.initialize();
         console.log('✅ Telegram bridge connected');
       }
       
+      console.log('📱 Connecting to Instagram...');
+      await this.instagramBot.login(this.telegramBridge);
+      console.log('✅ Instagram connected');
+      
       console.log('🔌 Loading modules & setting up handlers...');
       await this.instagramBot.setupMessageHandlers(this.telegramBridge);
       console.log('✅ Modules loaded & handlers ready');
@@ -44,6 +45,12 @@ class HyperInstaRealtime {
         logger.warn('Realtime connection failed:', error.message);
       }
       
+      if (config.fbns.enabled) {
+        console.log('📲 Connecting to FBNS push notifications...');
+        const pushConnected = await this.instagramBot.fbns.connect();
+        console.log(pushConnected ? '✅ Push notifications connected' : '⚠️ Push notifications unavailable, bot will continue...');
+      }
+      
       this.showLiveStatus();
       this.setupHealthCheck();
       
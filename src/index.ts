@@ -6,3 +6,4 @@ export * from './fbns';
 export * from './thrift';
 export * from './mqttot';
 export * from './errors';
+export * from './testing';
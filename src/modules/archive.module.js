@@ -0,0 +1,155 @@
+import { dbUtils } from '../utils/db.js';
+
+export class ArchiveModule {
+  static manifest = {
+    name: 'archive',
+    version: '1.0.0',
+    description: 'Stores every message with edits, deletions and reactions',
+    dependencies: []
+  };
+
+  constructor() {
+    this.name = 'archive';
+    this.enabled = false;
+    this.instagramBot = null;
+    this.logger = null;
+  }
+
+  async init(context) {
+    this.instagramBot = context.bot;
+    this.logger = context.logger;
+    // `db` is null when MongoDB is disabled or unreachable
+    this.enabled = !!context.db && (await dbUtils.ensureIndexes());
+
+    if (!this.enabled) {
+      this.logger.warn('MongoDB unavailable, messages will not be archived');
+    }
+  }
+
+  getCommands() {
+    return {
+      history: {
+        description: 'Show the latest archived messages of this thread',
+        args: [{ name: 'count', type: 'int', optional: true, default: 10, min: 1, max: 50 }],
+        handler: this.handleHistory.bind(this)
+      },
+
+      search: {
+        description: 'Search archived messages of this thread',
+        args: [{ name: 'text', type: 'rest' }],
+        handler: this.handleSearch.bind(this)
+      },
+
+      stats: {
+        description: 'Show message statistics of a user',
+        args: [{ name: 'user', type: 'mention', optional: true, description: 'Defaults to you' }],
+        handler: this.handleStats.bind(this)
+      }
+    };
+  }
+
+  formatMessage(message) {
+    const time = new Date(message.timestamp).toISOString().slice(5, 16).replace('T', ' ');
+    const markers = `${message.edits?.length ? ' ✏️' : ''}${message.deleted ? ' 🗑️' : ''}`;
+    const reactions = message.reactions?.length ? ` [${message.reactions.map(reaction => reaction.emoji).join('')}]` : '';
+    const text = message.text?.length > 120 ? `${message.text.slice(0, 117)}...` : message.text;
+    return `[${time}] @${message.senderUsername}: ${text}${markers}${reactions}`;
+  }
+
+  async handleHistory(args, context) {
+    if (!this.enabled) {
+      await context.reply('❌ The message archive needs MongoDB');
+      return;
+    }
+
+    const messages = await dbUtils.getMessageHistory(context.threadId, context.args.count);
+    if (messages.length === 0) {
+      await context.reply('📭 No archived messages in this thread yet');
+      return;
+    }
+
+    await context.reply(`🗂️ **Last ${messages.length} messages**\n\n${messages.map(message => this.formatMessage(message)).join('\n')}`);
+  }
+
+  async handleSearch(args, context) {
+    if (!this.enabled) {
+      await context.reply('❌ The message archive needs MongoDB');
+      return;
+    }
+
+    const query = context.args.text;
+    const messages = await dbUtils.searchMessages(context.threadId, query, 10);
+    if (messages.length === 0) {
+      await context.reply(`🔍 Nothing found for "${query}"`);
+      return;
+    }
+
+    await context.reply(`🔍 **${messages.length} result(s) for "${query}"**\n\n${messages.map(message => this.formatMessage(message)).join('\n')}`);
+  }
+
+  async handleStats(args, context) {
+    if (!this.enabled) {
+      await context.reply('❌ The message archive needs MongoDB');
+      return;
+    }
+
+    const username = context.args.user || context.senderUsername;
+    const userId = context.args.user
+      ? await this.instagramBot.permissions.resolveUserId(username).catch(() => null)
+      : String(context.sender);
+
+    const stats = userId && (await dbUtils.getUserStats(userId));
+    if (!stats) {
+      await context.reply(`📊 No messages archived from @${username}`);
+      return;
+    }
+
+    const inThread = await dbUtils.countMessages({ senderId: userId, threadId: context.threadId });
+    const deleted = await dbUtils.countMessages({ senderId: userId, deleted: true });
+
+    await context.reply(`
+📊 **Stats for @${stats.username}**
+
+💬 **Messages:** ${stats.totalMessages} (${inThread} in this thread)
+🗑️ **Unsent:** ${deleted}
+🕐 **First seen:** ${stats.firstSeenAt ? new Date(stats.firstSeenAt).toISOString().slice(0, 10) : 'unknown'}
+🕑 **Last message:** ${stats.lastMessageAt ? new Date(stats.lastMessageAt).toISOString().replace('T', ' ').slice(0, 16) : 'unknown'}
+    `.trim());
+  }
+
+  async process(message) {
+    if (!this.enabled || !message.id) return message;
+
+    const isNew = await dbUtils.saveMessage(message);
+    // Only count a message once, even if it was delivered twice
+    if (isNew) {
+      await dbUtils.saveUserStats(String(message.sender), message.senderUsername, {
+        lastThreadId: message.threadId,
+        lastMessageAt: message.timestamp
+      });
+    }
+    return message;
+  }
+
+  async processUpdate(update) {
+    if (!this.enabled) return;
+
+    switch (update.type) {
+      case 'edit':
+        await dbUtils.editMessage(update.itemId, update.text, update.timestamp);
+        break;
+
+      case 'delete':
+        await dbUtils.markMessageDeleted(update.itemId, update.timestamp);
+        break;
+
+      case 'reaction':
+        await dbUtils.saveReaction(update.itemId, update, update.removed);
+        break;
+    }
+  }
+
+  async cleanup() {
+    // Nothing to release, the connection is shared
+  }
+}
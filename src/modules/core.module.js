@@ -1,7 +1,21 @@
+import { SUBSCRIPTIONS } from '../core/subscription-manager.js';
+import { validatePrefix } from '../core/prefix-manager.js';
+
 export class CoreModule {
-  constructor(instagramBot) {
+  static manifest = {
+    name: 'core',
+    version: '1.0.0',
+    description: 'Basic bot commands',
+    dependencies: []
+  };
+
+  constructor() {
     this.name = 'core';
-    this.instagramBot = instagramBot;
+    this.instagramBot = null;
+  }
+
+  async init(context) {
+    this.instagramBot = context.bot;
   }
 
   getCommands() {
@@ -9,29 +23,92 @@ export class CoreModule {
       ping: {
         description: 'Check if bot is responsive',
         usage: '.ping',
-        adminOnly: false,
+        aliases: ['p'],
         handler: this.handlePing.bind(this)
       },
       
       status: {
         description: 'Get bot status and statistics',
         usage: '.status',
-        adminOnly: true,
+        role: 'admin',
         handler: this.handleStatus.bind(this)
       },
       
       react: {
         description: 'React to the message with an emoji',
-        usage: '.react [emoji]',
-        adminOnly: false,
+        args: [
+          { name: 'emoji', type: 'emoji', optional: true, default: '❤️' }
+        ],
         handler: this.handleReact.bind(this)
       },
       
       typing: {
         description: 'Show typing indicator for a few seconds',
-        usage: '.typing [seconds]',
-        adminOnly: false,
+        // Limited to prevent abuse
+        args: [
+          { name: 'seconds', type: 'int', optional: true, default: 3, min: 1, max: 10 }
+        ],
         handler: this.handleTyping.bind(this)
+      },
+      
+      ratelimit: {
+        description: 'Inspect, reset or bypass rate limits',
+        args: [
+          { name: 'action', choices: ['status', 'reset', 'bypass'], optional: true, default: 'status' },
+          { name: 'target', type: 'mention', optional: true, description: '@user, or all for reset' },
+          { name: 'state', choices: ['on', 'off'], optional: true, default: 'on' }
+        ],
+        role: 'admin',
+        rateLimit: false,
+        handler: this.handleRateLimit.bind(this)
+      },
+      
+      prefix: {
+        description: 'Show or override the command prefixes of this thread',
+        args: [
+          { name: 'action', choices: ['show', 'set', 'reset'], optional: true, default: 'show' },
+          { name: 'prefixes', type: 'rest', optional: true, description: 'Space separated, e.g. ! ?' }
+        ],
+        role: 'admin',
+        handler: this.handlePrefix.bind(this)
+      },
+      
+      queue: {
+        description: 'Inspect, retry or clear the outgoing queue',
+        args: [
+          { name: 'action', choices: ['status', 'flush', 'clear'], optional: true, default: 'status' },
+          { name: 'thread', optional: true, description: 'Thread id for clear, defaults to all' }
+        ],
+        role: 'admin',
+        rateLimit: false,
+        handler: this.handleQueue.bind(this)
+      },
+
+      subscribe: {
+        description: 'Add a realtime subscription on the live connection',
+        args: [
+          { name: 'name', choices: Object.keys(SUBSCRIPTIONS) },
+          { name: 'target', optional: true, description: 'Broadcast or feedback id for targeted subscriptions' }
+        ],
+        role: 'admin',
+        handler: this.handleSubscribe.bind(this)
+      },
+
+      unsubscribe: {
+        description: 'Remove a realtime subscription',
+        args: [
+          { name: 'name', choices: Object.keys(SUBSCRIPTIONS) },
+          { name: 'target', optional: true }
+        ],
+        role: 'admin',
+        handler: this.handleUnsubscribe.bind(this)
+      },
+
+      subscriptions: {
+        description: 'List the realtime subscriptions',
+        role: 'admin',
+        aliases: ['subs'],
+        handler: this.handleSubscriptions.bind(this)
       }
     };
   }
@@ -55,7 +132,7 @@ export class CoreModule {
     const statusMessage = `
 📊 **Bot Status**
 
-🔗 **Connection:** ${stats.connected ? '✅ Realtime Connected' : stats.polling ? '🔄 Safe Polling Mode (45s)' : '❌ Disconnected'}
+🔗 **Connection:** ${stats.connected ? '✅ Realtime Connected' : stats.polling ? `🔄 Safe Polling Mode (~${Math.round(stats.pollIntervalMs / 1000)}s)` : '❌ Disconnected'}
 🔄 **Reconnects:** ${stats.reconnectAttempts}
 👤 **User ID:** ${stats.userId}
 📱 **Username:** @${stats.username}
@@ -69,17 +146,13 @@ ${stats.connected ? '🚀 **Realtime MQTT Active**' : stats.polling ? '🔄 **Sa
   }
 
   async handleReact(args, context) {
-    const emoji = args[0] || '❤️';
-    await context.react(emoji);
+    await context.react(context.args.emoji);
     
     // Don't send a text reply for reactions to keep it clean
   }
 
   async handleTyping(args, context) {
-    const seconds = parseInt(args[0]) || 3;
-    const maxSeconds = 10; // Limit to prevent abuse
-    
-    const duration = Math.min(seconds, maxSeconds);
+    const duration = context.args.seconds;
     
     await context.typing(true);
     await context.reply(`⌨️ Typing for ${duration} seconds...`);
@@ -90,6 +163,165 @@ ${stats.connected ? '🚀 **Realtime MQTT Active**' : stats.polling ? '🔄 **Sa
     }, duration * 1000);
   }
 
+  async handleRateLimit(args, context) {
+    const rateLimits = this.instagramBot.rateLimits;
+    const { action, target, state } = context.args;
+
+    switch (action) {
+      case 'status': {
+        const send = rateLimits.getSendUsage();
+        let text = `⏰ **Rate Limits** (${rateLimits.enabled ? 'enabled' : 'disabled'})\n\n📤 Sends: ${send.sent}/${send.max} per ${send.windowMs / 1000}s`;
+
+        if (target) {
+          const userId = await this.resolveTarget(target, context);
+          if (!userId) return;
+          const usage = rateLimits.getUsage(userId);
+          text += `\n\n👤 @${target}${usage.bypassed ? ' (bypassed)' : ''}\n• Commands: ${usage.user}/${usage.userMax}`;
+          for (const entry of usage.commands) {
+            text += `\n• .${entry.command}: ${entry.hits}`;
+          }
+        }
+
+        await context.reply(text);
+        break;
+      }
+
+      case 'reset': {
+        if (!target) {
+          await context.reply('❌ Usage: .ratelimit reset <@user|all>');
+          return;
+        }
+        const userId = target === 'all' ? undefined : await this.resolveTarget(target, context);
+        if (userId === null) return;
+        const cleared = await rateLimits.reset(userId);
+        await context.reply(`✅ Cleared ${cleared} rate limit window(s)${target === 'all' ? '' : ` for @${target}`}`);
+        break;
+      }
+
+      case 'bypass': {
+        if (!target) {
+          await context.reply('❌ Usage: .ratelimit bypass <@user> [on|off]');
+          return;
+        }
+        const userId = await this.resolveTarget(target, context);
+        if (!userId) return;
+        const enabled = state !== 'off';
+        await rateLimits.setBypass(userId, enabled);
+        await context.reply(`✅ Rate limit bypass ${enabled ? 'enabled' : 'disabled'} for @${target}`);
+        break;
+      }
+    }
+  }
+
+  // Limits are kept per pk, answers the command itself when the user doesn't exist
+  async resolveTarget(username, context) {
+    try {
+      return await this.instagramBot.permissions.resolveUserId(username);
+    } catch (error) {
+      await context.reply(`❌ Could not find @${username}`);
+      return null;
+    }
+  }
+
+  async handlePrefix(args, context) {
+    const prefixes = this.instagramBot.prefixes;
+    const { action } = context.args;
+
+    if (action === 'set') {
+      const newPrefixes = (context.args.prefixes || '').split(/\s+/).filter(Boolean);
+      const problem = newPrefixes.map(validatePrefix).find(Boolean);
+      if (newPrefixes.length === 0 || problem) {
+        await context.reply(`❌ ${problem ? `${problem}. ` : ''}Give one or more prefixes of up to 3 symbols, e.g. .prefix set ! ?`);
+        return;
+      }
+      await prefixes.setThreadPrefixes(context.threadId, newPrefixes);
+    } else if (action === 'reset') {
+      await prefixes.resetThreadPrefixes(context.threadId);
+    }
+
+    const current = prefixes.getPrefixes(context.threadId).map(prefix => `"${prefix}"`).join(' ');
+    const overridden = prefixes.threadPrefixes.has(context.threadId) ? ' (thread override)' : '';
+    await context.reply(`🔤 Prefixes: ${current}${overridden}${prefixes.mentionPrefix ? '\n💬 Mentioning the bot works too' : ''}`);
+  }
+
+  async handleQueue(args, context) {
+    const outbound = this.instagramBot.outbound;
+    const { action, thread } = context.args;
+
+    switch (action) {
+      case 'status': {
+        const stats = outbound.getStats();
+        const age = stats.oldest ? ` (oldest ${Math.round((Date.now() - stats.oldest.getTime()) / 1000)}s)` : '';
+        let text = `📤 **Outgoing Queue**
+
+⏳ Pending: ${stats.pending} in ${stats.threads} thread(s)${age}
+🔁 Retrying: ${stats.retrying}`;
+
+        for (const job of stats.jobs.slice(0, 10)) {
+          const error = job.lastError ? ` - ${job.lastError}` : '';
+          text += `
+• ${job.type} → ${job.threadId} (attempt ${job.attempts})${error}`;
+        }
+        if (stats.failed.length > 0) {
+          text += `
+
+❌ Recently dropped:`;
+          for (const job of stats.failed.slice(0, 5)) {
+            text += `
+• ${job.type} → ${job.threadId}: ${job.reason}`;
+          }
+        }
+
+        await context.reply(text);
+        break;
+      }
+
+      case 'flush': {
+        const pending = outbound.flush();
+        await context.reply(`🔁 Retrying ${pending} pending action(s) now`);
+        break;
+      }
+
+      case 'clear': {
+        const dropped = outbound.clear(thread);
+        await context.reply(`🗑️ Dropped ${dropped} pending action(s)${thread ? ` for thread ${thread}` : ''}`);
+        break;
+      }
+    }
+  }
+
+  async handleSubscribe(args, context) {
+    const { name, target } = context.args;
+    try {
+      const added = await this.instagramBot.subscriptions.subscribe(name, target, 'command');
+      const when = this.instagramBot.isRealtimeConnected ? '' : ' (applied on the next realtime connection)';
+      await context.reply(added ? `📡 Subscribed to ${name}${target ? ` ${target}` : ''}${when}` : `ℹ️ Already subscribed to ${name}`);
+    } catch (error) {
+      await context.reply(`❌ ${error.message}`);
+    }
+  }
+
+  async handleUnsubscribe(args, context) {
+    const { name, target } = context.args;
+    try {
+      const removed = await this.instagramBot.subscriptions.unsubscribe(name, target);
+      await context.reply(removed ? `📴 Unsubscribed from ${name}${target ? ` ${target}` : ''}` : `ℹ️ Not subscribed to ${name}`);
+    } catch (error) {
+      await context.reply(`❌ Could not unsubscribe from ${name}: ${error.message}`);
+    }
+  }
+
+  async handleSubscriptions(args, context) {
+    const subscriptions = this.instagramBot.subscriptions.list();
+    if (subscriptions.length === 0) {
+      await context.reply('📡 No realtime subscriptions');
+      return;
+    }
+
+    const lines = subscriptions.map(sub => `• ${sub.name}${sub.target ? ` ${sub.target}` : ''} (${sub.kind}, ${sub.owner})`);
+    await context.reply(`📡 **Realtime Subscriptions**\n\n${lines.join('\n')}`);
+  }
+
   async process(message) {
     // Log all messages for statistics
     console.log(`📨 [${new Date().toISOString()}] @${message.senderUsername}: ${message.text}`);
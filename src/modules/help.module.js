@@ -1,44 +1,63 @@
+import { describeSchema } from '../core/command-parser.js';
+import { roleLevel } from '../core/permission-manager.js';
+
 export class HelpModule {
-  constructor(moduleManager) {
+  static manifest = {
+    name: 'help',
+    version: '1.0.0',
+    description: 'Command help and listings',
+    dependencies: []
+  };
+
+  constructor() {
     this.name = 'help';
-    this.moduleManager = moduleManager;
+    this.moduleManager = null;
+  }
+
+  async init(context) {
+    this.moduleManager = context.moduleManager;
   }
 
   getCommands() {
     return {
       help: {
         description: 'Show available commands',
-        usage: '.help [command]',
-        adminOnly: false,
+        aliases: ['h'],
+        args: [{ name: 'command', optional: true }],
         handler: this.handleHelp.bind(this)
       },
       
       commands: {
         description: 'List all available commands',
         usage: '.commands',
-        adminOnly: false,
+        aliases: ['cmds'],
         handler: this.handleCommands.bind(this)
       }
     };
   }
 
   async handleHelp(args, context) {
-    if (args.length > 0) {
+    const prefixes = context.bot.prefixes.getPrefixes(context.threadId);
+    const prefix = prefixes[0];
+
+    if (context.args.command) {
       // Show help for specific command
-      const commandName = args[0].toLowerCase();
+      const commandName = context.args.command.replace(/^\W+/, '').toLowerCase();
       const command = this.moduleManager.getCommand(commandName);
       
       if (!command) {
-        await context.reply(`❌ Command '.${commandName}' not found.`);
+        await context.reply(`❌ Command '${prefix}${commandName}' not found.`);
         return;
       }
       
+      const argumentLines = describeSchema(command);
+      const aliases = command.aliases.length ? `\n🔀 **Aliases:** ${command.aliases.map(alias => prefix + alias).join(', ')}` : '';
       const helpText = `
-📖 **Command Help: .${commandName}**
+📖 **Command Help: ${prefix}${command.name}**
 
 📝 **Description:** ${command.description}
-💡 **Usage:** ${command.usage}
-🔒 **Admin Only:** ${command.adminOnly ? 'Yes' : 'No'}
+💡 **Usage:** ${command.usage}${argumentLines.length ? `\n🧩 **Arguments:**\n${argumentLines.join('\n')}` : ''}${aliases}
+🔒 **Role:** ${command.role}
 🏷️ **Module:** ${command.moduleName}
       `.trim();
       
@@ -52,17 +71,17 @@ export class HelpModule {
 🛡️ **Instagram-friendly** - Reduced flag risk
 
 📋 **Quick Commands:**
-• .help [command] - Get help
-• .commands - List all commands  
-• .ping - Test bot response
-• .status - Bot statistics (admin)
+• ${prefix}help [command] - Get help
+• ${prefix}commands - List all commands  
+• ${prefix}ping - Test bot response
+• ${prefix}status - Bot statistics (admin)
 
 💡 **Tips:**
-• All commands start with a dot (.)
-• Use .help <command> for detailed info
+• Commands start with ${prefixes.map(p => `"${p}"`).join(' or ')}
+• Use ${prefix}help <command> for detailed info
 • Real-time responses via MQTT!
 
-🔗 Type .commands to see all available commands.
+🔗 Type ${prefix}commands to see all available commands.
       `.trim();
       
       await context.reply(helpText);
@@ -70,15 +89,15 @@ export class HelpModule {
   }
 
   async handleCommands(args, context) {
+    const prefix = context.bot.prefixes.getPrefixes(context.threadId)[0];
     const allCommands = this.moduleManager.getAllCommands();
-    const isAdmin = context.senderUsername && 
-      this.moduleManager.instagramBot.messageHandler.isAdmin(context.senderUsername);
+    const level = roleLevel(context.role || 'user');
     
     const commandsByModule = {};
     
     for (const [name, command] of allCommands) {
-      // Skip admin commands for non-admins
-      if (command.adminOnly && !isAdmin) continue;
+      // Only list commands the caller is allowed to run
+      if (roleLevel(command.role) > level) continue;
       
       const moduleName = command.moduleName || 'unknown';
       if (!commandsByModule[moduleName]) {
@@ -88,7 +107,8 @@ export class HelpModule {
       commandsByModule[moduleName].push({
         name,
         description: command.description,
-        adminOnly: command.adminOnly
+        aliases: command.aliases,
+        role: command.role
       });
     }
     
@@ -98,14 +118,15 @@ export class HelpModule {
       commandsText += `🔹 **${moduleName.toUpperCase()}**\n`;
       
       for (const cmd of commands) {
-        const adminBadge = cmd.adminOnly ? ' 🔒' : '';
-        commandsText += `  • .${cmd.name}${adminBadge} - ${cmd.description}\n`;
+        const roleBadge = cmd.role !== 'user' ? ` 🔒${cmd.role}` : '';
+        const aliases = cmd.aliases.length ? ` (${cmd.aliases.map(alias => prefix + alias).join(', ')})` : '';
+        commandsText += `  • ${prefix}${cmd.name}${aliases}${roleBadge} - ${cmd.description}\n`;
       }
       
       commandsText += '\n';
     }
     
-    commandsText += '💡 Use .help <command> for detailed usage info';
+    commandsText += `💡 Use ${prefix}help <command> for detailed usage info`;
     
     await context.reply(commandsText);
   }
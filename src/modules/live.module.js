@@ -0,0 +1,375 @@
+import { LIVE_EVENT_SOURCES, normalizeLiveEvent, normalizeLiveNotification } from '../core/live-events.js';
+
+// Held for every watched broadcast
+const WATCH_SUBSCRIPTIONS = ['liveComments', 'liveWave', 'liveQuestions', 'liveQuestionStatus', 'liveTyping'];
+
+export class LiveModule {
+  static manifest = {
+    name: 'live',
+    version: '1.0.0',
+    description: 'Follows Instagram Live broadcasts: comments, waves, questions and keyword moderation',
+    dependencies: []
+  };
+
+  constructor() {
+    this.name = 'live';
+    this.instagramBot = null;
+    this.moduleManager = null;
+    this.telegramBridge = null;
+    this.logger = null;
+    this.options = null;
+    this.watches = new Map(); // broadcastId -> { broadcastId, threadId, owner, startedAt, counts, window }
+    this.keywords = new Set();
+    this.db = null;
+    this.notifyThreadId = null;
+    this.listeners = [];
+  }
+
+  async init(context) {
+    this.instagramBot = context.bot;
+    this.moduleManager = context.moduleManager;
+    this.telegramBridge = context.telegramBridge;
+    this.logger = context.logger;
+    this.subscribe = context.subscribe;
+    this.unsubscribe = context.unsubscribe;
+    this.options = context.config.live;
+    // `db` is null when MongoDB is disabled or unreachable, keyword changes are lost on restart then
+    this.db = context.db;
+    this.keywords = new Set(this.options.moderationKeywords.map(keyword => keyword.toLowerCase()));
+    await this.loadKeywords();
+
+    for (const source of LIVE_EVENT_SOURCES) {
+      this.listen(source, payload => this.handleEvent(normalizeLiveEvent(source, payload)));
+    }
+    // Skywalker messages only come through the generic receive event
+    this.listen('receive', (topic, messages) => {
+      if (topic?.path !== '/pubsub') return;
+      for (const message of messages || []) {
+        this.handleEvent(normalizeLiveNotification(message.data?.payload));
+      }
+    });
+  }
+
+  // The realtime client keeps its listeners across reconnects, they are removed in cleanup()
+  listen(event, handler) {
+    const listener = (...args) => handler(...args)?.catch?.(error => this.logger.error(`Failed to handle ${event}:`, error.message));
+    this.instagramBot.ig.realtime.on(event, listener);
+    this.listeners.push([event, listener]);
+  }
+
+  getCommands() {
+    return {
+      live: {
+        description: 'Watch live broadcasts and moderate their comments',
+        args: [
+          { name: 'action', choices: ['watch', 'stop', 'status', 'keywords', 'notify'], optional: true, default: 'status' },
+          { name: 'target', optional: true, description: 'Broadcast id, add/remove for keywords, on/off for notify' },
+          { name: 'keyword', type: 'rest', optional: true }
+        ],
+        role: 'admin',
+        handler: this.handleLive.bind(this)
+      }
+    };
+  }
+
+  async handleLive(args, context) {
+    switch (context.args.action) {
+      case 'watch':
+        return this.handleWatch(context);
+      case 'stop':
+        return this.handleStop(context);
+      case 'keywords':
+        return this.handleKeywords(context);
+      case 'notify':
+        return this.handleNotify(context);
+      default:
+        return this.handleStatus(context);
+    }
+  }
+
+  async handleWatch(context) {
+    const broadcastId = context.args.target;
+    if (!/^\d+$/.test(broadcastId || '')) {
+      await context.reply('❌ Usage: .live watch <broadcastId>');
+      return;
+    }
+    if (this.watches.has(broadcastId)) {
+      await context.reply(`ℹ️ Already watching ${broadcastId}`);
+      return;
+    }
+
+    let info;
+    try {
+      info = await this.instagramBot.ig.live.info(broadcastId);
+    } catch (error) {
+      await context.reply(`❌ Could not load broadcast ${broadcastId}: ${error.message}`);
+      return;
+    }
+    if (info.broadcast_status === 'stopped') {
+      await context.reply(`❌ Broadcast ${broadcastId} has already ended`);
+      return;
+    }
+
+    // Half a watch would miss events, so a failed subscribe undoes the ones before it
+    const subscribed = [];
+    try {
+      for (const name of WATCH_SUBSCRIPTIONS) {
+        if (await this.subscribe(name, broadcastId)) subscribed.push(name);
+      }
+    } catch (error) {
+      for (const name of subscribed) {
+        await this.unsubscribe(name, broadcastId).catch(unsubscribeError =>
+          this.logger.error(`Failed to undo ${name} of ${broadcastId}:`, unsubscribeError.message));
+      }
+      throw error;
+    }
+    const owner = info.broadcast_owner?.username || null;
+    this.watches.set(broadcastId, {
+      broadcastId,
+      threadId: context.threadId,
+      owner,
+      startedAt: new Date(),
+      counts: {},
+      window: { startedAt: Date.now(), sent: 0, skipped: 0 }
+    });
+
+    const when = this.instagramBot.isRealtimeConnected ? '' : ' once realtime is connected';
+    await context.reply(`🔴 Watching ${owner ? `@${owner}'s live` : `live ${broadcastId}`}${when}, highlights go to this thread`);
+  }
+
+  async handleStop(context) {
+    const threadWatches = [...this.watches.values()].filter(watch => watch.threadId === context.threadId);
+    const watch = context.args.target ? this.watches.get(context.args.target) : threadWatches.length === 1 ? threadWatches[0] : null;
+    if (!watch) {
+      await context.reply(context.args.target ? `ℹ️ Not watching ${context.args.target}` : '❌ Usage: .live stop <broadcastId>');
+      return;
+    }
+
+    try {
+      await this.stopWatch(watch);
+    } catch (error) {
+      await context.reply(`❌ Could not stop watching ${this.describe(watch)}: ${error.message}`);
+      return;
+    }
+    await context.reply(`⏹️ Stopped watching ${this.describe(watch)} - ${this.formatCounts(watch)}`);
+  }
+
+  // The watch stays until every subscription is gone, so stopping again retries the rest
+  async stopWatch(watch) {
+    for (const name of WATCH_SUBSCRIPTIONS) {
+      await this.unsubscribe(name, watch.broadcastId);
+    }
+    this.watches.delete(watch.broadcastId);
+  }
+
+  async handleStatus(context) {
+    const keywords = this.keywords.size > 0 ? [...this.keywords].join(', ') : 'none';
+    const lines = [...this.watches.values()].map(watch => `• ${this.describe(watch)} (${watch.broadcastId}) - ${this.formatCounts(watch)}`);
+
+    await context.reply(`
+🔴 **Live**
+
+${lines.length > 0 ? lines.join('\n') : 'Not watching any broadcast'}
+
+🚫 **Moderation keywords:** ${keywords} (${this.options.moderationAction})
+🔔 **Go-live notifications:** ${this.notifyThreadId ? 'on' : 'off'}
+    `.trim());
+  }
+
+  async handleKeywords(context) {
+    const { target: operation, keyword } = context.args;
+    const word = keyword?.trim().toLowerCase();
+
+    const untilRestart = this.db ? '' : ' until the next restart';
+
+    if (operation === 'add' && word) {
+      this.keywords.add(word);
+      await this.saveKeyword(word, false);
+      await context.reply(`🚫 Live comments containing "${word}" are moderated${untilRestart}`);
+    } else if (operation === 'remove' && word) {
+      const removed = this.keywords.delete(word);
+      if (removed) await this.saveKeyword(word, true);
+      await context.reply(removed ? `✅ Removed "${word}"${untilRestart}` : `ℹ️ "${word}" is no moderation keyword`);
+    } else if (!operation) {
+      await context.reply(`🚫 **Moderation keywords:** ${[...this.keywords].join(', ') || 'none'}`);
+    } else {
+      await context.reply('❌ Usage: .live keywords [add|remove] [keyword]');
+    }
+  }
+
+  // Keywords added or removed with the command, applied on top of LIVE_MODERATION_KEYWORDS
+  async loadKeywords() {
+    if (!this.db) return;
+
+    try {
+      for (const { keyword, removed } of await this.db.collection('live_keywords').find().toArray()) {
+        if (removed) {
+          this.keywords.delete(keyword);
+        } else {
+          this.keywords.add(keyword);
+        }
+      }
+    } catch (error) {
+      this.logger.error('Failed to load moderation keywords:', error.message);
+    }
+  }
+
+  async saveKeyword(keyword, removed) {
+    if (!this.db) return;
+
+    try {
+      await this.db.collection('live_keywords').updateOne(
+        { keyword },
+        { $set: { keyword, removed, updatedAt: new Date() } },
+        { upsert: true }
+      );
+    } catch (error) {
+      this.logger.error('Failed to save moderation keyword:', error.message);
+    }
+  }
+
+  async handleNotify(context) {
+    const enable = context.args.target !== 'off';
+    if (enable) {
+      await this.subscribe('skywalkerLive');
+      this.notifyThreadId = context.threadId;
+      await context.reply('🔔 Accounts going live will be announced in this thread');
+    } else {
+      await this.unsubscribe('skywalkerLive');
+      this.notifyThreadId = null;
+      await context.reply('🔕 Go-live notifications are off');
+    }
+  }
+
+  // The watch an event belongs to, by its subscription, its broadcast id or the only watch
+  findWatch(event) {
+    const subscription = event.subscriptionId && this.instagramBot.subscriptions.findBySubscriptionId(event.subscriptionId);
+    const broadcastId = subscription?.target || event.broadcastId;
+    if (broadcastId) return this.watches.get(broadcastId) || null;
+    return this.watches.size === 1 ? [...this.watches.values()][0] : null;
+  }
+
+  /**
+   * @param {import('../core/live-events.js').LiveEvent | null} event
+   */
+  async handleEvent(event) {
+    if (!event) return;
+
+    if (event.kind === 'broadcast') {
+      if (this.notifyThreadId) {
+        const text = event.text ? `: ${event.text}` : '';
+        await this.send(this.notifyThreadId, `🔴 @${event.user?.username || event.user?.id} is live${text} (.live watch ${event.broadcastId})`);
+      }
+      await this.moduleManager.processUpdate({ type: 'live', ...event });
+      return;
+    }
+
+    const watch = this.findWatch(event);
+    if (!watch) return;
+
+    event.broadcastId = watch.broadcastId;
+    watch.counts[event.kind] = (watch.counts[event.kind] || 0) + 1;
+    const user = `@${event.user?.username || event.user?.id || 'someone'}`;
+
+    switch (event.kind) {
+      case 'comment': {
+        const keyword = this.matchKeyword(event.text);
+        if (keyword) {
+          event.moderated = keyword;
+          await this.moderate(watch, event, keyword);
+        } else if (this.isHighlight(event)) {
+          await this.highlight(watch, `💬 ${user}: ${event.text}`);
+        }
+        break;
+      }
+      case 'wave':
+        await this.highlight(watch, `👋 ${user} waved`);
+        break;
+      case 'question':
+        await this.highlight(watch, `❓ ${user} asks: ${event.text}`);
+        break;
+      case 'questionStatus':
+        await this.highlight(watch, `❓ Questions are ${event.enabled ? 'open' : 'closed'}`);
+        break;
+    }
+
+    await this.moduleManager.processUpdate({ type: 'live', ...event });
+  }
+
+  matchKeyword(text) {
+    const lower = text.toLowerCase();
+    return [...this.keywords].find(keyword => lower.includes(keyword)) || null;
+  }
+
+  // Comments mentioning the bot or a highlight keyword, or every comment when configured
+  isHighlight(event) {
+    if (this.options.forwardAllComments) return true;
+    const lower = event.text.toLowerCase();
+    const username = this.instagramBot.ig.state.cookieUsername?.toLowerCase();
+    return (username && lower.includes(`@${username}`)) || this.options.highlightKeywords.some(keyword => lower.includes(keyword.toLowerCase()));
+  }
+
+  async moderate(watch, event, keyword) {
+    watch.counts.moderated = (watch.counts.moderated || 0) + 1;
+    let action = '';
+
+    if (this.options.moderationAction === 'block' && event.user?.id) {
+      try {
+        await this.instagramBot.ig.friendship.block(event.user.id);
+        action = ', blocked';
+      } catch (error) {
+        this.logger.warn(`Failed to block ${event.user.id}:`, error.message);
+        action = ', block failed';
+      }
+    }
+
+    // Moderation notices skip the highlight limit
+    await this.send(watch.threadId, `🚫 [${this.describe(watch)}] @${event.user?.username || event.user?.id} matched "${keyword}"${action}: ${event.text}`);
+  }
+
+  // Forwards at most maxHighlightsPerMinute per watch, the rest is counted
+  async highlight(watch, text) {
+    const { window } = watch;
+    if (Date.now() - window.startedAt >= 60000) {
+      window.startedAt = Date.now();
+      window.sent = 0;
+    }
+    if (window.sent >= this.options.maxHighlightsPerMinute) {
+      window.skipped++;
+      return;
+    }
+
+    window.sent++;
+    const skipped = window.skipped > 0 ? ` (+${window.skipped} skipped)` : '';
+    window.skipped = 0;
+    await this.send(watch.threadId, `🔴 [${this.describe(watch)}] ${text}${skipped}`);
+  }
+
+  async send(threadId, text) {
+    const { forward } = this.options;
+    if (forward === 'instagram' || forward === 'both') {
+      await this.instagramBot.sendMessage(threadId, text);
+    }
+    if (forward === 'telegram' || forward === 'both') {
+      await this.telegramBridge?.sendNotice(threadId, text);
+    }
+  }
+
+  describe(watch) {
+    return watch.owner ? `@${watch.owner}` : watch.broadcastId;
+  }
+
+  formatCounts(watch) {
+    const { comment = 0, wave = 0, question = 0, moderated = 0 } = watch.counts;
+    return `💬 ${comment} 👋 ${wave} ❓ ${question} 🚫 ${moderated}`;
+  }
+
+  async cleanup() {
+    for (const [event, listener] of this.listeners) {
+      this.instagramBot.ig.realtime.off(event, listener);
+    }
+    this.listeners = [];
+    // Subscriptions are released by the module manager
+    this.watches.clear();
+  }
+}
@@ -0,0 +1,92 @@
+export class PluginsModule {
+  static manifest = {
+    name: 'plugins',
+    version: '1.0.0',
+    description: 'Load, unload and reload modules at runtime',
+    dependencies: [],
+    // Unloading this module would leave no way to load it back
+    protected: true
+  };
+
+  constructor() {
+    this.name = 'plugins';
+    this.moduleManager = null;
+  }
+
+  async init(context) {
+    this.moduleManager = context.moduleManager;
+  }
+
+  getCommands() {
+    return {
+      modules: {
+        description: 'List loaded modules',
+        usage: '.modules',
+        aliases: ['plugins'],
+        role: 'admin',
+        handler: this.handleModules.bind(this)
+      },
+
+      load: {
+        description: 'Load a module from the modules directory',
+        args: [{ name: 'module' }],
+        role: 'admin',
+        handler: this.handleLoad.bind(this)
+      },
+
+      unload: {
+        description: 'Unload a module and remove its commands',
+        args: [{ name: 'module' }],
+        role: 'admin',
+        handler: this.handleUnload.bind(this)
+      },
+
+      reload: {
+        description: 'Re-import a module and its dependents',
+        args: [{ name: 'module' }],
+        role: 'admin',
+        handler: this.handleReload.bind(this)
+      }
+    };
+  }
+
+  async handleModules(args, context) {
+    let text = `🔌 **Loaded Modules (${this.moduleManager.modules.length})**\n`;
+
+    for (const module of this.moduleManager.modules) {
+      const manifest = module.manifest || {};
+      const dependencies = manifest.dependencies?.length ? ` ← ${manifest.dependencies.join(', ')}` : '';
+      text += `\n• ${module.name}@${manifest.version || '?'}${dependencies}`;
+    }
+
+    await context.reply(text);
+  }
+
+  async handleLoad(args, context) {
+    const module = await this.moduleManager.load(context.args.module);
+    await context.reply(`✅ Loaded ${module.name}@${module.manifest.version}${this.formatCollisions()}`);
+  }
+
+  async handleUnload(args, context) {
+    const module = await this.moduleManager.unload(context.args.module);
+    await context.reply(`✅ Unloaded ${module.name}`);
+  }
+
+  async handleReload(args, context) {
+    const reloaded = await this.moduleManager.reload(context.args.module);
+    await context.reply(`♻️ Reloaded ${reloaded.join(', ')}${this.formatCollisions()}`);
+  }
+
+  formatCollisions() {
+    const collisions = this.moduleManager.commandCollisions;
+    return collisions.length ? `\n⚠️ Collisions:\n${collisions.map(collision => `• ${collision}`).join('\n')}` : '';
+  }
+
+  async process(message) {
+    return message;
+  }
+
+  async cleanup() {
+    // Nothing to clean up
+  }
+}
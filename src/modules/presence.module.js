@@ -0,0 +1,97 @@
+export class PresenceModule {
+  static manifest = {
+    name: 'presence',
+    version: '1.0.0',
+    description: 'Shows who is online, typing or was last active',
+    dependencies: []
+  };
+
+  constructor() {
+    this.name = 'presence';
+    this.instagramBot = null;
+  }
+
+  async init(context) {
+    this.instagramBot = context.bot;
+  }
+
+  getCommands() {
+    return {
+      seen: {
+        description: 'Show when a user was last active',
+        args: [{ name: 'user', type: 'mention' }],
+        aliases: ['lastseen'],
+        handler: this.handleSeen.bind(this)
+      },
+
+      online: {
+        description: 'Show who of this thread is online or typing',
+        handler: this.handleOnline.bind(this)
+      }
+    };
+  }
+
+  formatAgo(date) {
+    const seconds = Math.max(0, Math.round((Date.now() - date.getTime()) / 1000));
+    if (seconds < 60) return 'just now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+  }
+
+  async handleSeen(args, context) {
+    const username = context.args.user;
+    let userId;
+    try {
+      userId = await this.instagramBot.permissions.resolveUserId(username);
+    } catch (error) {
+      await context.reply(`❌ Could not find @${username}`);
+      return;
+    }
+
+    const { presence } = this.instagramBot;
+    await presence.refresh(this.instagramBot.ig);
+
+    const state = presence.getPresence(userId);
+    if (!state || (state.isActive === null && !state.lastActiveAt)) {
+      await context.reply(`👻 No activity of @${username} seen yet`);
+      return;
+    }
+
+    const typingHere = presence.getTypingUsers(context.threadId).includes(userId);
+    const status = typingHere ? '✍️ typing here' : state.isActive ? '🟢 online' : state.isActive === false ? '⚪ offline' : '❔ unknown';
+    const lastActive = state.lastActiveAt ? `${this.formatAgo(state.lastActiveAt)} (${state.lastActiveAt.toISOString().replace('T', ' ').slice(0, 16)})` : 'unknown';
+
+    await context.reply(`
+👤 **@${username}**
+
+📶 **Status:** ${status}
+🕑 **Last active:** ${lastActive}
+    `.trim());
+  }
+
+  async handleOnline(args, context) {
+    const { presence, threadWatcher } = this.instagramBot;
+    await presence.refresh(this.instagramBot.ig);
+
+    if (!threadWatcher.getParticipants(context.threadId)) {
+      await this.instagramBot.getThreadInfo(context.threadId);
+    }
+    const participants = threadWatcher.getParticipants(context.threadId);
+    if (!participants) {
+      await context.reply('❌ Could not load the participants of this thread');
+      return;
+    }
+
+    const nameOf = userId => `@${participants.get(userId) || userId}`;
+    const online = presence.getOnlineUsers().filter(userId => participants.has(userId));
+    const typing = presence.getTypingUsers(context.threadId);
+
+    const lines = [`🟢 **Online (${online.length}/${participants.size}):** ${online.map(nameOf).join(', ') || 'nobody'}`];
+    if (typing.length > 0) {
+      lines.push(`✍️ **Typing:** ${typing.map(nameOf).join(', ')}`);
+    }
+
+    await context.reply(lines.join('\n'));
+  }
+}
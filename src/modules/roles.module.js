@@ -0,0 +1,194 @@
+import { ROLES, roleLevel } from '../core/permission-manager.js';
+
+const GRANTABLE_ROLES = ROLES.filter(role => role !== 'banned' && role !== 'owner');
+
+export class RolesModule {
+  static manifest = {
+    name: 'roles',
+    version: '1.0.0',
+    description: 'Grant, revoke and inspect user roles',
+    dependencies: [],
+    // Without it nobody could fix a broken role assignment at runtime
+    protected: true
+  };
+
+  constructor() {
+    this.name = 'roles';
+    this.permissions = null;
+  }
+
+  async init(context) {
+    this.permissions = context.bot.permissions;
+  }
+
+  getCommands() {
+    const scopeFlags = {
+      here: { type: 'boolean', alias: 'h', description: 'Only in this thread' },
+      thread: { type: 'string', alias: 't', description: 'Only in the given thread id' }
+    };
+
+    return {
+      grant: {
+        description: 'Give a user a role, globally or in one thread',
+        args: [
+          { name: 'user', type: 'mention' },
+          { name: 'role', choices: GRANTABLE_ROLES }
+        ],
+        flags: scopeFlags,
+        role: 'admin',
+        handler: this.handleGrant.bind(this)
+      },
+
+      revoke: {
+        description: 'Remove a stored role from a user',
+        aliases: ['unban'],
+        args: [{ name: 'user', type: 'mention' }],
+        flags: scopeFlags,
+        role: 'moderator',
+        handler: this.handleRevoke.bind(this)
+      },
+
+      ban: {
+        description: 'Stop a user from running any command',
+        args: [{ name: 'user', type: 'mention' }],
+        flags: scopeFlags,
+        role: 'moderator',
+        handler: this.handleBan.bind(this)
+      },
+
+      whois: {
+        description: 'Show the roles of a user',
+        args: [{ name: 'user', type: 'mention' }],
+        role: 'moderator',
+        handler: this.handleWhois.bind(this)
+      }
+    };
+  }
+
+  getScope(context) {
+    if (context.flags.thread) return context.flags.thread;
+    return context.flags.here ? context.threadId : null;
+  }
+
+  /**
+   * The caller's role where the change applies: the global role for global changes,
+   * the role in that thread for thread changes. A moderator of this thread is nobody
+   * globally or in other threads.
+   * @returns {Promise<string | null>} null after telling the caller they may not
+   */
+  async scopeRole(context, threadId, requiredRole) {
+    const role = this.permissions.getRole(context.sender, threadId);
+    if (roleLevel(role) < roleLevel(requiredRole)) {
+      await context.reply(`❌ You need to be ${requiredRole} ${this.describeScope(threadId)} for that`);
+      return null;
+    }
+    return role;
+  }
+
+  /**
+   * Resolves the target and makes sure the caller outranks them in the given scope.
+   * Owners may change anybody, everybody else only users below their own role.
+   */
+  async resolveTarget(context, threadId, callerRole) {
+    const username = context.args.user;
+    let userId;
+    try {
+      userId = await this.permissions.resolveUserId(username);
+    } catch (error) {
+      await context.reply(`❌ Could not find @${username}`);
+      return null;
+    }
+
+    if (userId === String(context.sender)) {
+      await context.reply('❌ You cannot change your own role');
+      return null;
+    }
+
+    const targetRole = this.permissions.getRole(userId, threadId);
+    if (callerRole !== 'owner' && roleLevel(targetRole) >= roleLevel(callerRole)) {
+      await context.reply(`❌ @${username} is ${targetRole}, you cannot change their role`);
+      return null;
+    }
+
+    return { userId, username };
+  }
+
+  describeScope(threadId) {
+    return threadId ? `in thread ${threadId}` : 'globally';
+  }
+
+  async handleGrant(args, context) {
+    const { role } = context.args;
+    const threadId = this.getScope(context);
+    const callerRole = await this.scopeRole(context, threadId, 'admin');
+    if (!callerRole) return;
+
+    if (callerRole !== 'owner' && roleLevel(role) >= roleLevel(callerRole)) {
+      await context.reply(`❌ You can only grant roles below ${callerRole} ${this.describeScope(threadId)}`);
+      return;
+    }
+
+    const target = await this.resolveTarget(context, threadId, callerRole);
+    if (!target) return;
+
+    await this.permissions.assign(target.userId, role, {
+      threadId,
+      username: target.username,
+      grantedBy: context.senderUsername
+    });
+    await context.reply(`✅ @${target.username} is now ${role} ${this.describeScope(threadId)}`);
+  }
+
+  async handleRevoke(args, context) {
+    const threadId = this.getScope(context);
+    const callerRole = await this.scopeRole(context, threadId, 'moderator');
+    if (!callerRole) return;
+
+    const target = await this.resolveTarget(context, threadId, callerRole);
+    if (!target) return;
+
+    const removed = await this.permissions.revoke(target.userId, { threadId });
+    await context.reply(removed
+      ? `✅ Removed the role of @${target.username} ${this.describeScope(threadId)}`
+      : `ℹ️ @${target.username} has no role ${this.describeScope(threadId)}`);
+  }
+
+  async handleBan(args, context) {
+    const threadId = this.getScope(context);
+    const callerRole = await this.scopeRole(context, threadId, 'moderator');
+    if (!callerRole) return;
+
+    const target = await this.resolveTarget(context, threadId, callerRole);
+    if (!target) return;
+
+    await this.permissions.assign(target.userId, 'banned', {
+      threadId,
+      username: target.username,
+      grantedBy: context.senderUsername
+    });
+    await context.reply(`🚫 @${target.username} is banned ${this.describeScope(threadId)}`);
+  }
+
+  async handleWhois(args, context) {
+    const username = context.args.user;
+    let userId;
+    try {
+      userId = await this.permissions.resolveUserId(username);
+    } catch (error) {
+      await context.reply(`❌ Could not find @${username}`);
+      return;
+    }
+
+    let text = `👤 **@${username}** (${userId})\n🛡️ Role here: ${this.permissions.getRole(userId, context.threadId)}`;
+    for (const assignment of this.permissions.getAssignments(userId)) {
+      const grantedBy = assignment.grantedBy ? ` by @${assignment.grantedBy}` : '';
+      text += `\n• ${assignment.role} ${this.describeScope(assignment.threadId)}${grantedBy}`;
+    }
+
+    await context.reply(text);
+  }
+
+  async cleanup() {
+    // Assignments live in the permission manager
+  }
+}
@@ -14,6 +14,7 @@ import {
    PacketFlowFunc,
    PacketType,
    SocksTlsTransport,
+   TcpTransport,
    TlsTransport,
 } from 'mqtts';
 import { ConnectionFailedError, EmptyPacketError } from '../errors';
@@ -21,6 +22,34 @@ import { MQTToTConnectResponsePacket, readConnectResponsePacket } from './mqttot
 import { SocksProxy } from 'socks';
 import { ConnectionOptions } from 'tls';
 
+/**
+ * Connects to another broker than Instagram's, e.g. the local MQTToTBroker in tests.
+ * `tls: false` uses a plain TCP connection.
+ */
+export interface MQTToTBrokerOverride {
+   host: string;
+   port: number;
+   tls?: boolean;
+}
+
+/**
+ * Sees the raw traffic of a client, e.g. the MQTToTRecorder
+ */
+export interface MQTToTPacketTap {
+   /**
+    * every packet the client writes, one call per packet
+    */
+   outgoing(packet: Buffer): void;
+   /**
+    * bytes as read from the connection, not split into packets
+    */
+   incoming(data: Buffer): void;
+   /**
+    * a new connection starts, bytes of an unfinished packet are dropped
+    */
+   reset?(): void;
+}
+
 type MQTToTReadMap = Omit<DefaultPacketReadResultMap, PacketType.ConnAck> & {
    [PacketType.ConnAck]: MQTToTConnectResponsePacket;
 };
@@ -32,6 +61,7 @@ export class MQTToTClient extends MqttClient<MQTToTReadMap, MQTToTWriteMap> {
    protected connectPayloadProvider: () => Promise<Buffer>;
    protected connectPayload?: Buffer;
    protected requirePayload: boolean;
+   protected packetTap?: MQTToTPacketTap;
 
    protected mqttotDebug: (msg: string) => void;
 
@@ -43,6 +73,8 @@ export class MQTToTClient extends MqttClient<MQTToTReadMap, MQTToTWriteMap> {
       requirePayload: boolean;
       socksOptions?: SocksProxy;
       additionalOptions?: ConnectionOptions;
+      broker?: MQTToTBrokerOverride;
+      packetTap?: MQTToTPacketTap;
    }) {
       super({
          autoReconnect: options.autoReconnect,
@@ -54,24 +86,45 @@ export class MQTToTClient extends MqttClient<MQTToTReadMap, MQTToTWriteMap> {
             ...DefaultPacketWriteMap,
             [PacketType.Connect]: writeConnectRequestPacket,
          },
-         transport: options.socksOptions
-            ? new SocksTlsTransport({
-                 host: options.url,
-                 port: 443,
-                 proxyOptions: options.socksOptions,
-                 additionalOptions: options.additionalOptions,
-              })
-            : new TlsTransport({
-                 host: options.url,
-                 port: 443,
-                 additionalOptions: options.additionalOptions,
-              }),
+         transport: MQTToTClient.createTransport(options),
       });
-      this.mqttotDebug = (msg: string, ...args: string[]) => debugChannel('mqttot')(`${options.url}: ${msg}`, ...args);
+      this.mqttotDebug = (msg: string, ...args: string[]) =>
+         debugChannel('mqttot')(`${options.broker?.host ?? options.url}: ${msg}`, ...args);
       this.connectPayloadProvider = options.payloadProvider;
       this.mqttotDebug(`Creating client`);
       this.registerListeners();
       this.requirePayload = options.requirePayload;
+      this.packetTap = options.packetTap;
+   }
+
+   protected static createTransport(options: {
+      url: string;
+      socksOptions?: SocksProxy;
+      additionalOptions?: ConnectionOptions;
+      broker?: MQTToTBrokerOverride;
+   }) {
+      const { broker } = options;
+      if (broker) {
+         return broker.tls === false
+            ? new TcpTransport({ host: broker.host, port: broker.port })
+            : new TlsTransport({
+                 host: broker.host,
+                 port: broker.port,
+                 additionalOptions: options.additionalOptions,
+              });
+      }
+      return options.socksOptions
+         ? new SocksTlsTransport({
+              host: options.url,
+              port: 443,
+              proxyOptions: options.socksOptions,
+              additionalOptions: options.additionalOptions,
+           })
+         : new TlsTransport({
+              host: options.url,
+              port: 443,
+              additionalOptions: options.additionalOptions,
+           });
    }
 
    protected registerListeners() {
@@ -87,6 +140,19 @@ export class MQTToTClient extends MqttClient<MQTToTReadMap, MQTToTWriteMap> {
       this.on('disconnect', e => this.mqttotDebug(`Disconnected. ${e}`));
    }
 
+   protected createPipeline() {
+      super.createPipeline();
+      if (this.packetTap) {
+         this.packetTap.reset?.();
+         this.transport.duplex?.on('data', (data: Buffer) => this.packetTap?.incoming(data));
+      }
+   }
+
+   protected sendData(data: Buffer) {
+      this.packetTap?.outgoing(data);
+      super.sendData(data);
+   }
+
    async connect(options?: ConnectRequestOptions): Promise<any> {
       this.connectPayload = await this.connectPayloadProvider();
       return super.connect(options);
@@ -1,4 +1,4 @@
-import { Int64, ThriftDescriptors, ThriftPacketDescriptor, thriftWriteFromObject } from '../thrift';
+import { Int64, ThriftSchema, ThriftValue } from '../thrift';
 
 export type MQTToTConnectionData = Partial<{
    clientIdentifier: string;
@@ -50,55 +50,63 @@ export type MQTToTConnectionClientInfo = Partial<{
    anotherUnknown: Int64;
 }>;
 
+/**
+ * A connection as read by MQTToTConnection.thriftConfig, int64 fields are bigints
+ */
+export type MQTToTConnectionThrift = ThriftValue<typeof MQTToTConnection.thriftConfig>;
+
 export class MQTToTConnection {
    public fbnsConnectionData: MQTToTConnectionData;
 
-   public static thriftConfig: ThriftPacketDescriptor[] = [
-      ThriftDescriptors.binary('clientIdentifier', 1),
-      ThriftDescriptors.binary('willTopic', 2),
-      ThriftDescriptors.binary('willMessage', 3),
-      ThriftDescriptors.struct('clientInfo', 4, [
-         ThriftDescriptors.int64('userId', 1),
-         ThriftDescriptors.binary('userAgent', 2),
-         ThriftDescriptors.int64('clientCapabilities', 3),
-         ThriftDescriptors.int64('endpointCapabilities', 4),
-         ThriftDescriptors.int32('publishFormat', 5),
-         ThriftDescriptors.boolean('noAutomaticForeground', 6),
-         ThriftDescriptors.boolean('makeUserAvailableInForeground', 7),
-         ThriftDescriptors.binary('deviceId', 8),
-         ThriftDescriptors.boolean('isInitiallyForeground', 9),
-         ThriftDescriptors.int32('networkType', 10),
-         ThriftDescriptors.int32('networkSubtype', 11),
-         ThriftDescriptors.int64('clientMqttSessionId', 12),
-         ThriftDescriptors.binary('clientIpAddress', 13),
-         ThriftDescriptors.listOfInt32('subscribeTopics', 14),
-         ThriftDescriptors.binary('clientType', 15),
-         ThriftDescriptors.int64('appId', 16),
-         ThriftDescriptors.boolean('overrideNectarLogging', 17),
-         ThriftDescriptors.binary('connectTokenHash', 18),
-         ThriftDescriptors.binary('regionPreference', 19),
-         ThriftDescriptors.binary('deviceSecret', 20),
-         ThriftDescriptors.byte('clientStack', 21),
-         ThriftDescriptors.int64('fbnsConnectionKey', 22),
-         ThriftDescriptors.binary('fbnsConnectionSecret', 23),
-         ThriftDescriptors.binary('fbnsDeviceId', 24),
-         ThriftDescriptors.binary('fbnsDeviceSecret', 25),
-         ThriftDescriptors.int64('anotherUnknown', 26),
-      ]),
-      ThriftDescriptors.binary('password', 5),
-      // polyfill
-      ThriftDescriptors.int16('unknown', 5),
-      ThriftDescriptors.listOfBinary('getDiffsRequests', 6),
-      ThriftDescriptors.binary('zeroRatingTokenHash', 9),
-      ThriftDescriptors.mapBinaryBinary('appSpecificInfo', 10),
-   ];
+   public static thriftConfig = ThriftSchema.struct({
+      clientIdentifier: ThriftSchema.field(1, ThriftSchema.string()),
+      willTopic: ThriftSchema.field(2, ThriftSchema.string()),
+      willMessage: ThriftSchema.field(3, ThriftSchema.string()),
+      clientInfo: ThriftSchema.field(
+         4,
+         ThriftSchema.struct({
+            userId: ThriftSchema.field(1, ThriftSchema.i64()),
+            userAgent: ThriftSchema.field(2, ThriftSchema.string()),
+            clientCapabilities: ThriftSchema.field(3, ThriftSchema.i64()),
+            endpointCapabilities: ThriftSchema.field(4, ThriftSchema.i64()),
+            publishFormat: ThriftSchema.field(5, ThriftSchema.i32()),
+            noAutomaticForeground: ThriftSchema.field(6, ThriftSchema.bool()),
+            makeUserAvailableInForeground: ThriftSchema.field(7, ThriftSchema.bool()),
+            deviceId: ThriftSchema.field(8, ThriftSchema.string()),
+            isInitiallyForeground: ThriftSchema.field(9, ThriftSchema.bool()),
+            networkType: ThriftSchema.field(10, ThriftSchema.i32()),
+            networkSubtype: ThriftSchema.field(11, ThriftSchema.i32()),
+            clientMqttSessionId: ThriftSchema.field(12, ThriftSchema.i64()),
+            clientIpAddress: ThriftSchema.field(13, ThriftSchema.string()),
+            subscribeTopics: ThriftSchema.field(14, ThriftSchema.list(ThriftSchema.i32())),
+            clientType: ThriftSchema.field(15, ThriftSchema.string()),
+            appId: ThriftSchema.field(16, ThriftSchema.i64()),
+            overrideNectarLogging: ThriftSchema.field(17, ThriftSchema.bool()),
+            connectTokenHash: ThriftSchema.field(18, ThriftSchema.string()),
+            regionPreference: ThriftSchema.field(19, ThriftSchema.string()),
+            deviceSecret: ThriftSchema.field(20, ThriftSchema.string()),
+            clientStack: ThriftSchema.field(21, ThriftSchema.byte()),
+            fbnsConnectionKey: ThriftSchema.field(22, ThriftSchema.i64()),
+            fbnsConnectionSecret: ThriftSchema.field(23, ThriftSchema.string()),
+            fbnsDeviceId: ThriftSchema.field(24, ThriftSchema.string()),
+            fbnsDeviceSecret: ThriftSchema.field(25, ThriftSchema.string()),
+            anotherUnknown: ThriftSchema.field(26, ThriftSchema.i64()),
+         }),
+      ),
+      password: ThriftSchema.field(5, ThriftSchema.string()),
+      // polyfill, read when field 5 is an i16
+      unknown: ThriftSchema.field(5, ThriftSchema.i16()),
+      getDiffsRequests: ThriftSchema.field(6, ThriftSchema.list(ThriftSchema.string())),
+      zeroRatingTokenHash: ThriftSchema.field(9, ThriftSchema.string()),
+      appSpecificInfo: ThriftSchema.field(10, ThriftSchema.stringMap(ThriftSchema.string())),
+   });
 
    public constructor(connectionData: MQTToTConnectionData) {
       this.fbnsConnectionData = connectionData;
    }
 
    public toThrift(): Buffer {
-      return thriftWriteFromObject(this.fbnsConnectionData, MQTToTConnection.thriftConfig);
+      return MQTToTConnection.thriftConfig.encode(this.fbnsConnectionData);
    }
 
    public toString(): string {
@@ -1,16 +1,47 @@
 import { MQTToTClient } from '../../mqttot';
 import { Topics } from '../../constants';
-import { compressDeflate, debugChannel, notUndefined } from '../../shared';
+import { compressDeflate, debugChannel, notUndefined, tryUnzipAsync } from '../../shared';
 import { MessageSyncMessageTypes } from '../messages';
 import * as Chance from 'chance';
-import { ThriftDescriptors, ThriftPacketDescriptor, thriftWriteFromObject } from '../../thrift';
+import { ThriftSchema } from '../../thrift';
 import { MqttMessageOutgoing } from 'mqtts';
+import { SendMessageError, SendMessageTimeoutError } from '../../errors';
 
 interface ItemBaseType {
    threadId: string;
    clientContext?: string;
 }
 
+/**
+ * Published on /ig_send_message_response for every item sent with a client_context
+ */
+export interface SendMessageResponse {
+   action: 'item_ack' | string;
+   status: 'ok' | 'fail' | string;
+   status_code?: string;
+   client_context?: string;
+   payload?: {
+      client_context?: string;
+      item_id?: string;
+      timestamp?: string;
+      thread_id?: string;
+      message?: string;
+   };
+}
+
+export interface SendItemAck {
+   itemId?: string;
+   timestamp?: string;
+   threadId?: string;
+   clientContext: string;
+}
+
+interface PendingAck {
+   resolve: (ack: SendItemAck) => void;
+   reject: (error: Error) => void;
+   timer: ReturnType<typeof setTimeout>;
+}
+
 export interface ForegroundState {
    inForegroundApp?: boolean;
    inForegroundDevice?: boolean;
@@ -26,21 +57,62 @@ export class DirectCommands {
    private directDebug = debugChannel('realtime', 'direct');
    private client: MQTToTClient;
    private chance: Chance.Chance;
+   private pendingAcks = new Map<string, PendingAck>();
+
+   /**
+    * How long to wait for the server to acknowledge a sent item
+    */
+   public ackTimeout = 10 * 1000;
 
-   public foregroundStateConfig: ThriftPacketDescriptor[] = [
-      ThriftDescriptors.boolean('inForegroundApp', 1),
-      ThriftDescriptors.boolean('inForegroundDevice', 2),
-      ThriftDescriptors.int32('keepAliveTimeout', 3),
-      ThriftDescriptors.listOfBinary('subscribeTopics', 4),
-      ThriftDescriptors.listOfBinary('subscribeGenericTopics', 5),
-      ThriftDescriptors.listOfBinary('unsubscribeTopics', 6),
-      ThriftDescriptors.listOfBinary('unsubscribeGenericTopics', 7),
-      ThriftDescriptors.int64('requestId', 8),
-   ];
+   public foregroundStateConfig = ThriftSchema.struct({
+      inForegroundApp: ThriftSchema.field(1, ThriftSchema.bool()),
+      inForegroundDevice: ThriftSchema.field(2, ThriftSchema.bool()),
+      keepAliveTimeout: ThriftSchema.field(3, ThriftSchema.i32()),
+      subscribeTopics: ThriftSchema.field(4, ThriftSchema.list(ThriftSchema.string())),
+      subscribeGenericTopics: ThriftSchema.field(5, ThriftSchema.list(ThriftSchema.string())),
+      unsubscribeTopics: ThriftSchema.field(6, ThriftSchema.list(ThriftSchema.string())),
+      unsubscribeGenericTopics: ThriftSchema.field(7, ThriftSchema.list(ThriftSchema.string())),
+      requestId: ThriftSchema.field(8, ThriftSchema.i64()),
+   });
 
    public constructor(client: MQTToTClient) {
       this.client = client;
       this.chance = new Chance();
+      this.client.listen(
+         {
+            topic: Topics.SEND_MESSAGE_RESPONSE.id,
+            transformer: async ({ payload }): Promise<SendMessageResponse> =>
+               JSON.parse((await tryUnzipAsync(payload)).toString()),
+         },
+         response => this.handleSendResponse(response),
+      );
+   }
+
+   private handleSendResponse(response: SendMessageResponse) {
+      const clientContext = response.payload?.client_context ?? response.client_context;
+      const pending = clientContext ? this.pendingAcks.get(clientContext) : undefined;
+      if (!clientContext || !pending) return;
+
+      this.pendingAcks.delete(clientContext);
+      clearTimeout(pending.timer);
+
+      if (response.status === 'ok') {
+         this.directDebug(`Item ${clientContext} acknowledged as ${response.payload?.item_id}`);
+         pending.resolve({
+            itemId: response.payload?.item_id,
+            timestamp: response.payload?.timestamp,
+            threadId: response.payload?.thread_id,
+            clientContext,
+         });
+      } else {
+         this.directDebug(`Item ${clientContext} rejected: ${JSON.stringify(response)}`);
+         pending.reject(
+            new SendMessageError(
+               response.payload?.message || `Sending failed with status ${response.status_code ?? response.status}`,
+               response,
+            ),
+         );
+      }
    }
 
    public async sendForegroundState(state: ForegroundState) {
@@ -49,7 +121,7 @@ export class DirectCommands {
          .publish({
             topic: Topics.FOREGROUND_STATE.id,
             payload: await compressDeflate(
-               Buffer.concat([Buffer.alloc(1, 0), thriftWriteFromObject(state, this.foregroundStateConfig)]),
+               Buffer.concat([Buffer.alloc(1, 0), this.foregroundStateConfig.encode(state)]),
             ),
             qosLevel: 1,
          })
@@ -83,15 +155,37 @@ export class DirectCommands {
       });
    }
 
-   private async sendItem({ threadId, itemType, data, clientContext }: { itemType: string; data: any } & ItemBaseType) {
-      return this.sendCommand({
-         action: 'send_item',
-         threadId,
-         clientContext: clientContext || this.chance.guid({ version: 4 }),
-         data: {
-            item_type: itemType,
-            ...data,
-         },
+   /**
+    * Resolves once the server acknowledged the item on /ig_send_message_response,
+    * rejects with a SendMessageError if it refused the item or a SendMessageTimeoutError after `ackTimeout`.
+    */
+   private sendItem({
+      threadId,
+      itemType,
+      data,
+      clientContext,
+   }: { itemType: string; data: any } & ItemBaseType): Promise<SendItemAck> {
+      const context = clientContext || this.chance.guid({ version: 4 });
+      return new Promise<SendItemAck>((resolve, reject) => {
+         const timer = setTimeout(() => {
+            this.pendingAcks.delete(context);
+            reject(new SendMessageTimeoutError(`No acknowledgement for ${itemType} item ${context}`));
+         }, this.ackTimeout);
+         this.pendingAcks.set(context, { resolve, reject, timer });
+
+         this.sendCommand({
+            action: 'send_item',
+            threadId,
+            clientContext: context,
+            data: {
+               item_type: itemType,
+               ...data,
+            },
+         }).catch(error => {
+            clearTimeout(timer);
+            this.pendingAcks.delete(context);
+            reject(error);
+         });
       });
    }
 
@@ -122,6 +216,18 @@ export class DirectCommands {
       });
    }
 
+   public async sendLink({ text, urls, threadId, clientContext }: { text: string; urls: string[] } & ItemBaseType) {
+      return this.sendItem({
+         itemType: 'link',
+         threadId,
+         clientContext,
+         data: {
+            link_text: text,
+            link_urls: JSON.stringify(urls),
+         },
+      });
+   }
+
    public async sendLocation({
       text,
       locationId,
@@ -223,13 +329,29 @@ export class DirectCommands {
       });
    }
 
-   public async sendText({ text, clientContext, threadId }: { text: string } & ItemBaseType) {
+   /**
+    * @param repliedToItemId - quotes this item of the thread, the reply shows up attached to it
+    * @param repliedToClientContext - client_context of the quoted item, if it was sent by this client
+    */
+   public async sendText({
+      text,
+      clientContext,
+      threadId,
+      repliedToItemId,
+      repliedToClientContext,
+   }: { text: string; repliedToItemId?: string; repliedToClientContext?: string } & ItemBaseType) {
       return this.sendItem({
          itemType: 'text',
          threadId,
          clientContext,
          data: {
             text,
+            ...(repliedToItemId
+               ? {
+                    replied_to_item_id: repliedToItemId,
+                    replied_to_client_context: repliedToClientContext,
+                 }
+               : {}),
          },
       });
    }
@@ -1,18 +1,16 @@
 import { ParsedMessage, Parser } from './parser';
 import { Topic } from '../../topic';
-import { ThriftPacketDescriptor, ThriftDescriptors, thriftReadToObject } from '../../thrift';
+import { ThriftSchema } from '../../thrift';
 import { isJson } from '../../shared';
 
 export class GraphqlParser implements Parser<GraphQlMessage> {
-   public static descriptors: ThriftPacketDescriptor[] = [
-      ThriftDescriptors.binary('topic', 1),
-      ThriftDescriptors.binary('payload', 2),
-   ];
+   public static schema = ThriftSchema.struct({
+      topic: ThriftSchema.field(1, ThriftSchema.string()),
+      payload: ThriftSchema.field(2, ThriftSchema.string()),
+   });
 
    public parseMessage(topic: Topic, payload: Buffer): ParsedMessage<GraphQlMessage> {
-      const message: any = isJson(payload)
-         ? payload.toString()
-         : thriftReadToObject<{ payload: string; topic: string }>(payload, GraphqlParser.descriptors) ?? '';
+      const message: any = isJson(payload) ? payload.toString() : GraphqlParser.schema.decode(payload);
       if (message.payload) {
          message.json = JSON.parse(message.payload);
       }
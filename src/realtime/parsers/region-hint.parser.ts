@@ -1,12 +1,14 @@
 import { ParsedMessage, Parser } from './parser';
 import { Topic } from '../../topic';
-import { ThriftToObjectResult, ThriftDescriptors, thriftReadToObject } from '../../thrift';
+import { ThriftSchema, ThriftValue } from '../../thrift';
 
-export class RegionHintParser implements Parser<ThriftToObjectResult<{ hint: string }>> {
-   public static descriptors = [ThriftDescriptors.binary('hint', 1)];
+export type RegionHint = ThriftValue<typeof RegionHintParser.schema>;
 
-   public parseMessage = (topic: Topic, payload: Buffer): ParsedMessage<ThriftToObjectResult<{ hint: string }>> => ({
+export class RegionHintParser implements Parser<RegionHint> {
+   public static schema = ThriftSchema.struct({ hint: ThriftSchema.field(1, ThriftSchema.string()) });
+
+   public parseMessage = (topic: Topic, payload: Buffer): ParsedMessage<RegionHint> => ({
       topic,
-      data: thriftReadToObject(payload, RegionHintParser.descriptors),
+      data: RegionHintParser.schema.decode(payload),
    });
 }
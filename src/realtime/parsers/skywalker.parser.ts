@@ -1,14 +1,17 @@
 import { ParsedMessage, Parser } from './parser';
 import { Topic } from '../../topic';
-import { ThriftDescriptors, ThriftToObjectResult, thriftReadToObject } from '../../thrift';
+import { ThriftSchema } from '../../thrift';
 
-export class SkywalkerParser implements Parser<ThriftToObjectResult<SkywalkerResult>> {
-   public static descriptors = [ThriftDescriptors.int32('topic', 1), ThriftDescriptors.binary('payload', 2)];
+export class SkywalkerParser implements Parser<Partial<SkywalkerResult>> {
+   public static schema = ThriftSchema.struct({
+      topic: ThriftSchema.field(1, ThriftSchema.i32()),
+      payload: ThriftSchema.field(2, ThriftSchema.string()),
+   });
 
-   public parseMessage(topic: Topic, payload: Buffer): ParsedMessage<ThriftToObjectResult<SkywalkerResult>> {
+   public parseMessage(topic: Topic, payload: Buffer): ParsedMessage<Partial<SkywalkerResult>> {
       return {
          topic,
-         data: thriftReadToObject(payload, SkywalkerParser.descriptors),
+         data: SkywalkerParser.schema.decode(payload),
       };
    }
 }
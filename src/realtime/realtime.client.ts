@@ -2,7 +2,13 @@ import { IgApiClient } from 'instagram-private-api';
 import { REALTIME, RealtimeTopicsArray, Topics } from '../constants';
 import { Commands, DirectCommands } from './commands';
 import { compressDeflate, debugChannel, prepareLogString, ToEventFn, tryUnzipAsync } from '../shared';
-import { MQTToTClient, MQTToTConnection, MQTToTConnectionClientInfo } from '../mqttot';
+import {
+   MQTToTBrokerOverride,
+   MQTToTClient,
+   MQTToTConnection,
+   MQTToTConnectionClientInfo,
+   MQTToTPacketTap,
+} from '../mqttot';
 import { IllegalStateError, MqttMessageOutgoing } from 'mqtts';
 import { ClientDisconnectedError } from '../errors';
 import { EventEmitter } from 'eventemitter3';
@@ -21,6 +27,8 @@ export interface RealtimeClientInitOptions {
    mixins?: Mixin[];
    socksOptions?: SocksProxy;
    additionalTlsOptions?: ConnectionOptions;
+   broker?: MQTToTBrokerOverride;
+   packetTap?: MQTToTPacketTap;
 }
 
 export class RealtimeClient extends EventEmitter<ToEventFn<RealtimeClientEvents>> {
@@ -129,6 +137,8 @@ export class RealtimeClient extends EventEmitter<ToEventFn<RealtimeClientEvents>
          requirePayload: false,
          socksOptions: this.initOptions?.socksOptions,
          additionalOptions: this.initOptions?.additionalTlsOptions,
+         broker: this.initOptions?.broker,
+         packetTap: this.initOptions?.packetTap,
       });
       this.commands = new Commands(this.mqtt!);
       this.direct = new DirectCommands(this.mqtt!);
@@ -136,7 +146,14 @@ export class RealtimeClient extends EventEmitter<ToEventFn<RealtimeClientEvents>
          const unzipped = await tryUnzipAsync(msg.payload);
          const topic = RealtimeTopicsArray.find(t => t.id === msg.topic);
          if (topic && topic.parser && !topic.noParse) {
-            const parsedMessages = topic.parser.parseMessage(topic, unzipped);
+            let parsedMessages;
+            try {
+               parsedMessages = topic.parser.parseMessage(topic, unzipped);
+            } catch (e) {
+               // e.g. a ThriftSchemaError, one malformed message shouldn't stop the client
+               this.emitWarning(new Error(`Could not parse a message on ${topic.path}: ${(e as Error).message}`));
+               return;
+            }
             this.messageDebug(
                `Received on ${topic.path}: ${JSON.stringify(
                   Array.isArray(parsedMessages) ? parsedMessages.map((x: any) => x.data) : (parsedMessages as any).data,
@@ -221,6 +238,34 @@ export class RealtimeClient extends EventEmitter<ToEventFn<RealtimeClientEvents>
       });
    }
 
+   public graphQlUnsubscribe(sub: string | string[]): Promise<MqttMessageOutgoing> {
+      sub = typeof sub === 'string' ? [sub] : sub;
+      if (!this.commands) {
+         throw new IllegalStateError('connect() must be called before graphQlUnsubscribe()');
+      }
+      this.realtimeDebug(`Unsubscribing with GraphQL from ${sub.join(', ')}`);
+      return this.commands.updateSubscriptions({
+         topic: Topics.REALTIME_SUB,
+         data: {
+            unsub: sub,
+         },
+      });
+   }
+
+   public skywalkerUnsubscribe(sub: string | string[]): Promise<MqttMessageOutgoing> {
+      sub = typeof sub === 'string' ? [sub] : sub;
+      if (!this.commands) {
+         throw new IllegalStateError('connect() must be called before skywalkerUnsubscribe()');
+      }
+      this.realtimeDebug(`Unsubscribing with Skywalker from ${sub.join(', ')}`);
+      return this.commands.updateSubscriptions({
+         topic: Topics.PUBSUB,
+         data: {
+            unsub: sub,
+         },
+      });
+   }
+
    public irisSubscribe({
       seq_id,
       snapshot_at_ms,
@@ -44,7 +44,7 @@ export async function tryUnzipAsync(data: Buffer): Promise<Buffer> {
       if (data.readInt8(0) !== 0x78) return data;
 
       return unzipAsync(data);
-   } catch (e) {
+   } catch {
       return data;
    }
 }
@@ -0,0 +1,4 @@
+export * from './mqttot.broker';
+export * from './mqttot.decoder';
+export * from './mqttot.recorder';
+export * from './mqttot.replay';
@@ -0,0 +1,353 @@
+import { AddressInfo, createServer, Server, Socket } from 'net';
+import { randomBytes, randomUUID } from 'crypto';
+import { EventEmitter } from 'eventemitter3';
+import { ConnectReturnCode, PacketStream, PacketType } from 'mqtts';
+import { FbnsTopics, Topics } from '../constants';
+import { compressDeflate, debugChannel, isJson, ToEventFn } from '../shared';
+import { MQTToTConnectionThrift } from '../mqttot';
+import { decodeFrame, DecodedPacket, MQTToTConnectFrame, readPacketFrames } from './mqttot.decoder';
+
+export type MQTToTClientKind = 'realtime' | 'fbns';
+
+export interface MQTToTBrokerOptions {
+   host?: string;
+   /**
+    * 0 picks a free port, see `broker.port` after `listen()`
+    */
+   port?: number;
+   /**
+    * Answers send_message, iris subscriptions and the FBNS registration like Instagram does.
+    * Turn it off to only send what a replay contains.
+    */
+   autoRespond?: boolean;
+   /**
+    * The CONNACK payload FBNS clients get, generated when missing
+    */
+   fbnsAuth?: { ck: number; cs: string; di: string; ds: string; sr?: string; rc?: string };
+   /**
+    * Rejects every CONNECT with this return code
+    */
+   connectReturnCode?: ConnectReturnCode;
+}
+
+export interface MQTToTBrokerMessage {
+   topic: string;
+   path?: string;
+   /**
+    * inflated, if the client compressed it
+    */
+   payload: Buffer;
+   qosLevel: number;
+   receivedAt: number;
+}
+
+export interface MQTToTBrokerEvents {
+   connect: MQTToTBrokerSession;
+   publish: [MQTToTBrokerSession, MQTToTBrokerMessage];
+   disconnect: MQTToTBrokerSession;
+   error: Error;
+}
+
+const topicPaths = new Map([...Object.values(Topics), ...Object.values(FbnsTopics)].map(t => [t.id, t.path]));
+
+export function topicPath(topic: string): string | undefined {
+   return topicPaths.get(topic);
+}
+
+/**
+ * Stand-in for Instagram's realtime and FBNS brokers, to run RealtimeClient and FbnsClient offline.
+ * Connect a client with the `broker` option (`{ host, port, tls: false }`), the kind of client is
+ * read from the thrift connection data of its CONNECT.
+ */
+export class MQTToTBroker extends EventEmitter<ToEventFn<MQTToTBrokerEvents>> {
+   public readonly sessions = new Set<MQTToTBrokerSession>();
+   public readonly options: Required<Omit<MQTToTBrokerOptions, 'fbnsAuth' | 'connectReturnCode'>> &
+      Pick<MQTToTBrokerOptions, 'fbnsAuth' | 'connectReturnCode'>;
+
+   private brokerDebug = debugChannel('broker');
+   private server?: Server;
+
+   public get port(): number {
+      return (this.server?.address() as AddressInfo | null)?.port ?? this.options.port;
+   }
+
+   public get host(): string {
+      return this.options.host;
+   }
+
+   public constructor(options: MQTToTBrokerOptions = {}) {
+      super();
+      this.options = { host: '127.0.0.1', port: 0, autoRespond: true, ...options };
+   }
+
+   public listen(): Promise<void> {
+      return new Promise((resolve, reject) => {
+         this.server = createServer(socket => this.accept(socket));
+         this.server.once('error', reject);
+         this.server.listen(this.options.port, this.options.host, () => {
+            this.brokerDebug(`Listening on ${this.host}:${this.port}`);
+            this.server?.off('error', reject);
+            resolve();
+         });
+      });
+   }
+
+   /**
+    * The `broker` option for RealtimeClient.connect() and FbnsClient.connect()
+    */
+   public get connectOptions(): { host: string; port: number; tls: false } {
+      return { host: this.host, port: this.port, tls: false };
+   }
+
+   /**
+    * Resolves with the next session of that kind, or one that is already connected
+    */
+   public waitForSession(kind: MQTToTClientKind, timeout = 5000): Promise<MQTToTBrokerSession> {
+      const existing = [...this.sessions].find(s => s.kind === kind && s.connected);
+      if (existing) return Promise.resolve(existing);
+      return new Promise((resolve, reject) => {
+         const timer = setTimeout(() => {
+            this.off('connect', onConnect);
+            reject(new Error(`No ${kind} client connected within ${timeout}ms`));
+         }, timeout);
+         const onConnect = (session: MQTToTBrokerSession) => {
+            if (session.kind !== kind) return;
+            clearTimeout(timer);
+            this.off('connect', onConnect);
+            resolve(session);
+         };
+         this.on('connect', onConnect);
+      });
+   }
+
+   public async close(): Promise<void> {
+      for (const session of this.sessions) session.close();
+      await new Promise<void>(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+      this.server = undefined;
+   }
+
+   private accept(socket: Socket) {
+      const session = new MQTToTBrokerSession(this, socket);
+      this.sessions.add(session);
+      socket.on('close', () => {
+         this.sessions.delete(session);
+         if (session.connected) {
+            session.connected = false;
+            this.emit('disconnect', session);
+         }
+      });
+   }
+
+   /**
+    * @internal
+    */
+   public fbnsAuthFor(connection: MQTToTConnectionThrift) {
+      return (
+         this.options.fbnsAuth ?? {
+            ck: Number(connection.clientInfo?.userId) || Math.floor(Math.random() * 1e15),
+            cs: randomBytes(16).toString('hex'),
+            di: connection.clientInfo?.deviceId || randomUUID(),
+            ds: randomBytes(16).toString('hex'),
+            sr: '',
+            rc: '',
+         }
+      );
+   }
+}
+
+/**
+ * One client connection. Packets are read with the decoder, responses written with the PacketStream from mqtts.
+ */
+export class MQTToTBrokerSession {
+   public kind: MQTToTClientKind = 'realtime';
+   public connected = false;
+   public connection?: MQTToTConnectionThrift;
+   public keepAlive = 0;
+   public readonly subscriptions = new Set<string>();
+   public readonly graphQlSubs = new Set<string>();
+   public readonly skywalkerSubs = new Set<string>();
+   public irisData?: { seq_id: number; snapshot_at_ms: number };
+   /**
+    * Everything the client published, in order
+    */
+   public readonly received: MQTToTBrokerMessage[] = [];
+
+   private sessionDebug = debugChannel('broker', 'session');
+   private buffer: Buffer = Buffer.alloc(0);
+   private queue: Promise<void> = Promise.resolve();
+
+   public constructor(
+      public readonly broker: MQTToTBroker,
+      private readonly socket: Socket,
+   ) {
+      socket.on('data', data => {
+         this.buffer = Buffer.concat([this.buffer, data]);
+         // packets are handled in order, their handlers are async because of zlib
+         this.queue = this.queue.then(() => this.readPackets()).catch(e => this.fail(e));
+      });
+      socket.on('error', e => this.sessionDebug(`Socket error: ${e.message}`));
+   }
+
+   /**
+    * Publishes to the client. Objects are sent as JSON, payloads are deflated like Instagram does unless `compress` is false.
+    */
+   public async publish(topic: string, payload: Buffer | string | object, { compress = true } = {}): Promise<void> {
+      const raw = Buffer.isBuffer(payload)
+         ? payload
+         : Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload));
+      const stream = PacketStream.empty().writeString(topic);
+      stream.write(compress ? await compressDeflate(raw) : raw);
+      this.sessionDebug(`Publishing ${raw.byteLength} bytes to ${topicPath(topic) ?? topic}`);
+      this.writePacket(PacketType.Publish, 0, stream.data);
+   }
+
+   public close() {
+      this.socket.destroy();
+   }
+
+   private fail(e: Error) {
+      this.sessionDebug(`Closing session: ${e.message}`);
+      this.broker.emit('error', e);
+      this.close();
+   }
+
+   private async readPackets() {
+      const { frames, rest } = readPacketFrames(this.buffer);
+      this.buffer = rest;
+      for (const frame of frames) {
+         await this.handlePacket(await decodeFrame(frame));
+      }
+   }
+
+   private async handlePacket(packet: DecodedPacket) {
+      switch (packet.type) {
+         case 'connect':
+            return this.handleConnect(packet.connect!);
+         case 'publish':
+            return this.handlePublish(packet);
+         case 'subscribe':
+            packet.topics?.forEach(topic => this.subscriptions.add(topic));
+            return this.writePacket(
+               PacketType.SubAck,
+               0,
+               PacketStream.empty()
+                  .writeWord(packet.identifier!)
+                  .write(Buffer.alloc(packet.topics?.length ?? 0, 1)).data,
+            );
+         case 'unsubscribe':
+            packet.topics?.forEach(topic => this.subscriptions.delete(topic));
+            return this.writePacket(PacketType.UnsubAck, 0, PacketStream.empty().writeWord(packet.identifier!).data);
+         case 'pingreq':
+            return this.writePacket(PacketType.PingResp, 0, Buffer.alloc(0));
+         case 'disconnect':
+            return this.close();
+         case 'puback':
+            return;
+         default:
+            this.sessionDebug(`Ignoring ${packet.type} packet`);
+      }
+   }
+
+   private async handleConnect({ protocolName, protocolLevel, keepAlive, connection }: MQTToTConnectFrame) {
+      if (protocolName !== 'MQTToT') {
+         throw new Error(`Unexpected protocol ${protocolName} (level ${protocolLevel})`);
+      }
+      this.keepAlive = keepAlive;
+      this.connection = connection;
+      this.kind = connection.clientInfo?.clientType === 'device_auth' ? 'fbns' : 'realtime';
+      this.sessionDebug(`CONNECT from ${this.kind} client ${connection.clientIdentifier}`);
+
+      const returnCode = this.broker.options.connectReturnCode ?? ConnectReturnCode.Accepted;
+      const response = PacketStream.empty().writeByte(0).writeByte(returnCode);
+      if (returnCode === ConnectReturnCode.Accepted && this.kind === 'fbns') {
+         response.writeRawAndLength(Buffer.from(JSON.stringify(this.broker.fbnsAuthFor(connection))));
+      }
+      this.writePacket(PacketType.ConnAck, 0, response.data);
+
+      if (returnCode !== ConnectReturnCode.Accepted) return;
+      this.connected = true;
+      this.broker.emit('connect', this);
+   }
+
+   private async handlePublish(packet: DecodedPacket) {
+      if (packet.identifier !== undefined) {
+         this.writePacket(PacketType.PubAck, 0, PacketStream.empty().writeWord(packet.identifier).data);
+      }
+
+      const message: MQTToTBrokerMessage = {
+         topic: packet.topic!,
+         path: topicPath(packet.topic!),
+         payload: packet.payload!,
+         qosLevel: packet.identifier !== undefined ? 1 : 0,
+         receivedAt: Date.now(),
+      };
+      this.sessionDebug(`Received ${message.payload.byteLength} bytes on ${message.path ?? message.topic}`);
+      this.received.push(message);
+      const json = message.payload.length > 0 && isJson(message.payload) ? parseJson(message.payload) : undefined;
+      this.trackSubscriptions(message.topic, json);
+      this.broker.emit('publish', this, message);
+
+      if (this.broker.options.autoRespond) {
+         await this.respond(message.topic, json);
+      }
+   }
+
+   private trackSubscriptions(topic: string, json: any) {
+      const target =
+         topic === Topics.REALTIME_SUB.id ? this.graphQlSubs : topic === Topics.PUBSUB.id ? this.skywalkerSubs : null;
+      if (target && json) {
+         for (const sub of json.sub ?? []) target.add(sub);
+         for (const sub of json.unsub ?? []) target.delete(sub);
+      } else if (topic === Topics.IRIS_SUB.id && json) {
+         this.irisData = { seq_id: json.seq_id, snapshot_at_ms: json.snapshot_at_ms };
+      }
+   }
+
+   private async respond(topic: string, json: any) {
+      switch (topic) {
+         case Topics.SEND_MESSAGE.id:
+            if (!json?.client_context) return;
+            return this.publish(Topics.SEND_MESSAGE_RESPONSE.id, {
+               action: 'item_ack',
+               status_code: '200',
+               status: 'ok',
+               payload: {
+                  client_context: json.client_context,
+                  item_id: generateItemId(),
+                  timestamp: String(Date.now() * 1000),
+                  thread_id: json.thread_id,
+               },
+            });
+         case Topics.IRIS_SUB.id:
+            return this.publish(Topics.IRIS_SUB_RESPONSE.id, {
+               succeeded: true,
+               seq_id: json?.seq_id,
+               error_type: null,
+               error_message: null,
+            });
+         case FbnsTopics.FBNS_REG_REQ.id:
+            return this.publish(FbnsTopics.FBNS_REG_RESP.id, { token: randomUUID() });
+      }
+   }
+
+   private writePacket(type: PacketType, flags: number, body: Buffer) {
+      if (this.socket.destroyed) return;
+      const header = PacketStream.empty()
+         .writeByte((type << 4) | flags)
+         .writeVariableByteInteger(body.byteLength);
+      this.socket.write(Buffer.concat([header.data, body]));
+   }
+}
+
+function parseJson(buffer: Buffer): any {
+   try {
+      return JSON.parse(buffer.toString('utf8'));
+   } catch {
+      return undefined;
+   }
+}
+
+// item ids are 39 digit numbers
+export function generateItemId(): string {
+   return `2${Array.from(randomBytes(38), b => b % 10).join('')}`;
+}
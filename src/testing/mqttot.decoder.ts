@@ -0,0 +1,179 @@
+import { PacketStream, PacketType, readPublishRequestPacket } from 'mqtts';
+import { FbnsTopics, RealtimeTopicsArray } from '../constants';
+import { isJson, tryUnzipAsync, unzipAsync } from '../shared';
+import { MQTToTConnection, MQTToTConnectionThrift } from '../mqttot';
+import { thriftRead } from '../thrift';
+
+export interface MqttPacketFrame {
+   type: PacketType;
+   flags: number;
+   body: Buffer;
+}
+
+export type MqttPacketName = Lowercase<keyof typeof PacketType>;
+
+export function packetName(type: PacketType): MqttPacketName {
+   return (PacketType[type] ?? `unknown${type}`).toLowerCase() as MqttPacketName;
+}
+
+/**
+ * Splits a byte stream into MQTT packets, `rest` is the start of an incomplete packet
+ */
+export function readPacketFrames(buffer: Buffer): { frames: MqttPacketFrame[]; rest: Buffer } {
+   const frames: MqttPacketFrame[] = [];
+   while (buffer.length >= 2) {
+      // fixed header, remaining length is a variable byte integer of up to 4 bytes
+      let remaining = 0;
+      let multiplier = 1;
+      let offset = 1;
+      let byte: number;
+      do {
+         if (offset >= buffer.length) return { frames, rest: buffer };
+         byte = buffer[offset++];
+         remaining += (byte & 0x7f) * multiplier;
+         multiplier *= 128;
+         if (offset > 5) throw new Error('Malformed remaining length');
+      } while (byte & 0x80);
+      if (buffer.length < offset + remaining) break;
+
+      frames.push({
+         type: buffer[0] >> 4,
+         flags: buffer[0] & 0x0f,
+         body: Buffer.from(buffer.subarray(offset, offset + remaining)),
+      });
+      buffer = buffer.subarray(offset + remaining);
+   }
+   return { frames, rest: buffer };
+}
+
+export interface MQTToTConnectFrame {
+   protocolName: string;
+   protocolLevel: number;
+   keepAlive: number;
+   connection: MQTToTConnectionThrift;
+}
+
+/**
+ * Reads the MQTToT CONNECT: the variable header is MQTT's, the payload is the deflated thrift of MQTToTConnection
+ */
+export async function readConnectFrame(body: Buffer): Promise<MQTToTConnectFrame> {
+   const stream = PacketStream.fromBuffer(body);
+   const protocolName = stream.readString();
+   const protocolLevel = stream.readByte();
+   stream.readByte(); // connect flags, always 194 (username, password, clean session)
+   const keepAlive = stream.readWord();
+   const thrift = await unzipAsync(stream.read(stream.remainingBytes));
+   return {
+      protocolName,
+      protocolLevel,
+      keepAlive,
+      connection: MQTToTConnection.thriftConfig.decode(thrift),
+   };
+}
+
+export interface DecodedPacket {
+   type: MqttPacketName;
+   topic?: string;
+   identifier?: number;
+   /**
+    * inflated PUBLISH payload, CONNACK payload
+    */
+   payload?: Buffer;
+   connect?: MQTToTConnectFrame;
+   returnCode?: number;
+   topics?: string[];
+}
+
+export async function decodeFrame({ type, flags, body }: MqttPacketFrame): Promise<DecodedPacket> {
+   const stream = PacketStream.fromBuffer(body);
+   switch (type) {
+      case PacketType.Connect:
+         return { type: 'connect', connect: await readConnectFrame(body) };
+      case PacketType.ConnAck: {
+         stream.readByte();
+         const returnCode = stream.readByte();
+         return {
+            type: 'connack',
+            returnCode,
+            payload: stream.remainingBytes > 0 ? stream.readStringAsBuffer() : Buffer.alloc(0),
+         };
+      }
+      case PacketType.Publish: {
+         const packet = readPublishRequestPacket(stream, body.length, flags);
+         return {
+            type: 'publish',
+            topic: packet.topic,
+            identifier: packet.qos > 0 ? packet.identifier : undefined,
+            payload: await tryUnzipAsync(packet.payload),
+         };
+      }
+      case PacketType.Subscribe:
+      case PacketType.Unsubscribe: {
+         const identifier = stream.readWord();
+         const topics = [];
+         while (stream.remainingBytes > 0) {
+            topics.push(stream.readString());
+            if (type === PacketType.Subscribe) stream.readByte();
+         }
+         return { type: packetName(type), identifier, topics };
+      }
+      default:
+         return { type: packetName(type), identifier: body.length >= 2 ? stream.readWord() : undefined };
+   }
+}
+
+/**
+ * Decodes an inflated payload that isn't JSON: with the topic's parser when it has one,
+ * otherwise as generic thrift. Returns undefined for JSON and for payloads that can't be read.
+ */
+export function decodeMessage(topic: string, payload: Buffer): unknown {
+   if (payload.length === 0 || isJson(payload)) return undefined;
+
+   const realtimeTopic = RealtimeTopicsArray.find(t => t.id === topic);
+   if (realtimeTopic?.parser) {
+      try {
+         const parsed = realtimeTopic.parser.parseMessage(realtimeTopic, payload);
+         return Array.isArray(parsed) ? parsed.map(p => p.data) : parsed.data;
+      } catch {
+         // not what the parser expects, try plain thrift
+      }
+   }
+   if (Object.values(FbnsTopics).some(t => t.id === topic)) return undefined;
+
+   // some payloads (e.g. /t_fs) start with a zero byte before the thrift struct
+   for (const offset of payload[0] === 0 ? [1, 0] : [0]) {
+      try {
+         return thriftRead(payload.subarray(offset)).map(({ context, field, type, value }) => ({
+            field: context ? `${context}/${field}` : `${field}`,
+            type,
+            value,
+         }));
+      } catch {
+         // not thrift
+      }
+   }
+   return undefined;
+}
+
+/**
+ * JSON.stringify replacer for decoded data: thrift int64 values are bigints
+ */
+export function jsonReplacer(key: string, value: unknown): unknown {
+   if (typeof value === 'bigint') return value.toString();
+   if (value && (value as any).type === 'Buffer' && Array.isArray((value as any).data)) {
+      return Buffer.from((value as any).data).toString('base64');
+   }
+   return value;
+}
+
+/**
+ * Packets of a hex dump like the one frida/mqttListen.js prints: one START ... END block per packet,
+ * or one packet per line when there are no blocks
+ */
+export function readHexDump(text: string): Buffer[] {
+   const blocks = [...text.matchAll(/START\s+([0-9a-f\s]*?)\s*END/gi)].map(match => match[1]);
+   return (blocks.length > 0 ? blocks : text.split('\n'))
+      .map(hex => hex.replace(/\s+/g, ''))
+      .filter(hex => /^([0-9a-f]{2})+$/i.test(hex))
+      .map(hex => Buffer.from(hex, 'hex'));
+}
@@ -0,0 +1,141 @@
+import { createWriteStream, promises as fs, WriteStream } from 'fs';
+import { dirname } from 'path';
+import { debugChannel } from '../shared';
+import { MQTToTPacketTap } from '../mqttot';
+import { MQTToTClientKind } from './mqttot.broker';
+import {
+   decodeFrame,
+   decodeMessage,
+   DecodedPacket,
+   jsonReplacer,
+   MqttPacketFrame,
+   readPacketFrames,
+} from './mqttot.decoder';
+import { createRecord, MQTToTRecord } from './mqttot.replay';
+
+export interface MQTToTRecorderOptions {
+   /**
+    * JSONL file the records are appended to, without one they are kept in `records`
+    */
+   file?: string;
+   /**
+    * also record pings and acknowledgements
+    */
+   control?: boolean;
+}
+
+const CONTROL_PACKETS = ['pingreq', 'pingresp', 'puback', 'pubrec', 'pubrel', 'pubcomp', 'suback', 'unsuback'];
+
+/**
+ * Records the traffic of RealtimeClient and FbnsClient in the format MQTToTReplay plays.
+ * Pass `packetTap: recorder.tap('realtime')` to `realtime.connect()` (or `'fbns'` to `fbns.connect()`).
+ * Payloads are inflated, thrift payloads are decoded into `decoded`.
+ */
+export class MQTToTRecorder {
+   public readonly records: MQTToTRecord[] = [];
+
+   private recorderDebug = debugChannel('recorder');
+   private startedAt = Date.now();
+   private stream?: WriteStream;
+   // decoding is async (zlib), the queue keeps records in order
+   private queue: Promise<void> = Promise.resolve();
+
+   public constructor(private readonly options: MQTToTRecorderOptions = {}) {}
+
+   public tap(client: MQTToTClientKind): MQTToTPacketTap {
+      let incoming: Buffer = Buffer.alloc(0);
+      return {
+         outgoing: packet => this.enqueue(client, 'outgoing', packet),
+         incoming: data => {
+            const { frames, rest } = readPacketFrames(Buffer.concat([incoming, data]));
+            incoming = rest;
+            for (const frame of frames) this.enqueue(client, 'incoming', frame);
+         },
+         reset: () => {
+            incoming = Buffer.alloc(0);
+         },
+      };
+   }
+
+   /**
+    * Records complete packets, e.g. from a hex dump
+    */
+   public recordPacket(client: MQTToTClientKind, direction: MQTToTRecord['direction'], packet: Buffer): Promise<void> {
+      this.enqueue(client, direction, packet);
+      return this.flush();
+   }
+
+   /**
+    * Resolves once every packet seen so far is recorded
+    */
+   public flush(): Promise<void> {
+      return this.queue;
+   }
+
+   public async close(): Promise<void> {
+      await this.flush();
+      const stream = this.stream;
+      this.stream = undefined;
+      if (stream) await new Promise(resolve => stream.end(resolve));
+   }
+
+   private enqueue(client: MQTToTClientKind, direction: MQTToTRecord['direction'], packet: Buffer | MqttPacketFrame) {
+      const time = Date.now() - this.startedAt;
+      this.queue = this.queue
+         .then(async () => {
+            const frames = Buffer.isBuffer(packet) ? readPacketFrames(packet).frames : [packet];
+            for (const frame of frames) {
+               const record = this.toRecord(client, direction, await decodeFrame(frame), time);
+               if (record) await this.write(record);
+            }
+         })
+         .catch(e => this.recorderDebug(`Failed to record a ${direction} packet: ${e.message}`));
+   }
+
+   private toRecord(
+      client: MQTToTClientKind,
+      direction: MQTToTRecord['direction'],
+      packet: DecodedPacket,
+      time: number,
+   ): MQTToTRecord | undefined {
+      const base = { time, client, direction, packet: packet.type, topic: '', encoding: 'json' as const };
+      switch (packet.type) {
+         case 'publish': {
+            const record = createRecord(client, direction, packet.topic!, packet.payload!, time);
+            const decoded = decodeMessage(packet.topic!, packet.payload!);
+            return decoded === undefined ? record : { ...record, decoded: toJson(decoded) };
+         }
+         case 'connect':
+            return { ...base, payload: toJson(packet.connect) };
+         case 'connack':
+            return {
+               ...base,
+               payload: { returnCode: packet.returnCode, payload: packet.payload?.toString('utf8') ?? '' },
+            };
+         case 'subscribe':
+         case 'unsubscribe':
+            return { ...base, topic: packet.topics?.join(',') ?? '', payload: { topics: packet.topics } };
+         default:
+            if (CONTROL_PACKETS.includes(packet.type) && !this.options.control) return undefined;
+            return { ...base, payload: { identifier: packet.identifier } };
+      }
+   }
+
+   private async write(record: MQTToTRecord) {
+      if (!this.options.file) {
+         this.records.push(record);
+         return;
+      }
+      if (!this.stream) {
+         await fs.mkdir(dirname(this.options.file), { recursive: true });
+         this.stream = createWriteStream(this.options.file, { flags: 'a' });
+         this.stream.on('error', e => this.recorderDebug(`Writing ${this.options.file} failed: ${e.message}`));
+      }
+      this.stream.write(`${JSON.stringify(record, jsonReplacer)}\n`);
+   }
+}
+
+// plain JSON, thrift int64 values become strings
+function toJson(value: unknown): unknown {
+   return JSON.parse(JSON.stringify(value, jsonReplacer));
+}
@@ -0,0 +1,208 @@
+import { promises as fs } from 'fs';
+import { isJson } from '../shared';
+import { ReplayTimeoutError } from '../errors';
+import { MQTToTBrokerMessage, MQTToTBrokerSession, MQTToTClientKind, topicPath } from './mqttot.broker';
+import { MqttPacketName } from './mqttot.decoder';
+
+/**
+ * One line of a recording (JSONL). Directions are seen from the client: `incoming` was
+ * published by Instagram, `outgoing` by the client. Payloads are stored inflated.
+ */
+export interface MQTToTRecord {
+   /**
+    * ms since the start of the recording
+    */
+   time: number;
+   client: MQTToTClientKind;
+   direction: 'incoming' | 'outgoing';
+   /**
+    * publish when missing, other packets are recorded for reference and skipped by the replay
+    */
+   packet?: MqttPacketName;
+   /**
+    * empty for packets without a topic
+    */
+   topic: string;
+   path?: string;
+   encoding: 'json' | 'utf8' | 'base64';
+   payload: unknown;
+   /**
+    * the payload as read by the topic's parser or as thrift, for payloads that aren't JSON
+    */
+   decoded?: unknown;
+}
+
+export function encodeRecordPayload(payload: Buffer): Pick<MQTToTRecord, 'encoding' | 'payload'> {
+   if (payload.length > 0 && isJson(payload)) {
+      try {
+         return { encoding: 'json', payload: JSON.parse(payload.toString('utf8')) };
+      } catch {
+         // not JSON after all
+      }
+   }
+   const text = payload.toString('utf8');
+   // eslint-disable-next-line no-control-regex -- control characters are what makes a payload binary
+   return Buffer.from(text, 'utf8').equals(payload) && !/[\x00-\x08\x0e-\x1f]/.test(text)
+      ? { encoding: 'utf8', payload: text }
+      : { encoding: 'base64', payload: payload.toString('base64') };
+}
+
+export function decodeRecordPayload(record: Pick<MQTToTRecord, 'encoding' | 'payload'>): Buffer {
+   switch (record.encoding) {
+      case 'json':
+         return Buffer.from(JSON.stringify(record.payload), 'utf8');
+      case 'base64':
+         return Buffer.from(String(record.payload), 'base64');
+      default:
+         return Buffer.from(String(record.payload), 'utf8');
+   }
+}
+
+export function createRecord(
+   client: MQTToTClientKind,
+   direction: MQTToTRecord['direction'],
+   topic: string,
+   payload: Buffer,
+   time: number,
+): MQTToTRecord {
+   return { time, client, direction, topic, path: topicPath(topic), ...encodeRecordPayload(payload) };
+}
+
+/**
+ * Parses a JSONL recording, empty lines and lines starting with // are skipped
+ */
+export function parseRecording(text: string): MQTToTRecord[] {
+   return text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('//'))
+      .map((line, index) => {
+         try {
+            return JSON.parse(line) as MQTToTRecord;
+         } catch (e) {
+            throw new SyntaxError(`Invalid record on line ${index + 1}: ${(e as Error).message}`);
+         }
+      });
+}
+
+export async function readRecording(path: string): Promise<MQTToTRecord[]> {
+   return parseRecording(await fs.readFile(path, 'utf8'));
+}
+
+export interface MQTToTReplayOptions {
+   /**
+    * 1 keeps the recorded timing, 2 plays twice as fast, 0 (default) sends without delays
+    */
+   speed?: number;
+   /**
+    * ms to wait for each outgoing record, default 5000
+    */
+   timeout?: number;
+}
+
+export interface MQTToTReplayResult {
+   sent: number;
+   /**
+    * what the client published for each outgoing record
+    */
+   matched: { record: MQTToTRecord; message: MQTToTBrokerMessage }[];
+}
+
+/**
+ * Plays the records of a session's client kind against that session. Incoming records are
+ * published to the client, outgoing records wait until the client published on their topic,
+ * so responses are only sent once the request was made.
+ *
+ * client_context values of outgoing records are mapped to the ones the client actually used,
+ * which makes recorded send_message_response acks resolve the client's pending items.
+ */
+export class MQTToTReplay {
+   private readonly options: Required<MQTToTReplayOptions>;
+
+   public constructor(
+      private readonly records: MQTToTRecord[],
+      options: MQTToTReplayOptions = {},
+   ) {
+      this.options = { speed: 0, timeout: 5000, ...options };
+   }
+
+   public async play(session: MQTToTBrokerSession): Promise<MQTToTReplayResult> {
+      const records = this.records.filter(r => r.client === session.kind && (r.packet ?? 'publish') === 'publish');
+      const contexts = new Map<string, string>();
+      const result: MQTToTReplayResult = { sent: 0, matched: [] };
+      // indices of matched messages in session.received, which starts with the connection like a recording does.
+      // Messages of different topics may come in another order than recorded (e.g. parallel subscriptions)
+      const used = new Set<number>();
+      let previousTime = records[0]?.time ?? 0;
+
+      for (const record of records) {
+         if (this.options.speed > 0 && record.time > previousTime) {
+            await new Promise(resolve => setTimeout(resolve, (record.time - previousTime) / this.options.speed));
+         }
+         previousTime = record.time;
+
+         if (record.direction === 'outgoing') {
+            const { message, index } = await this.waitForMessage(session, record.topic, used);
+            used.add(index);
+            mapClientContext(record, message, contexts);
+            result.matched.push({ record, message });
+            continue;
+         }
+
+         let payload = decodeRecordPayload(record);
+         if (record.encoding === 'json' && contexts.size > 0) {
+            let text = payload.toString('utf8');
+            for (const [recorded, actual] of contexts) text = text.split(recorded).join(actual);
+            payload = Buffer.from(text, 'utf8');
+         }
+         await session.publish(record.topic, payload);
+         result.sent++;
+      }
+      return result;
+   }
+
+   private waitForMessage(
+      session: MQTToTBrokerSession,
+      topic: string,
+      used: Set<number>,
+   ): Promise<{ message: MQTToTBrokerMessage; index: number }> {
+      const find = () => {
+         const index = session.received.findIndex((m, i) => !used.has(i) && m.topic === topic);
+         return index === -1 ? undefined : { message: session.received[index], index };
+      };
+      const found = find();
+      if (found) return Promise.resolve(found);
+
+      return new Promise((resolve, reject) => {
+         const onPublish = (publisher: MQTToTBrokerSession) => {
+            const match = publisher === session && find();
+            if (!match) return;
+            session.broker.off('publish', onPublish);
+            clearTimeout(timer);
+            resolve(match);
+         };
+         const timer = setTimeout(() => {
+            session.broker.off('publish', onPublish);
+            reject(
+               new ReplayTimeoutError(
+                  `The ${session.kind} client published nothing on ${topicPath(topic) ?? topic} within ${
+                     this.options.timeout
+                  }ms`,
+               ),
+            );
+         }, this.options.timeout);
+         session.broker.on('publish', onPublish);
+      });
+   }
+}
+
+function mapClientContext(record: MQTToTRecord, message: MQTToTBrokerMessage, contexts: Map<string, string>) {
+   const recorded = (record.payload as any)?.client_context;
+   if (record.encoding !== 'json' || typeof recorded !== 'string') return;
+   try {
+      const actual = JSON.parse(message.payload.toString('utf8')).client_context;
+      if (typeof actual === 'string' && actual !== recorded) contexts.set(recorded, actual);
+   } catch {
+      // the client sent something else than JSON, nothing to map
+   }
+}
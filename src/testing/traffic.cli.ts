@@ -0,0 +1,94 @@
+/* eslint-disable no-console */
+import { promises as fs } from 'fs';
+import { MQTToTClientKind } from './mqttot.broker';
+import { decodeMessage, jsonReplacer, readHexDump } from './mqttot.decoder';
+import { MQTToTRecorder } from './mqttot.recorder';
+import { decodeRecordPayload, MQTToTRecord, readRecording } from './mqttot.replay';
+
+const USAGE = `Usage: traffic.cli <command> [options]
+
+  decode <dump.txt> [--client realtime|fbns] [--direction outgoing|incoming] [--out file.jsonl]
+      Decodes a hex dump (frida/mqttListen.js prints what the app sends) into records.
+      The client kind is taken from a CONNECT in the dump, --client is the fallback.
+
+  show <recording.jsonl> [--client realtime|fbns] [--direction outgoing|incoming]
+       [--topic <id or path>] [--grep <text>] [--pretty]
+      Prints the records of a recording that match all filters.`;
+
+function parseArgs(argv: string[]): { positional: string[]; flags: Record<string, string | true> } {
+   const positional: string[] = [];
+   const flags: Record<string, string | true> = {};
+   for (let i = 0; i < argv.length; i++) {
+      if (!argv[i].startsWith('--')) {
+         positional.push(argv[i]);
+      } else if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+         flags[argv[i].slice(2)] = true;
+      } else {
+         flags[argv[i].slice(2)] = argv[++i];
+      }
+   }
+   return { positional, flags };
+}
+
+async function decode(file: string, flags: Record<string, string | true>) {
+   const packets = readHexDump(await fs.readFile(file, 'utf8'));
+   const direction = flags.direction === 'incoming' ? 'incoming' : 'outgoing';
+   let client: MQTToTClientKind = flags.client === 'fbns' ? 'fbns' : 'realtime';
+
+   const recorder = new MQTToTRecorder({ control: true });
+   for (const packet of packets) {
+      const count = recorder.records.length;
+      await recorder.recordPacket(client, direction, packet);
+      const connect = recorder.records.slice(count).find(r => r.packet === 'connect');
+      if (connect && (connect.payload as any)?.connection?.clientInfo?.clientType === 'device_auth') {
+         client = connect.client = 'fbns';
+      }
+   }
+
+   const lines = recorder.records.map(record => JSON.stringify(record, jsonReplacer));
+   if (typeof flags.out === 'string') {
+      await fs.writeFile(flags.out, lines.map(line => `${line}\n`).join(''));
+      console.error(`Decoded ${packets.length} packets into ${flags.out}`);
+   } else {
+      lines.forEach(line => console.log(line));
+   }
+}
+
+function matches(record: MQTToTRecord, flags: Record<string, string | true>): boolean {
+   if (typeof flags.client === 'string' && record.client !== flags.client) return false;
+   if (typeof flags.direction === 'string' && record.direction !== flags.direction) return false;
+   if (typeof flags.topic === 'string' && record.topic !== flags.topic && record.path !== flags.topic) return false;
+   if (typeof flags.grep === 'string') {
+      const needle = flags.grep.toLowerCase();
+      return JSON.stringify(record, jsonReplacer).toLowerCase().includes(needle);
+   }
+   return true;
+}
+
+async function show(file: string, flags: Record<string, string | true>) {
+   for (const record of await readRecording(file)) {
+      // records written by other tools may only have the raw payload
+      if (record.decoded === undefined && record.encoding === 'base64' && (record.packet ?? 'publish') === 'publish') {
+         const decoded = decodeMessage(record.topic, decodeRecordPayload(record));
+         if (decoded !== undefined) record.decoded = decoded;
+      }
+      if (!matches(record, flags)) continue;
+      console.log(JSON.stringify(record, jsonReplacer, flags.pretty ? 3 : undefined));
+   }
+}
+
+(async () => {
+   const {
+      positional: [command, file],
+      flags,
+   } = parseArgs(process.argv.slice(2));
+   if (!file || (command !== 'decode' && command !== 'show')) {
+      console.error(USAGE);
+      process.exitCode = 1;
+      return;
+   }
+   await (command === 'decode' ? decode(file, flags) : show(file, flags));
+})().catch(e => {
+   console.error(e.message);
+   process.exitCode = 1;
+});
@@ -0,0 +1,452 @@
+import { logger, textUtils, asyncUtils } from '../utils/utils.js';
+import { config } from '../config.js';
+import { connectDb } from '../utils/db.js';
+
+// Telegram rejects messages longer than this
+const MAX_MESSAGE_LENGTH = 4096;
+// Forum topic names are limited to 128 characters
+const MAX_TOPIC_NAME_LENGTH = 128;
+
+export class TelegramBridge {
+  constructor(options = {}) {
+    this.enabled = false;
+    this.botToken = options.botToken ?? config.telegram.botToken;
+    this.chatId = options.chatId ?? config.telegram.chatId;
+    this.adminIds = new Set((options.adminIds ?? config.telegram.adminIds).map(String));
+    this.apiUrl = (options.apiUrl ?? config.telegram.apiUrl).replace(/\/+$/, '');
+    this.pollTimeout = options.pollTimeout ?? config.telegram.pollTimeout;
+
+    // Instagram thread id <-> Telegram forum topic id
+    this.threadToTopic = new Map();
+    this.topicToThread = new Map();
+    this.pendingTopics = new Map();
+
+    this.messageHandlers = [];
+    // Open askAdmin() questions, answered by an admin replying to them
+    this.pendingQuestions = [];
+    this.updateOffset = 0;
+    this.isPolling = false;
+    this.pollController = null;
+    this.pollLoop = null;
+    this.botUser = null;
+    this.db = null;
+  }
+
+  async initialize() {
+    if (!this.botToken || !this.chatId) {
+      throw new Error('Telegram bot token or chat id is missing from config');
+    }
+
+    this.botUser = await this.callApi('getMe');
+    await this.loadTopicMappings();
+
+    this.enabled = true;
+    this.startPolling();
+
+    logger.info(`✅ Telegram bridge ready as @${this.botUser.username} (${this.threadToTopic.size} topics mapped)`);
+    if (!this.adminIds.size) {
+      logger.warn('TG_ADMIN_IDS is empty, messages written in Telegram topics are not sent to Instagram');
+    }
+  }
+
+  async callApi(method, params = {}, { signal, retries = 1 } = {}) {
+    const response = await fetch(`${this.apiUrl}/bot${this.botToken}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params),
+      signal
+    });
+
+    const data = await response.json().catch(() => ({ ok: false, description: `HTTP ${response.status}` }));
+
+    if (!data.ok) {
+      // Respect flood control once instead of dropping the message
+      const retryAfter = data.parameters?.retry_after;
+      if (data.error_code === 429 && retryAfter && retries > 0) {
+        logger.warn(`Telegram rate limited on ${method}, retrying in ${retryAfter}s`);
+        await asyncUtils.delay(retryAfter * 1000);
+        return this.callApi(method, params, { signal, retries: retries - 1 });
+      }
+
+      const error = new Error(`Telegram ${method} failed: ${data.description || response.status}`);
+      error.code = data.error_code;
+      throw error;
+    }
+
+    return data.result;
+  }
+
+  // TOPIC MAPPING
+
+  async loadTopicMappings() {
+    if (!config.database?.enabled) {
+      return;
+    }
+
+    try {
+      this.db = await connectDb();
+      const mappings = await this.db.collection('telegram_topics').find({ chatId: String(this.chatId) }).toArray();
+
+      for (const mapping of mappings) {
+        this.setTopicMapping(mapping.threadId, mapping.topicId);
+      }
+    } catch (error) {
+      logger.error('Failed to load Telegram topic mappings:', error.message);
+    }
+  }
+
+  async saveTopicMapping(threadId, topicId, threadTitle) {
+    this.setTopicMapping(threadId, topicId);
+
+    if (!this.db) {
+      return;
+    }
+
+    try {
+      await this.db.collection('telegram_topics').updateOne(
+        { chatId: String(this.chatId), threadId },
+        {
+          $set: {
+            topicId,
+            threadTitle,
+            updatedAt: new Date()
+          }
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      logger.error('Failed to save Telegram topic mapping:', error.message);
+    }
+  }
+
+  setTopicMapping(threadId, topicId) {
+    const previousTopic = this.threadToTopic.get(threadId);
+    if (previousTopic) {
+      this.topicToThread.delete(previousTopic);
+    }
+
+    this.threadToTopic.set(threadId, topicId);
+    this.topicToThread.set(topicId, threadId);
+  }
+
+  async getOrCreateTopic(threadId, threadTitle) {
+    const existing = this.threadToTopic.get(threadId);
+    if (existing) {
+      return existing;
+    }
+
+    // Two messages from a new thread must not create two topics
+    if (!this.pendingTopics.has(threadId)) {
+      const creation = this.createTopic(threadId, threadTitle)
+        .finally(() => this.pendingTopics.delete(threadId));
+      this.pendingTopics.set(threadId, creation);
+    }
+
+    return this.pendingTopics.get(threadId);
+  }
+
+  async createTopic(threadId, threadTitle) {
+    const name = textUtils.truncate(threadTitle || `Thread ${threadId}`, MAX_TOPIC_NAME_LENGTH);
+    const topic = await this.callApi('createForumTopic', {
+      chat_id: this.chatId,
+      name
+    });
+
+    await this.saveTopicMapping(threadId, topic.message_thread_id, threadTitle);
+    logger.info(`📨 Created Telegram topic "${name}" for thread ${threadId}`);
+
+    return topic.message_thread_id;
+  }
+
+  // INSTAGRAM -> TELEGRAM
+
+  async forwardMessage(message) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    try {
+      await this.sendToThread(message.threadId, message.threadTitle, this.formatMessage(message));
+      return true;
+    } catch (error) {
+      logger.error('Failed to forward message to Telegram:', error.message);
+      return false;
+    }
+  }
+
+  // Posts any text to the topic of an Instagram thread, e.g. notices from modules
+  async sendNotice(threadId, text, threadTitle = null) {
+    if (!this.enabled) {
+      return false;
+    }
+
+    try {
+      await this.sendToThread(threadId, threadTitle, text);
+      return true;
+    } catch (error) {
+      logger.error('Failed to send notice to Telegram:', error.message);
+      return false;
+    }
+  }
+
+  async sendToThread(threadId, threadTitle, text) {
+    let topicId = await this.getOrCreateTopic(threadId, threadTitle);
+
+    try {
+      await this.sendToTopic(topicId, text);
+    } catch (error) {
+      if (!/thread not found/i.test(error.message)) {
+        throw error;
+      }
+
+      // The topic was deleted on Telegram's side - recreate it once
+      logger.warn(`Telegram topic for thread ${threadId} is gone, recreating...`);
+      this.threadToTopic.delete(threadId);
+      this.topicToThread.delete(topicId);
+      topicId = await this.getOrCreateTopic(threadId, threadTitle);
+      await this.sendToTopic(topicId, text);
+    }
+  }
+
+  async sendToTopic(topicId, text) {
+    return this.callApi('sendMessage', {
+      chat_id: this.chatId,
+      message_thread_id: topicId,
+      text: textUtils.truncate(text, MAX_MESSAGE_LENGTH),
+      disable_web_page_preview: true
+    });
+  }
+
+  formatMessage(message) {
+    const sender = message.senderDisplayName && message.senderDisplayName !== message.senderUsername
+      ? `${message.senderDisplayName} (@${message.senderUsername})`
+      : `@${message.senderUsername}`;
+
+    const quoted = message.replyTo
+      ? `↩️ ${message.replyTo.senderUsername ? `@${message.replyTo.senderUsername}: ` : ''}${textUtils.truncate(message.replyTo.text || `[${message.replyTo.type || 'message'}]`, 100)}\n`
+      : '';
+
+    return `👤 ${sender}\n💬 ${message.threadTitle || 'Direct Message'}\n\n${quoted}${message.text || `[${message.type}]`}`;
+  }
+
+  // TELEGRAM -> INSTAGRAM
+
+  onMessage(handler) {
+    this.messageHandlers.push(handler);
+  }
+
+  startPolling() {
+    if (this.isPolling) return;
+
+    this.isPolling = true;
+    this.pollLoop = this.pollUpdates();
+  }
+
+  async pollUpdates() {
+    while (this.isPolling) {
+      this.pollController = new AbortController();
+
+      try {
+        const updates = await this.callApi(
+          'getUpdates',
+          {
+            offset: this.updateOffset,
+            timeout: this.pollTimeout,
+            allowed_updates: ['message']
+          },
+          { signal: this.pollController.signal }
+        );
+
+        for (const update of updates) {
+          this.updateOffset = update.update_id + 1;
+          await this.handleUpdate(update);
+        }
+      } catch (error) {
+        if (!this.isPolling) break;
+
+        logger.error('Telegram polling error:', error.message);
+        await asyncUtils.delay(5000);
+      }
+    }
+  }
+
+  async handleUpdate(update) {
+    const tgMessage = update.message;
+    if (!tgMessage || String(tgMessage.chat?.id) !== String(this.chatId) || tgMessage.from?.is_bot) {
+      return;
+    }
+
+    if (this.answerQuestion(tgMessage)) {
+      return;
+    }
+
+    // Anyone in the group can write in a topic, only admins speak as the bot's account
+    if (!this.adminIds.has(String(tgMessage.from?.id))) {
+      return;
+    }
+
+    const threadId = this.topicToThread.get(tgMessage.message_thread_id);
+    const attachment = this.getAttachment(tgMessage);
+    if (!threadId || (!tgMessage.text && !attachment)) {
+      return;
+    }
+
+    if (attachment?.unsupported) {
+      await this.notifyFailure(tgMessage, `⚠️ ${attachment.unsupported}`);
+      return;
+    }
+
+    const reply = {
+      type: 'telegram_reply',
+      threadId,
+      text: tgMessage.text || tgMessage.caption,
+      telegramMessageId: tgMessage.message_id,
+      from: tgMessage.from?.username || tgMessage.from?.first_name
+    };
+
+    if (attachment) {
+      try {
+        reply.media = { type: attachment.type, data: await this.downloadFile(attachment.fileId) };
+      } catch (error) {
+        logger.error('Failed to download Telegram attachment:', error.message);
+        await this.notifyFailure(tgMessage, '⚠️ Failed to download the attachment from Telegram');
+        return;
+      }
+    }
+
+    for (const handler of this.messageHandlers) {
+      try {
+        const delivered = await handler(reply);
+
+        if (delivered === false) {
+          await this.notifyFailure(tgMessage, '⚠️ Failed to deliver message to Instagram');
+        }
+      } catch (error) {
+        logger.error('Telegram reply handler error:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Picks the attachment Instagram can take from a Telegram message.
+   * Instagram voice notes must be MP4/M4A audio, Telegram's own voice notes are OGG.
+   */
+  getAttachment(tgMessage) {
+    if (tgMessage.photo?.length) {
+      // Sizes are sorted ascending, the last one is the original
+      return { type: 'photo', fileId: tgMessage.photo[tgMessage.photo.length - 1].file_id };
+    }
+
+    const video = tgMessage.video || tgMessage.video_note;
+    if (video) {
+      return { type: 'video', fileId: video.file_id };
+    }
+
+    const audio = tgMessage.voice || tgMessage.audio;
+    if (audio) {
+      return /^audio\/(mp4|m4a|x-m4a)$/.test(audio.mime_type || '')
+        ? { type: 'voice', fileId: audio.file_id }
+        : { unsupported: 'Only M4A audio can be sent to Instagram as a voice note' };
+    }
+
+    return null;
+  }
+
+  async downloadFile(fileId) {
+    const file = await this.callApi('getFile', { file_id: fileId });
+    const response = await fetch(`${this.apiUrl}/file/bot${this.botToken}/${file.file_path}`);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  async notifyFailure(tgMessage, text) {
+    try {
+      await this.callApi('sendMessage', {
+        chat_id: this.chatId,
+        message_thread_id: tgMessage.message_thread_id,
+        reply_to_message_id: tgMessage.message_id,
+        text
+      });
+    } catch (error) {
+      logger.error('Failed to notify Telegram about a delivery failure:', error.message);
+    }
+  }
+
+  // ADMIN QUESTIONS
+
+  /**
+   * Posts a question to the General topic and resolves with the answer. Only a
+   * reply to the question from one of `TG_ADMIN_IDS` counts - anyone else in
+   * the group could read it, the answer may be a login code.
+   * @param {{ signal?: AbortSignal }} options - aborting withdraws the question
+   */
+  async askAdmin(question, { signal } = {}) {
+    if (!this.enabled) {
+      throw new Error('Telegram bridge is not connected');
+    }
+    if (!this.adminIds.size) {
+      throw new Error('No Telegram admins to answer, set TG_ADMIN_IDS');
+    }
+
+    const sent = await this.callApi('sendMessage', {
+      chat_id: this.chatId,
+      text: question,
+      reply_markup: { force_reply: true }
+    });
+
+    return new Promise((resolve, reject) => {
+      const pending = { messageId: sent.message_id, resolve };
+      const withdraw = () => {
+        this.pendingQuestions = this.pendingQuestions.filter(q => q !== pending);
+        reject(new Error('Question was withdrawn'));
+      };
+
+      if (signal?.aborted) {
+        withdraw();
+        return;
+      }
+      signal?.addEventListener('abort', withdraw, { once: true });
+      pending.resolve = answer => {
+        signal?.removeEventListener('abort', withdraw);
+        resolve(answer);
+      };
+      this.pendingQuestions.push(pending);
+    });
+  }
+
+  answerQuestion(tgMessage) {
+    if (!tgMessage.text || !this.pendingQuestions.length) {
+      return false;
+    }
+
+    const replyTo = tgMessage.reply_to_message?.message_id;
+    const question = this.pendingQuestions.find(q => q.messageId === replyTo);
+    if (!question) {
+      return false;
+    }
+
+    if (!this.adminIds.has(String(tgMessage.from?.id))) {
+      logger.warn(`Ignored an answer from Telegram user ${tgMessage.from?.id}, who is not in TG_ADMIN_IDS`);
+      return true;
+    }
+
+    this.pendingQuestions = this.pendingQuestions.filter(q => q !== question);
+    question.resolve(tgMessage.text.trim());
+    return true;
+  }
+
+  async disconnect() {
+    this.isPolling = false;
+    this.enabled = false;
+    this.pollController?.abort();
+
+    if (this.pollLoop) {
+      await this.pollLoop;
+      this.pollLoop = null;
+    }
+
+    logger.info('✅ Telegram bridge disconnected');
+  }
+}
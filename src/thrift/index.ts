@@ -1,3 +1,4 @@
 export * from './thrift';
 export * from './thrift.reading';
 export * from './thrift.writing';
+export * from './thrift.schema';
@@ -65,6 +65,13 @@ function getReadFunction(
             value: reader.readBigint(),
             type,
          });
+      case ThriftTypes.DOUBLE:
+         return ({ reader, context }): ThriftMessage => ({
+            context,
+            field: reader.field,
+            value: reader.readDouble(),
+            type,
+         });
       case ThriftTypes.BINARY:
          return ({ reader, context }): ThriftMessage => ({
             context,
@@ -133,6 +140,9 @@ export interface ThriftToObjectStruct {
    items: ThriftMessage[];
 }
 
+/**
+ * @deprecated use the `decode()` of a ThriftSchema struct
+ */
 export function thriftReadToObject<T extends Record<string, any>>(
    message: Buffer,
    descriptors: ThriftPacketDescriptor[],
@@ -248,7 +258,11 @@ export class BufferReader {
    }
 
    private move(bytes: number) {
-      this._position = Math.min(Math.max(this._position + bytes, 0), this.buffer.length);
+      // reading past the end would return the last byte again
+      if (this._position + bytes > this.buffer.length) {
+         throw new RangeError(`Can't read ${bytes} bytes at ${this._position}, the buffer has ${this.buffer.length}`);
+      }
+      this._position += bytes;
       return this._position - bytes;
    }
 
@@ -258,7 +272,8 @@ export class BufferReader {
    public readVarInt(): number {
       let shift = 0;
       let result = 0;
-      while (this._position < this.length) {
+      while (true) {
+         // throws if the buffer ends within the varint
          const byte = this.readByte();
          result |= (byte & 0x7f) << shift;
          if ((byte & 0x80) === 0) {
@@ -266,7 +281,8 @@ export class BufferReader {
          }
          shift += 7;
       }
-      return result;
+      // varints are unsigned, like BufferWriter.writeVarInt() writes them
+      return result >>> 0;
    }
 
    public readVarBigint(): bigint {
@@ -311,6 +327,10 @@ export class BufferReader {
 
    public readString = (len: number): string => this.buffer.toString('utf8', this.move(len), this._position);
 
+   public readBinary = (len: number): Buffer => Buffer.from(this.buffer.subarray(this.move(len), this._position));
+
+   public readDouble = (): number => this.buffer.readDoubleLE(this.move(8));
+
    public readList(size: number, type: number): (number | boolean | string)[] {
       const arr = [];
       switch (type) {
@@ -335,6 +355,12 @@ export class BufferReader {
             }
             break;
          }
+         case ThriftTypes.DOUBLE: {
+            for (let i = 0; i < size; i++) {
+               arr[i] = this.readDouble();
+            }
+            break;
+         }
          case ThriftTypes.BINARY: {
             for (let i = 0; i < size; i++) {
                arr[i] = this.readString(this.readVarInt());
@@ -357,7 +383,8 @@ export class BufferReader {
       this._field = this._stack.pop() ?? -1;
    }
 
-   public static fromZigZag = (n: number) => (n >> 1) ^ -(n & 1);
+   // unsigned shift, a zigzag encoded int32 may have the sign bit set
+   public static fromZigZag = (n: number) => (n >>> 1) ^ -(n & 1);
 }
 
 function equalArrays<T>(left: T[], right: T[]): boolean {
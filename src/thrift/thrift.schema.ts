@@ -0,0 +1,433 @@
+import { Int64, isThriftBoolean, ThriftTypes } from './thrift';
+import { BufferReader } from './thrift.reading';
+import { BufferWriter } from './thrift.writing';
+import { ThriftSchemaError } from '../errors';
+
+/**
+ * A compact protocol type. `T` is what reading returns, `TInput` what writing accepts.
+ * Values are read and written without their field header.
+ */
+export interface ThriftType<T, TInput = T> {
+   /**
+    * e.g. `list<i32>`, used in errors
+    */
+   readonly name: string;
+   /**
+    * type in field and collection headers
+    */
+   readonly type: number;
+   write(writer: BufferWriter, value: TInput, path: string): void;
+   read(reader: BufferReader, path: string): T;
+}
+
+export type ThriftValue<S> = S extends ThriftType<infer T, any> ? T : never;
+export type ThriftInput<S> = S extends ThriftType<any, infer TInput> ? TInput : never;
+
+export interface ThriftField<S extends ThriftType<any, any> = ThriftType<any, any>> {
+   id: number;
+   type: S;
+}
+
+export type ThriftStructFields = Record<string, ThriftField>;
+
+export type ThriftStructValue<F extends ThriftStructFields> = { [K in keyof F]?: ThriftValue<F[K]['type']> };
+export type ThriftStructInput<F extends ThriftStructFields> = { [K in keyof F]?: ThriftInput<F[K]['type']> | null };
+
+export interface ThriftStruct<F extends ThriftStructFields> extends ThriftType<
+   ThriftStructValue<F>,
+   ThriftStructInput<F>
+> {
+   readonly fields: F;
+   /**
+    * Writes the fields of `value` followed by a stop, like a top level struct
+    */
+   encode(value: ThriftStructInput<F>): Buffer;
+   /**
+    * Reads a top level struct, the final stop may be missing. Fields that aren't in the schema are skipped.
+    */
+   decode(buffer: Buffer): ThriftStructValue<F>;
+}
+
+/**
+ * Declarative compact protocol schemas. One definition gives a typed encoder and decoder:
+ *
+ *    const RegionHint = ThriftSchema.struct({ hint: ThriftSchema.field(1, ThriftSchema.string()) });
+ *    RegionHint.decode(payload).hint; // string | undefined
+ *
+ * Every field is optional, `undefined` and `null` aren't written.
+ * Invalid values and malformed payloads throw a ThriftSchemaError with the path of the field.
+ */
+export const ThriftSchema = {
+   bool: (): ThriftType<boolean> => ({
+      name: 'bool',
+      // in collections, fields carry the value in their header
+      type: ThriftTypes.TRUE,
+      write: (writer, value, path) =>
+         writer.writeByte(
+            check(typeof value === 'boolean', value, 'a boolean', path) ? ThriftTypes.TRUE : ThriftTypes.FALSE,
+         ),
+      read: reader => reader.readByte() === ThriftTypes.TRUE,
+   }),
+   byte: (): ThriftType<number> => ({
+      name: 'byte',
+      type: ThriftTypes.BYTE,
+      write: (writer, value, path) => writer.writeByte(checkInteger(value, 'byte', -0x80, 0x7f, path) & 0xff),
+      read: reader => reader.readSByte(),
+   }),
+   i16: (): ThriftType<number> => ({
+      name: 'i16',
+      type: ThriftTypes.INT_16,
+      write: (writer, value, path) => writer.writeWord(checkInteger(value, 'i16', -0x8000, 0x7fff, path)),
+      read: reader => reader.readSmallInt(),
+   }),
+   i32: (): ThriftType<number> => ({
+      name: 'i32',
+      type: ThriftTypes.INT_32,
+      write: (writer, value, path) => writer.writeInt(checkInteger(value, 'i32', -0x80000000, 0x7fffffff, path)),
+      read: reader => reader.readSmallInt(),
+   }),
+   /**
+    * Writes numbers and bigints, reads bigints
+    */
+   i64: (): ThriftType<bigint, Int64> => ({
+      name: 'i64',
+      type: ThriftTypes.INT_64,
+      write: (writer, value, path) => {
+         const int = typeof value === 'number' && Number.isInteger(value) ? BigInt(value) : value;
+         check(typeof int === 'bigint' && BigInt.asIntN(64, int) === int, value, 'an i64', path);
+         writer.writeLong(int);
+      },
+      read: reader => reader.readBigint().int,
+   }),
+   double: (): ThriftType<number> => ({
+      name: 'double',
+      type: ThriftTypes.DOUBLE,
+      write: (writer, value, path) =>
+         writer.writeDoubleDirect(check(typeof value === 'number', value, 'a number', path)),
+      read: (reader, path) => {
+         ensureBytes(reader, 8, path);
+         return reader.readDouble();
+      },
+   }),
+   /**
+    * binary read as UTF-8
+    */
+   string: (): ThriftType<string> => ({
+      name: 'string',
+      type: ThriftTypes.BINARY,
+      write: (writer, value, path) =>
+         writer.writeStringDirect(check(typeof value === 'string', value, 'a string', path)),
+      read: (reader, path) => reader.readString(ensureBytes(reader, reader.readVarInt(), path)),
+   }),
+   binary: (): ThriftType<Buffer> => ({
+      name: 'binary',
+      type: ThriftTypes.BINARY,
+      write: (writer, value, path) => writer.writeBinaryDirect(check(Buffer.isBuffer(value), value, 'a Buffer', path)),
+      read: (reader, path) => reader.readBinary(ensureBytes(reader, reader.readVarInt(), path)),
+   }),
+   list: <T, TInput>(element: ThriftType<T, TInput>): ThriftType<T[], TInput[]> => ({
+      name: `list<${element.name}>`,
+      type: ThriftTypes.LIST,
+      write: (writer, value, path) =>
+         writeElements(writer, element, check(Array.isArray(value), value, 'an array', path), path),
+      read: (reader, path) => readElements(reader, element, path),
+   }),
+   set: <T, TInput>(element: ThriftType<T, TInput>): ThriftType<Set<T>, Set<TInput> | TInput[]> => ({
+      name: `set<${element.name}>`,
+      type: ThriftTypes.SET,
+      write: (writer, value, path) =>
+         writeElements(
+            writer,
+            element,
+            [...check(value instanceof Set || Array.isArray(value), value, 'a Set', path)],
+            path,
+         ),
+      read: (reader, path) => new Set(readElements(reader, element, path)),
+   }),
+   map: <K, V, KInput, VInput>(
+      key: ThriftType<K, KInput>,
+      value: ThriftType<V, VInput>,
+   ): ThriftType<Map<K, V>, Map<KInput, VInput>> => ({
+      name: `map<${key.name}, ${value.name}>`,
+      type: ThriftTypes.MAP,
+      write: (writer, map, path) =>
+         writeEntries(writer, key, value, [...check(map instanceof Map, map, 'a Map', path)], path),
+      read: (reader, path) => new Map(readEntries(reader, key, value, path)),
+   }),
+   /**
+    * map<string, V> as a plain object
+    */
+   stringMap: <V, VInput>(
+      value: ThriftType<V, VInput>,
+   ): ThriftType<Record<string, V>, Record<string, VInput | undefined>> => ({
+      name: `map<string, ${value.name}>`,
+      type: ThriftTypes.MAP,
+      write: (writer, object, path) => {
+         check(typeof object === 'object' && object !== null && !Array.isArray(object), object, 'an object', path);
+         const entries = Object.entries(object).filter((entry): entry is [string, VInput] => entry[1] !== undefined);
+         writeEntries(writer, ThriftSchema.string(), value, entries, path);
+      },
+      read: (reader, path) => {
+         const result: Record<string, V> = {};
+         for (const [k, v] of readEntries(reader, ThriftSchema.string(), value, path)) {
+            Object.defineProperty(result, k, { value: v, enumerable: true, writable: true, configurable: true });
+         }
+         return result;
+      },
+   }),
+   field: <S extends ThriftType<any, any>>(id: number, type: S): ThriftField<S> => ({ id, type }),
+   struct: <F extends ThriftStructFields>(fields: F): ThriftStruct<F> => ({
+      name: 'struct',
+      type: ThriftTypes.STRUCT,
+      fields,
+      write: (writer, value, path) => {
+         writer.pushStack();
+         writeFields(writer, fields, value, path);
+      },
+      read: (reader, path) => {
+         reader.pushStack();
+         const value = readFields(reader, fields, path, false);
+         reader.popStack();
+         return value;
+      },
+      encode: value => {
+         const writer = BufferWriter.empty();
+         writeFields(writer, fields, value, '');
+         return writer.buffer;
+      },
+      decode: buffer => readFields(new BufferReader(buffer), fields, '', true),
+   }),
+};
+
+function writeFields<F extends ThriftStructFields>(
+   writer: BufferWriter,
+   fields: F,
+   value: ThriftStructInput<F>,
+   path: string,
+) {
+   check(typeof value === 'object' && value !== null && !Array.isArray(value), value, 'an object', path);
+   for (const name of Object.keys(value)) {
+      if (!Object.prototype.hasOwnProperty.call(fields, name)) {
+         throw new ThriftSchemaError('Field is not in the schema', fieldPath(path, name));
+      }
+   }
+   for (const [name, { id, type }] of Object.entries(fields)) {
+      const fieldValue = value[name];
+      if (fieldValue === undefined || fieldValue === null) continue;
+
+      if (type.type === ThriftTypes.TRUE) {
+         writer.writeBoolean(
+            id,
+            check(typeof fieldValue === 'boolean', fieldValue, 'a boolean', fieldPath(path, name)),
+         );
+      } else {
+         writer.writeField(id, type.type);
+         type.write(writer, fieldValue, fieldPath(path, name));
+      }
+   }
+   writer.writeStop();
+}
+
+function readFields<F extends ThriftStructFields>(
+   reader: BufferReader,
+   fields: F,
+   path: string,
+   topLevel: boolean,
+): ThriftStructValue<F> {
+   const result: Record<string, unknown> = {};
+   const entries = Object.entries(fields);
+   while (true) {
+      if (topLevel && reader.position >= reader.length) break;
+      const type = atPath(path, () => reader.readField());
+      if (type === ThriftTypes.STOP) break;
+
+      // a field id may be used with different types (see MQTToTConnection)
+      const entry = entries.find(
+         ([, field]) =>
+            field.id === reader.field &&
+            (field.type.type === type || (isThriftBoolean(type) && isThriftBoolean(field.type.type))),
+      );
+      if (!entry) {
+         atPath(fieldPath(path, `#${reader.field}`), () => skip(reader, type, false));
+         continue;
+      }
+      const [name, field] = entry;
+      result[name] = isThriftBoolean(type)
+         ? type === ThriftTypes.TRUE
+         : atPath(fieldPath(path, name), () => field.type.read(reader, fieldPath(path, name)));
+   }
+   return result as ThriftStructValue<F>;
+}
+
+function writeElements<T, TInput>(
+   writer: BufferWriter,
+   element: ThriftType<T, TInput>,
+   values: TInput[],
+   path: string,
+) {
+   writer.writeListHeaderDirect(values.length, element.type);
+   values.forEach((value, i) => element.write(writer, value, `${path}[${i}]`));
+}
+
+function readElements<T, TInput>(reader: BufferReader, element: ThriftType<T, TInput>, path: string): T[] {
+   const { size, type } = readListHeader(reader, path);
+   if (size > 0) checkType(type, element, path);
+   const values: T[] = [];
+   for (let i = 0; i < size; i++) {
+      values.push(atPath(`${path}[${i}]`, () => element.read(reader, `${path}[${i}]`)));
+   }
+   return values;
+}
+
+function writeEntries<KInput, VInput>(
+   writer: BufferWriter,
+   key: ThriftType<any, KInput>,
+   value: ThriftType<any, VInput>,
+   entries: [KInput, VInput][],
+   path: string,
+) {
+   writer.writeMapHeaderDirect(entries.length, key.type, value.type);
+   for (const [k, v] of entries) {
+      const entryPath = `${path}[${String(k)}]`;
+      key.write(writer, k, entryPath);
+      value.write(writer, v, entryPath);
+   }
+}
+
+function readEntries<K, V>(
+   reader: BufferReader,
+   key: ThriftType<K, any>,
+   value: ThriftType<V, any>,
+   path: string,
+): [K, V][] {
+   const { size, keyType, valueType } = readMapHeader(reader, path);
+   if (size === 0) return [];
+   checkType(keyType, key, `${path} key`);
+   checkType(valueType, value, path);
+   const entries: [K, V][] = [];
+   for (let i = 0; i < size; i++) {
+      const k = atPath(`${path}[${i}]`, () => key.read(reader, `${path}[${i}]`));
+      const entryPath = `${path}[${String(k)}]`;
+      entries.push([k, atPath(entryPath, () => value.read(reader, entryPath))]);
+   }
+   return entries;
+}
+
+function readListHeader(reader: BufferReader, path: string): { size: number; type: number } {
+   return atPath(path, () => {
+      const byte = reader.readByte();
+      const size = byte >> 4 === 0x0f ? reader.readVarInt() : byte >> 4;
+      return { size, type: byte & 0x0f };
+   });
+}
+
+function readMapHeader(reader: BufferReader, path: string): { size: number; keyType: number; valueType: number } {
+   return atPath(path, () => {
+      const size = reader.readVarInt();
+      const types = size > 0 ? reader.readByte() : 0;
+      return { size, keyType: types >> 4, valueType: types & 0x0f };
+   });
+}
+
+/**
+ * Reads over a value whose field isn't in the schema
+ */
+function skip(reader: BufferReader, type: number, element: boolean): void {
+   switch (type) {
+      case ThriftTypes.TRUE:
+      case ThriftTypes.FALSE:
+         // only collections store booleans in their own byte
+         if (element) reader.readByte();
+         return;
+      case ThriftTypes.BYTE:
+         reader.readByte();
+         return;
+      case ThriftTypes.INT_16:
+      case ThriftTypes.INT_32:
+         reader.readVarInt();
+         return;
+      case ThriftTypes.INT_64:
+         reader.readVarBigint();
+         return;
+      case ThriftTypes.DOUBLE:
+         reader.readDouble();
+         return;
+      case ThriftTypes.BINARY:
+         reader.readBinary(ensureBytes(reader, reader.readVarInt(), ''));
+         return;
+      case ThriftTypes.LIST:
+      case ThriftTypes.SET: {
+         const { size, type: elementType } = readListHeader(reader, '');
+         for (let i = 0; i < size; i++) skip(reader, elementType, true);
+         return;
+      }
+      case ThriftTypes.MAP: {
+         const { size, keyType, valueType } = readMapHeader(reader, '');
+         for (let i = 0; i < size; i++) {
+            skip(reader, keyType, true);
+            skip(reader, valueType, true);
+         }
+         return;
+      }
+      case ThriftTypes.STRUCT: {
+         reader.pushStack();
+         let fieldType: number;
+         while ((fieldType = reader.readField()) !== ThriftTypes.STOP) skip(reader, fieldType, false);
+         reader.popStack();
+         return;
+      }
+      default:
+         throw new ThriftSchemaError(`Unknown type ${type}`, '');
+   }
+}
+
+const fieldPath = (path: string, name: string) => (path ? `${path}.${name}` : name);
+
+/**
+ * Runs a read, errors that aren't ThriftSchemaErrors yet (e.g. the buffer ended) get the path
+ */
+function atPath<T>(path: string, read: () => T): T {
+   try {
+      return read();
+   } catch (e) {
+      if (e instanceof ThriftSchemaError && e.path) throw e;
+      throw new ThriftSchemaError(
+         e instanceof RangeError ? 'Unexpected end of the buffer' : (e as Error).message,
+         path,
+      );
+   }
+}
+
+function check<T>(valid: boolean, value: T, expected: string, path: string): T {
+   if (!valid) throw new ThriftSchemaError(`Expected ${expected}, got ${describe(value)}`, path);
+   return value;
+}
+
+function checkInteger(value: number, name: string, min: number, max: number, path: string): number {
+   return check(
+      typeof value === 'number' && Number.isInteger(value) && value >= min && value <= max,
+      value,
+      `an ${name} (integer from ${min} to ${max})`,
+      path,
+   );
+}
+
+function checkType(type: number, expected: ThriftType<any, any>, path: string) {
+   if (type !== expected.type && !(isThriftBoolean(type) && isThriftBoolean(expected.type))) {
+      throw new ThriftSchemaError(`Expected elements of type ${expected.name}, got type ${type}`, path);
+   }
+}
+
+function ensureBytes(reader: BufferReader, length: number, path: string): number {
+   if (reader.position + length > reader.length) {
+      throw new ThriftSchemaError(`Expected ${length} bytes, only ${reader.length - reader.position} left`, path);
+   }
+   return length;
+}
+
+function describe(value: unknown): string {
+   if (value === null) return 'null';
+   if (Array.isArray(value)) return 'an array';
+   if (Buffer.isBuffer(value)) return 'a Buffer';
+   return typeof value === 'object' ? 'an object' : `${typeof value} ${String(value)}`;
+}
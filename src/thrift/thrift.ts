@@ -53,6 +53,9 @@ export interface ThriftPacketDescriptor {
    structDescriptors?: ThriftPacketDescriptor[];
 }
 
+/**
+ * @deprecated describe structs with ThriftSchema
+ */
 export const ThriftDescriptors = {
    boolean: (fieldName: string, field: number): ThriftPacketDescriptor => ({
       field,
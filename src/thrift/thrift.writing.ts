@@ -1,6 +1,9 @@
 import { Int64, ThriftPacketDescriptor, ThriftSerializable, ThriftTypes } from './thrift';
 import { IllegalArgumentError, ThriftError } from '../errors';
 
+/**
+ * @deprecated use the `encode()` of a ThriftSchema struct
+ */
 export function thriftWriteFromObject(obj: ThriftSerializable, descriptors: ThriftPacketDescriptor[]): Buffer {
    const writer = BufferWriter.empty();
    thriftWriteSingleLayerFromObject(obj, descriptors, writer);
@@ -163,26 +166,17 @@ export class BufferWriter {
       return this._position - bytes;
    }
 
-   private writeVarInt(num: number): this {
-      while (true) {
-         let byte = num & ~0x7f;
-         if (byte === 0) {
-            this.writeByte(num);
-            break;
-         } else if (byte === -128) {
-            // -128 = 0b1000_0000 but it's the last an no other bytes will follow
-            this.writeByte(0);
-            break;
-         } else {
-            byte = (num & 0xff) | 0x80;
-            this.writeByte(byte);
-            num = num >> 7;
-         }
+   public writeVarInt(num: number): this {
+      // varints are unsigned, zigzag encoded ints may have the sign bit set
+      num >>>= 0;
+      while (num > 0x7f) {
+         this.writeByte((num & 0x7f) | 0x80);
+         num >>>= 7;
       }
-      return this;
+      return this.writeByte(num);
    }
 
-   private writeField(field: number, type: number): this {
+   public writeField(field: number, type: number): this {
       const delta = field - this.field;
       if (delta > 0 && delta <= 15) {
          this.writeByte((delta << 4) | type);
@@ -201,22 +195,22 @@ export class BufferWriter {
       return this;
    }
 
-   private writeByte(byte: number): this {
+   public writeByte(byte: number): this {
       const buf = Buffer.alloc(1);
       buf.writeUInt8(byte, 0);
       this.writeBuffer(buf);
       return this;
    }
 
-   private writeWord(num: number): this {
+   public writeWord(num: number): this {
       return this.writeVarInt(BufferWriter.toZigZag(num, 0x10));
    }
 
-   private writeInt(num: number): this {
+   public writeInt(num: number): this {
       return this.writeVarInt(BufferWriter.toZigZag(num, 0x20));
    }
 
-   private writeLong(num: Int64 | { int: Int64; num: number }): this {
+   public writeLong(num: Int64 | { int: Int64; num: number }): this {
       if (typeof num === 'object') {
          num = num.int;
       }
@@ -241,6 +235,10 @@ export class BufferWriter {
 
    public writeMapHeader(field: number, size: number, keyType: number, valueType: number): this {
       this.writeField(field, ThriftTypes.MAP);
+      return this.writeMapHeaderDirect(size, keyType, valueType);
+   }
+
+   public writeMapHeaderDirect(size: number, keyType: number, valueType: number): this {
       if (size === 0) {
          this.writeByte(0);
       } else {
@@ -260,10 +258,19 @@ export class BufferWriter {
    }
 
    public writeStringDirect(s: string): this {
-      const buf = Buffer.from(s, 'utf8');
+      return this.writeBinaryDirect(Buffer.from(s, 'utf8'));
+   }
+
+   public writeBinaryDirect(buf: Buffer): this {
       this.writeVarInt(buf.length);
-      this.writeBuffer(buf);
-      return this;
+      return this.writeBuffer(buf);
+   }
+
+   public writeDoubleDirect(num: number): this {
+      // the compact protocol writes doubles little endian
+      const buf = Buffer.alloc(8);
+      buf.writeDoubleLE(num, 0);
+      return this.writeBuffer(buf);
    }
 
    public writeStop(): this {
@@ -276,7 +283,7 @@ export class BufferWriter {
 
    public writeInt8(field: number, num: number): this {
       this.writeField(field, ThriftTypes.BYTE);
-      return this.writeByte(num);
+      return this.writeByte(num & 0xff);
    }
 
    public writeInt16(field: number, num: number): this {
@@ -296,14 +303,7 @@ export class BufferWriter {
 
    public writeList(field: number, type: number, list: []): this {
       this.writeField(field, ThriftTypes.LIST);
-      const size = list.length;
-
-      if (size < 0x0f) {
-         this.writeByte((size << 4) | type);
-      } else {
-         this.writeByte(0xf0 | type);
-         this.writeVarInt(size);
-      }
+      this.writeListHeaderDirect(list.length, type);
 
       switch (type) {
          case ThriftTypes.TRUE:
@@ -312,7 +312,7 @@ export class BufferWriter {
             break;
          }
          case ThriftTypes.BYTE: {
-            list.forEach(el => this.writeByte(el));
+            list.forEach(el => this.writeByte(el & 0xff));
             break;
          }
          case ThriftTypes.INT_16: {
@@ -342,6 +342,17 @@ export class BufferWriter {
       return this;
    }
 
+   /**
+    * Header of a list or set, without the field
+    */
+   public writeListHeaderDirect(size: number, type: number): this {
+      if (size < 0x0f) {
+         return this.writeByte((size << 4) | type);
+      }
+      this.writeByte(0xf0 | type);
+      return this.writeVarInt(size);
+   }
+
    public writeStruct(field: number): this {
       this.writeField(field, ThriftTypes.STRUCT);
       this.pushStack();
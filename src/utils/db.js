@@ -53,8 +53,36 @@ export async function disconnectDb() {
   }
 }
 
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 // Database utilities
 export const dbUtils = {
+  async ensureIndexes() {
+    try {
+      if (!config.database?.enabled) {
+        return false;
+      }
+
+      const db = await connectDb();
+      const messages = db.collection('messages');
+      await messages.createIndex({ itemId: 1 }, { unique: true });
+      await messages.createIndex({ threadId: 1, timestamp: -1 });
+      await messages.createIndex({ senderId: 1, timestamp: -1 });
+      await db.collection('user_stats').createIndex({ userId: 1 }, { unique: true });
+      return true;
+    } catch (error) {
+      logger.error('Failed to create message indexes:', error.message);
+      return false;
+    }
+  },
+
+  /**
+   * Archives a processed message. Messages are deduplicated by item id,
+   * so the same item arriving over realtime and polling is stored once.
+   * @returns {Promise<boolean>} true when the message was new
+   */
   async saveMessage(message) {
     try {
       if (!config.database?.enabled) {
@@ -65,19 +93,112 @@ export const dbUtils = {
       const collection = db.collection('messages');
       
       const messageDoc = {
-        ...message,
+        itemId: String(message.id),
+        threadId: message.threadId,
+        threadTitle: message.threadTitle,
+        senderId: String(message.sender),
+        senderUsername: message.senderUsername,
+        text: message.text,
+        type: message.type,
+        attachments: message.attachments || [],
+        share: message.share || null,
+        replyTo: message.replyTo || null,
+        timestamp: message.timestamp,
+        raw: message.rawMessage,
+        reactions: [],
+        edits: [],
+        deleted: false,
         createdAt: new Date(),
         processed: true
       };
       
-      await collection.insertOne(messageDoc);
-      return true;
+      const result = await collection.updateOne(
+        { itemId: messageDoc.itemId },
+        { $setOnInsert: messageDoc },
+        { upsert: true }
+      );
+      return result.upsertedCount > 0;
     } catch (error) {
       logger.error('Failed to save message:', error.message);
       return false;
     }
   },
 
+  // Keeps the previous text in `edits` so the original wording stays searchable
+  async editMessage(itemId, text, editedAt = new Date()) {
+    try {
+      if (!config.database?.enabled) {
+        return false;
+      }
+
+      const db = await connectDb();
+      const collection = db.collection('messages');
+
+      const existing = await collection.findOne({ itemId: String(itemId) }, { projection: { text: 1 } });
+      if (!existing || existing.text === text) {
+        return false;
+      }
+
+      await collection.updateOne(
+        { itemId: String(itemId) },
+        {
+          $set: { text, editedAt },
+          $push: { edits: { text: existing.text, replacedAt: editedAt } }
+        }
+      );
+      return true;
+    } catch (error) {
+      logger.error('Failed to save message edit:', error.message);
+      return false;
+    }
+  },
+
+  async markMessageDeleted(itemId, deletedAt = new Date()) {
+    try {
+      if (!config.database?.enabled) {
+        return false;
+      }
+
+      const db = await connectDb();
+      const result = await db.collection('messages').updateOne(
+        { itemId: String(itemId) },
+        { $set: { deleted: true, deletedAt } }
+      );
+      return result.matchedCount > 0;
+    } catch (error) {
+      logger.error('Failed to mark message deleted:', error.message);
+      return false;
+    }
+  },
+
+  /**
+   * Adds or removes a reaction. A sender has at most one reaction per item,
+   * a new one replaces the previous.
+   */
+  async saveReaction(itemId, reaction, removed = false) {
+    try {
+      if (!config.database?.enabled) {
+        return false;
+      }
+
+      const db = await connectDb();
+      const collection = db.collection('messages');
+      const senderId = String(reaction.senderId);
+
+      await collection.updateOne({ itemId: String(itemId) }, { $pull: { reactions: { senderId } } });
+      if (!removed) {
+        await collection.updateOne(
+          { itemId: String(itemId) },
+          { $push: { reactions: { senderId, emoji: reaction.emoji, timestamp: reaction.timestamp || new Date() } } }
+        );
+      }
+      return true;
+    } catch (error) {
+      logger.error('Failed to save reaction:', error.message);
+      return false;
+    }
+  },
+
   async getMessageHistory(threadId, limit = 50) {
     try {
       if (!config.database?.enabled) {
@@ -100,6 +221,55 @@ export const dbUtils = {
     }
   },
 
+  async getMessage(itemId) {
+    try {
+      if (!config.database?.enabled) {
+        return null;
+      }
+
+      const db = await connectDb();
+      return await db.collection('messages').findOne({ itemId: String(itemId) });
+    } catch (error) {
+      logger.error('Failed to get message:', error.message);
+      return null;
+    }
+  },
+
+  // Case-insensitive substring search over current and edited text, newest first
+  async searchMessages(threadId, text, limit = 10) {
+    try {
+      if (!config.database?.enabled) {
+        return [];
+      }
+
+      const db = await connectDb();
+      const pattern = new RegExp(escapeRegex(text), 'i');
+
+      return await db.collection('messages')
+        .find({ threadId, $or: [{ text: pattern }, { 'edits.text': pattern }] })
+        .sort({ timestamp: -1 })
+        .limit(limit)
+        .toArray();
+    } catch (error) {
+      logger.error('Failed to search messages:', error.message);
+      return [];
+    }
+  },
+
+  async countMessages(filter) {
+    try {
+      if (!config.database?.enabled) {
+        return 0;
+      }
+
+      const db = await connectDb();
+      return await db.collection('messages').countDocuments(filter);
+    } catch (error) {
+      logger.error('Failed to count messages:', error.message);
+      return 0;
+    }
+  },
+
   async saveUserStats(userId, username, stats) {
     try {
       if (!config.database?.enabled) {
@@ -117,6 +287,9 @@ export const dbUtils = {
             ...stats,
             lastUpdated: new Date()
           },
+          $setOnInsert: {
+            firstSeenAt: new Date()
+          },
           $inc: {
             totalMessages: 1
           }
@@ -58,26 +58,62 @@ export class RateLimiter {
   }
 
   isLimited(key, maxRequests = 5, windowMs = 60000) {
-    const now = Date.now();
-    const windowStart = now - windowMs;
+    if (this.check(key, maxRequests, windowMs)) {
+      return true; // Rate limited
+    }
     
+    // Add current request
+    this.hit(key);
+    return false; // Not rate limited
+  }
+
+  // Check a limit without recording a request
+  check(key, maxRequests = 5, windowMs = 60000) {
+    return this.prune(key, windowMs).length >= maxRequests;
+  }
+
+  hit(key, time = Date.now()) {
     if (!this.requests.has(key)) {
       this.requests.set(key, []);
     }
-    
-    const userRequests = this.requests.get(key);
-    
-    // Remove old requests outside the window
-    const validRequests = userRequests.filter(time => time > windowStart);
+    this.requests.get(key).push(time);
+  }
+
+  // Milliseconds until the next request for this key is allowed
+  retryAfter(key, maxRequests = 5, windowMs = 60000) {
+    const validRequests = this.prune(key, windowMs);
+    if (validRequests.length < maxRequests) {
+      return 0;
+    }
+    return validRequests[validRequests.length - maxRequests] + windowMs - Date.now();
+  }
+
+  prune(key, windowMs) {
+    const windowStart = Date.now() - windowMs;
+    const validRequests = (this.requests.get(key) || []).filter(time => time > windowStart);
     this.requests.set(key, validRequests);
-    
-    if (validRequests.length >= maxRequests) {
-      return true; // Rate limited
+    return validRequests;
+  }
+
+  get(key) {
+    return this.requests.get(key) || [];
+  }
+
+  // Forgets keys without a request in the last `windowMs`
+  sweep(windowMs) {
+    for (const key of this.requests.keys()) {
+      if (!this.prune(key, windowMs).length) {
+        this.requests.delete(key);
+      }
     }
-    
-    // Add current request
-    validRequests.push(now);
-    return false; // Not rate limited
+  }
+
+  set(key, requests) {
+    this.requests.set(key, [...requests].sort((a, b) => a - b));
+  }
+
+  keys() {
+    return [...this.requests.keys()];
   }
 
   clear(key) {
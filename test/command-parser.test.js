@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ArgumentError, buildUsage, describeSchema, parseArguments, parseDuration, tokenize } from '../src/core/command-parser.js';
+
+const typing = {
+  args: [{ name: 'seconds', type: 'int', optional: true, default: 3, min: 1, max: 10 }],
+  flags: { silent: { type: 'boolean', alias: 's' } }
+};
+
+const remind = {
+  args: [
+    { name: 'in', type: 'duration' },
+    { name: 'text', type: 'rest' }
+  ],
+  flags: { to: { type: 'mention' } }
+};
+
+test('tokens keep quoted text together and remember where they start', () => {
+  assert.deepStrictEqual(tokenize(`  say "hello world" 'it\\'s' x`), [
+    { value: 'say', start: 2, quoted: false },
+    { value: 'hello world', start: 6, quoted: true },
+    { value: "it's", start: 20, quoted: true },
+    { value: 'x', start: 28, quoted: false }
+  ]);
+  // Quotes inside a word are kept as they are
+  assert.deepStrictEqual(tokenize(`don't "stop"`).map(token => token.value), ["don't", 'stop']);
+  assert.deepStrictEqual(tokenize('""'), [{ value: '', start: 0, quoted: true }]);
+  assert.deepStrictEqual(tokenize('   '), []);
+  assert.throws(() => tokenize('say "unfinished'), { name: 'ArgumentError', message: 'Missing closing "' });
+});
+
+test('arguments are coerced to their types and defaults fill optional ones', () => {
+  assert.deepStrictEqual(parseArguments(' 5', typing), { tokens: ['5'], args: { seconds: 5 }, flags: { silent: false } });
+  assert.deepStrictEqual(parseArguments('', typing).args, { seconds: 3 });
+  assert.deepStrictEqual(parseArguments('-s 2', typing), { tokens: ['2'], args: { seconds: 2 }, flags: { silent: true } });
+  assert.deepStrictEqual(parseArguments('--silent=off', typing).flags, { silent: false });
+  assert.deepStrictEqual(parseArguments('--no-silent', typing).flags, { silent: false });
+
+  assert.throws(() => parseArguments('11', typing), { name: 'ArgumentError', message: 'seconds must be at most 10' });
+  assert.throws(() => parseArguments('2.5', typing), { message: 'seconds must be a whole number' });
+  assert.throws(() => parseArguments('2 3', typing), { message: 'Too many arguments' });
+  assert.throws(() => parseArguments('--loud', typing), { message: 'Unknown flag: --loud' });
+});
+
+test('rest arguments keep the raw text unless quotes or flags were parsed', () => {
+  const echo = { args: [{ name: 'text', type: 'rest' }] };
+  assert.equal(parseArguments(' keep   the  spacing ', echo).args.text, 'keep   the  spacing');
+  assert.equal(parseArguments('"a  b"   c', echo).args.text, 'a  b c');
+  assert.throws(() => parseArguments('', echo), { message: 'Missing text' });
+
+  assert.deepStrictEqual(parseArguments('1h30m call --to @jane.doe mom', remind).args, { in: 5400000, text: 'call mom' });
+  assert.equal(parseArguments('10 -- --to is text', remind).args.text, '--to is text');
+  assert.throws(() => parseArguments('10 call --to', remind), { message: '--to needs a value' });
+  assert.throws(() => parseArguments('10 call --to not-a-user!', remind), { message: '--to must be a username like @someone' });
+});
+
+test('choices, mentions, emoji and negative numbers', () => {
+  const command = {
+    args: [
+      { name: 'action', choices: ['show', 'set'] },
+      { name: 'user', type: 'mention' },
+      { name: 'emoji', type: 'emoji' },
+      { name: 'offset', type: 'number' }
+    ],
+    flags: { verbose: {} }
+  };
+
+  assert.deepStrictEqual(parseArguments('SET @jane.doe 👍🏽 -1.5', command).args, { action: 'set', user: 'jane.doe', emoji: '👍🏽', offset: -1.5 });
+  assert.throws(() => parseArguments('drop jane 👍 1', command), { message: 'action must be one of: show, set' });
+  assert.throws(() => parseArguments('show jane :) 1', command), { message: 'emoji must be an emoji' });
+  assert.throws(() => parseArguments('show jane 👍 one', command), { message: 'offset must be a number' });
+});
+
+test('commands without a schema get their tokens only', () => {
+  assert.deepStrictEqual(parseArguments('a "b c" --d', {}), { tokens: ['a', 'b c', '--d'], args: {}, flags: {} });
+});
+
+test('durations accept units, combinations and bare numbers in the default unit', () => {
+  assert.equal(parseDuration('90'), 90000);
+  assert.equal(parseDuration('90', { name: 'delay', unit: 'ms' }), 90);
+  assert.equal(parseDuration('1.5m'), 90000);
+  assert.equal(parseDuration('1w2d'), 777600000);
+  assert.equal(parseDuration('250ms'), 250);
+  for (const invalid of ['', 'soon', '5x', '5m soon', 'm5']) {
+    assert.throws(() => parseDuration(invalid), ArgumentError, invalid);
+  }
+});
+
+test('usage lines are built from the schema', () => {
+  assert.equal(buildUsage('typing', typing), '.typing [seconds] [--silent]');
+  assert.equal(buildUsage('remind', remind, '!'), '!remind <in> <text...> [--to <mention>]');
+  assert.equal(buildUsage('prefix', { args: [{ name: 'action', choices: ['show', 'set'], optional: true }] }), '.prefix [show|set]');
+  // Hand-written usage of commands without a schema
+  assert.equal(buildUsage('ping', { usage: '.ping [host]' }), '.ping [host]');
+  assert.equal(buildUsage('ping', {}, '/'), '/ping');
+
+  assert.deepStrictEqual(describeSchema(typing), ['• seconds (int, 1-10, default 3)', '• --silent, -s (boolean)']);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { FbnsManager } from '../src/core/fbns-manager.js';
+
+// Stands in for the fbns client of withFbnsAndRealtime()
+function fakeClient() {
+  const fbns = new EventEmitter();
+  fbns.auth = { deviceId: '' };
+  fbns.connect = async () => {};
+  return { fbns };
+}
+
+test('a new device auth is saved with the session', async () => {
+  const ig = fakeClient();
+  let saves = 0;
+  const fbns = new FbnsManager(ig, async () => {}, async () => { saves++; });
+  assert.equal(await fbns.connect(), true);
+
+  ig.fbns.emit('auth', {});
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(saves, 1);
+});
+
+test('a failed session save is logged, not thrown', async () => {
+  const fbns = new FbnsManager(fakeClient(), async () => {}, async () => { throw new Error('disk full'); });
+  await assert.doesNotReject(fbns.save());
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import { config } from '../src/config.js';
+import { LiveModule } from '../src/modules/live.module.js';
+
+const THREAD_ID = '340282366841710300949128100000001';
+const BROADCAST_ID = '17912345678901234';
+
+/**
+ * A live module on a bot without connections. `subscribe` stands in for the
+ * subscription manager, replies are collected in `replies`.
+ */
+async function createLive({ subscribe = async () => true, db = null } = {}) {
+  const live = new LiveModule();
+  const unsubscribed = [];
+  const replies = [];
+  await live.init({
+    bot: {
+      ig: { realtime: new EventEmitter(), live: { info: async () => ({ broadcast_status: 'active', broadcast_owner: { username: 'jane.doe' } }) }, state: {} },
+      isRealtimeConnected: true
+    },
+    db,
+    config: { live: { ...config.live, moderationKeywords: ['spam'] } },
+    logger: { info() {}, warn() {}, error() {}, debug() {} },
+    moduleManager: null,
+    telegramBridge: null,
+    subscribe,
+    unsubscribe: async (name, target) => unsubscribed.push(`${name}:${target}`)
+  });
+  const context = args => ({ threadId: THREAD_ID, args, reply: async text => replies.push(text) });
+  return { live, unsubscribed, replies, context };
+}
+
+test('a watch whose subscribe fails undoes the subscriptions it added', { timeout: 10000 }, async () => {
+  const { live, unsubscribed, context } = await createLive({
+    subscribe: async name => {
+      if (name === 'liveQuestions') throw new Error('Not connected');
+      // Already held, e.g. through REALTIME_SUBSCRIPTIONS
+      return name !== 'liveWave';
+    }
+  });
+
+  await assert.rejects(live.handleLive([], context({ action: 'watch', target: BROADCAST_ID })), /Not connected/);
+  assert.deepStrictEqual(unsubscribed, [`liveComments:${BROADCAST_ID}`]);
+  assert.equal(live.watches.size, 0);
+});
+
+test('keyword changes without MongoDB say they last until the next restart', { timeout: 10000 }, async () => {
+  const { live, replies, context } = await createLive();
+
+  await live.handleLive([], context({ action: 'keywords', target: 'add', keyword: 'Scam' }));
+  await live.handleLive([], context({ action: 'keywords', target: 'remove', keyword: 'spam' }));
+  assert.deepStrictEqual([...live.keywords], ['scam']);
+  assert.deepStrictEqual(replies, [
+    '🚫 Live comments containing "scam" are moderated until the next restart',
+    '✅ Removed "spam" until the next restart'
+  ]);
+});
+
+test('keyword changes are stored and applied on top of LIVE_MODERATION_KEYWORDS', { timeout: 10000 }, async () => {
+  const stored = new Map();
+  const db = {
+    collection: () => ({
+      find: () => ({ toArray: async () => [...stored.values()] }),
+      updateOne: async ({ keyword }, { $set }) => stored.set(keyword, $set)
+    })
+  };
+
+  const { live, replies, context } = await createLive({ db });
+  await live.handleLive([], context({ action: 'keywords', target: 'add', keyword: 'scam' }));
+  await live.handleLive([], context({ action: 'keywords', target: 'remove', keyword: 'spam' }));
+  assert.equal(replies[0], '🚫 Live comments containing "scam" are moderated');
+
+  const { live: restarted } = await createLive({ db });
+  assert.deepStrictEqual([...restarted.keywords], ['scam']);
+});
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MessageSyncMessageTypes } from 'instagram_mqtt';
+import { normalizeItem } from '../src/core/message-normalizer.js';
+
+// Captured direct items, one per item type plus the xma fallback, replies and an unknown type.
+// Each file holds the raw `item` and the `normalized` model modules get for it.
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'direct-items');
+
+const fixtures = fs.readdirSync(FIXTURES_DIR)
+  .filter(file => file.endsWith('.json'))
+  .map(file => ({ name: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')) }));
+
+for (const { name, item, normalized } of fixtures) {
+  test(`normalizes ${name} items`, () => {
+    // Round trip through JSON, like the fixture, so unset optional properties are left out
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(normalizeItem(item))), normalized);
+  });
+}
+
+test('every MessageSync item type has a fixture', () => {
+  const covered = new Set(fixtures.map(fixture => fixture.item.item_type));
+  const missing = Object.values(MessageSyncMessageTypes).filter(type => !covered.has(type));
+  assert.deepStrictEqual(missing, []);
+});
+
+test('xma items fall back to the extended media handling', () => {
+  const xma = fixtures.filter(fixture => fixture.item.item_type.startsWith('xma_'));
+  assert.ok(xma.length > 0);
+  for (const { normalized } of xma) {
+    assert.equal(normalized.category, 'share');
+    assert.ok(normalized.share?.url);
+  }
+});
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { MessageTracker, toMicros } from '../src/core/message-tracker.js';
+
+const THREAD_ID = '340282366841710300949128100000001';
+const OTHER_THREAD_ID = '340282366841710300949128100000002';
+
+// Cursors stay in memory, the tests don't need MongoDB
+config.database.enabled = false;
+
+function createTracker(seenCacheSize = 100) {
+  const tracker = new MessageTracker({ seenCacheSize });
+  // Items below are newer than the start, so the floor of unknown threads doesn't cover them
+  tracker.startedAt = 1000;
+  return tracker;
+}
+
+test('timestamps are read as microseconds', () => {
+  assert.equal(toMicros('1729000000000000'), 1729000000000000);
+  assert.equal(toMicros(new Date(1729000000000)), 1729000000000000);
+  assert.equal(toMicros(undefined), 0);
+});
+
+test('an item is claimed once, whichever transport delivers it', () => {
+  const tracker = createTracker();
+
+  assert.equal(tracker.claim(THREAD_ID, 'item-1', 2000), true);
+  assert.equal(tracker.claim(THREAD_ID, 'item-1', 2000), false);
+  assert.equal(tracker.isSeen(THREAD_ID, 'item-1', 2000), true);
+  // Items older than the start of an unknown thread were handled before the restart
+  assert.equal(tracker.claim(OTHER_THREAD_ID, 'item-0', 500), false);
+});
+
+test('the cursor follows the newest item and missed older items are still claimed', () => {
+  const tracker = createTracker();
+
+  tracker.claim(THREAD_ID, 'item-3', 3000);
+  assert.deepStrictEqual(tracker.getCursor(THREAD_ID), { itemId: 'item-3', timestamp: 3000 });
+  assert.equal(tracker.claim(THREAD_ID, 'item-2', 2000), true);
+  assert.deepStrictEqual(tracker.getCursor(THREAD_ID), { itemId: 'item-3', timestamp: 3000 });
+  assert.equal(tracker.getCursor(OTHER_THREAD_ID), null);
+
+  assert.equal(tracker.hasUnseenActivity(THREAD_ID, 3000), false);
+  assert.equal(tracker.hasUnseenActivity(THREAD_ID, 3001), true);
+});
+
+test('evicted ids raise the floor of their thread', () => {
+  const tracker = createTracker(2);
+
+  tracker.claim(THREAD_ID, 'item-1', 2000);
+  tracker.claim(THREAD_ID, 'item-3', 4000);
+  tracker.claim(OTHER_THREAD_ID, 'other-1', 9000);
+
+  assert.equal(tracker.seen.size, 2);
+  assert.equal(tracker.getFloor(THREAD_ID), 2000);
+  assert.equal(tracker.getFloor(OTHER_THREAD_ID), 1000);
+  // Replays of the evicted item are covered by the floor, newer missed items aren't
+  assert.equal(tracker.claim(THREAD_ID, 'item-1', 2000), false);
+  assert.equal(tracker.claim(THREAD_ID, 'item-2', 3000), true);
+});
+
+test('the floor only rises', () => {
+  const tracker = createTracker();
+
+  tracker.advanceFloor(THREAD_ID, 5000);
+  tracker.advanceFloor(THREAD_ID, 3000);
+  assert.equal(tracker.getFloor(THREAD_ID), 5000);
+  assert.equal(tracker.claim(THREAD_ID, 'item-4', 4000), false);
+  assert.equal(tracker.hasUnseenActivity(THREAD_ID, 5000), false);
+});
+
+test('tasks of a thread run one after another, other threads are not held up', { timeout: 10000 }, async () => {
+  const tracker = createTracker();
+  const order = [];
+  let release;
+  const blocked = new Promise(resolve => release = resolve);
+
+  const first = tracker.enqueue(THREAD_ID, async () => {
+    await blocked;
+    order.push('first');
+  });
+  const second = tracker.enqueue(THREAD_ID, () => order.push('second'));
+  await tracker.enqueue(OTHER_THREAD_ID, () => order.push('other'));
+
+  assert.deepStrictEqual(order, ['other']);
+  release();
+  await Promise.all([first, second]);
+  assert.deepStrictEqual(order, ['other', 'first', 'second']);
+});
+
+test('a failed task does not stop the tasks after it', { timeout: 10000 }, async () => {
+  const tracker = createTracker();
+  const order = [];
+
+  tracker.enqueue(THREAD_ID, () => {
+    throw new Error('handler failed');
+  });
+  await tracker.enqueue(THREAD_ID, () => order.push('after'));
+
+  assert.deepStrictEqual(order, ['after']);
+  // Idle threads don't keep their queue
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(tracker.queues.has(THREAD_ID), false);
+});
@@ -0,0 +1,163 @@
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IgApiClient } from 'instagram-private-api';
+// The library in src/*.ts as compiled by `npm run build`, the npm package cannot use a local broker
+import { MQTToTBroker, withFbnsAndRealtime } from '../dist/index.js';
+import { FbnsTopics, Topics } from '../dist/constants.js';
+import { MessageHandler } from '../src/core/message-handler.js';
+import { ModuleManager } from '../src/core/module-manager.js';
+import { PrefixManager } from '../src/core/prefix-manager.js';
+import { PermissionManager } from '../src/core/permission-manager.js';
+import { RateLimitManager } from '../src/core/rate-limit-manager.js';
+import { FbnsManager } from '../src/core/fbns-manager.js';
+import { SubscriptionManager } from '../src/core/subscription-manager.js';
+import { normalizeItem } from '../src/core/message-normalizer.js';
+
+const BOT_ID = '1000000001';
+const USER_ID = '1000000042';
+const THREAD_ID = '340282366841710300949128100000001';
+
+// Resolves with the arguments of the next matching event
+function nextEvent(emitter, name, filter = () => true) {
+  return new Promise(resolve => {
+    const listener = (...args) => {
+      if (!filter(...args)) return;
+      emitter.off(name, listener);
+      resolve(args);
+    };
+    emitter.on(name, listener);
+  });
+}
+
+function nextPublish(broker, topic, filter = () => true) {
+  return nextEvent(broker, 'publish', (session, message) =>
+    message.topic === topic && filter(JSON.parse(message.payload.toString())))
+    .then(([, message]) => JSON.parse(message.payload.toString()));
+}
+
+let broker;
+let ig;
+let realtimeSession;
+
+before(async () => {
+  broker = new MQTToTBroker();
+  await broker.listen();
+
+  ig = withFbnsAndRealtime(new IgApiClient());
+  ig.state.generateDevice('offline');
+  await ig.state.cookieJar.setCookie(`ds_user_id=${BOT_ID}; Domain=.instagram.com`, 'https://i.instagram.com');
+  await ig.state.cookieJar.setCookie('ds_user=offline_bot; Domain=.instagram.com', 'https://i.instagram.com');
+  await ig.state.cookieJar.setCookie('sessionid=offline; Domain=.instagram.com', 'https://i.instagram.com');
+  // FbnsClient registers its push token over HTTP
+  ig.request.send = async () => ({ body: { status: 'ok' } });
+
+  const connected = nextEvent(broker, 'connect', session => session.kind === 'realtime');
+  await ig.realtime.connect({
+    broker: broker.connectOptions,
+    irisData: { seq_id: 100, snapshot_at_ms: 1700000000000 },
+    autoReconnect: false
+  });
+  [realtimeSession] = await connected;
+});
+
+after(async () => {
+  await ig.realtime.disconnect();
+  await ig.fbns.disconnect();
+  await broker.close();
+});
+
+test('a realtime command runs through MessageHandler and the reply reaches the broker', { timeout: 10000 }, async () => {
+  const bot = {
+    ig,
+    prefixes: new PrefixManager(),
+    permissions: new PermissionManager(ig),
+    rateLimits: new RateLimitManager(),
+    markAsSeen: (threadId, itemId) => ig.realtime.direct.markAsSeen({ threadId, itemId }),
+    indicateTyping: (threadId, isActive) => ig.realtime.direct.indicateActivity({ threadId, isActive }),
+    sendMessage: (threadId, text) => ig.realtime.direct.sendText({ threadId, text })
+  };
+  const moduleManager = new ModuleManager(bot);
+  moduleManager.modules.push({
+    name: 'test',
+    getCommands: () => ({
+      ping: { description: 'Answers with pong', role: 'user', handler: (args, context) => context.reply('🏓 Pong!') }
+    })
+  });
+  moduleManager.buildCommandRegistry();
+  const handler = new MessageHandler(bot, moduleManager, null);
+
+  ig.realtime.on('message', ({ message }) => handler.handleMessage({
+    ...normalizeItem(message),
+    sender: String(message.user_id),
+    senderUsername: 'tester',
+    threadId: message.thread_id,
+    isGroup: false
+  }));
+
+  const seen = nextPublish(broker, Topics.SEND_MESSAGE.id, json => json.action === 'mark_seen');
+  const reply = nextPublish(broker, Topics.SEND_MESSAGE.id, json => json.item_type === 'text');
+  await realtimeSession.publish(Topics.MESSAGE_SYNC.id, [{
+    event: 'patch',
+    data: [{
+      op: 'add',
+      path: `/direct_v2/threads/${THREAD_ID}/items/30000000000000000000000000000000001`,
+      value: JSON.stringify({
+        item_id: '30000000000000000000000000000000001',
+        user_id: Number(USER_ID),
+        timestamp: '1700000002500000',
+        item_type: 'text',
+        text: '.ping'
+      })
+    }],
+    message_type: 1,
+    seq_id: 101,
+    realtime: true
+  }]);
+
+  assert.equal((await seen).item_id, '30000000000000000000000000000000001');
+  const sent = await reply;
+  assert.equal(sent.thread_id, THREAD_ID);
+  assert.equal(sent.text, '🏓 Pong!');
+});
+
+test('runtime subscriptions are added and removed on the broker', { timeout: 10000 }, async () => {
+  const subscriptions = new SubscriptionManager(() => ig.realtime, () => BOT_ID, []);
+
+  const subscribed = nextPublish(broker, Topics.REALTIME_SUB.id, json => !!json.sub);
+  await subscriptions.subscribe('liveComments', '1789');
+  await subscribed;
+  const [topic] = subscriptions.list().map(entry => entry.topic);
+  assert.ok(realtimeSession.graphQlSubs.has(topic));
+
+  const unsubscribed = nextPublish(broker, Topics.REALTIME_SUB.id, json => !!json.unsub);
+  assert.equal(await subscriptions.unsubscribe('liveComments', '1789'), true);
+  await unsubscribed;
+  assert.equal(realtimeSession.graphQlSubs.has(topic), false);
+  assert.equal(subscriptions.list().length, 0);
+});
+
+test('FBNS pushes reach the FbnsManager as updates', { timeout: 10000 }, async () => {
+  const updates = [];
+  const fbns = new FbnsManager(ig, async update => updates.push(update));
+
+  const connected = nextEvent(broker, 'connect', session => session.kind === 'fbns');
+  await ig.fbns.connect({ broker: broker.connectOptions, autoReconnect: false });
+  const [fbnsSession] = await connected;
+
+  const pushed = nextEvent(ig.fbns, 'push');
+  await fbnsSession.publish(FbnsTopics.FBNS_MESSAGE.id, {
+    fbpushnotif: JSON.stringify({
+      t: '',
+      m: 'jane started following you.',
+      collapse_key: 'new_follower',
+      i: 'push-1',
+      s: USER_ID
+    })
+  });
+  const [notification] = await pushed;
+  await fbns.handlePush(notification);
+
+  assert.equal(updates.length, 1);
+  assert.equal(updates[0].kind, 'follower');
+  assert.equal(updates[0].username, 'jane');
+});
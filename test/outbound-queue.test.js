@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { config } from '../src/config.js';
+import { OutboundQueue } from '../src/core/outbound-queue.js';
+
+const THREAD_ID = '340282366841710300949128100000001';
+const OTHER_THREAD_ID = '340282366841710300949128100000002';
+
+// Jobs are kept in the queue file, the tests don't need MongoDB
+config.database.enabled = false;
+
+// Short retries and no pacing, jobs are only kept in memory unless a queue file is given
+const options = { maxAttempts: 3, retryBaseMs: 20, retryMaxMs: 100, maxAgeMs: 60000, pacing: null };
+
+/**
+ * A started queue whose executor records every attempt in `attempts` and calls
+ * `perform(job)`, which throws to fail the attempt.
+ */
+function createQueue(perform = () => ({}), overrides = {}) {
+  const attempts = [];
+  const queue = new OutboundQueue(async job => {
+    attempts.push(`${job.type}:${job.payload.text ?? job.payload.emoji}#${job.attempts}`);
+    return await perform(job);
+  }, { ...options, ...overrides });
+  queue.start();
+  return { queue, attempts };
+}
+
+test('jobs of a thread are sent in order', { timeout: 10000 }, async () => {
+  const { queue, attempts } = createQueue(job => ({ itemId: `item-${job.payload.text}` }));
+
+  const jobs = [];
+  for (const text of ['one', 'two', 'three']) {
+    jobs.push(await queue.enqueue('text', THREAD_ID, { text }));
+  }
+
+  assert.deepStrictEqual(await Promise.all(jobs.map(job => job.done)), [{ itemId: 'item-one' }, { itemId: 'item-two' }, { itemId: 'item-three' }]);
+  assert.deepStrictEqual(attempts, ['text:one#1', 'text:two#1', 'text:three#1']);
+  assert.equal(queue.getStats().pending, 0);
+});
+
+test('a failing message holds up its lane only', { timeout: 10000 }, async () => {
+  let failures = 2;
+  const { queue, attempts } = createQueue(job => {
+    if (job.payload.text === 'flaky' && failures-- > 0) throw new Error('Network error');
+    return {};
+  });
+
+  const flaky = await queue.enqueue('text', THREAD_ID, { text: 'flaky' });
+  const next = await queue.enqueue('text', THREAD_ID, { text: 'next' });
+  const reaction = await queue.enqueue('reaction', THREAD_ID, { emoji: '❤️' });
+  const other = await queue.enqueue('text', OTHER_THREAD_ID, { text: 'other' });
+
+  await Promise.all([flaky.done, next.done, reaction.done, other.done]);
+  // The reaction and the other thread went out while the first message was retried
+  assert.ok(attempts.indexOf('reaction:❤️#1') < attempts.indexOf('text:flaky#3'));
+  assert.ok(attempts.indexOf('text:other#1') < attempts.indexOf('text:flaky#3'));
+  assert.deepStrictEqual(attempts.filter(attempt => attempt.startsWith('text:') && !attempt.includes('other')), ['text:flaky#1', 'text:flaky#2', 'text:flaky#3', 'text:next#1']);
+});
+
+test('a job is given up after maxAttempts and the lane moves on', { timeout: 10000 }, async () => {
+  const { queue, attempts } = createQueue(job => {
+    if (job.payload.text === 'broken') throw new Error('Bad request');
+    return {};
+  });
+
+  const broken = await queue.enqueue('text', THREAD_ID, { text: 'broken' });
+  const next = await queue.enqueue('text', THREAD_ID, { text: 'next' });
+
+  assert.equal(await broken.done, false);
+  assert.deepStrictEqual(await next.done, {});
+  assert.deepStrictEqual(attempts, ['text:broken#1', 'text:broken#2', 'text:broken#3', 'text:next#1']);
+  const [failed] = queue.getStats().failed;
+  assert.equal(failed.reason, 'Bad request');
+  assert.equal(failed.payload.text, 'broken');
+});
+
+test('retry delays grow exponentially up to retryMaxMs', () => {
+  const queue = new OutboundQueue(async () => ({}), { ...options, retryBaseMs: 1000, retryMaxMs: 5000 });
+  for (const [attempts, base] of [[1, 1000], [2, 2000], [3, 4000], [4, 5000], [10, 5000]]) {
+    const delay = queue.getRetryDelay(attempts);
+    // With up to 20% jitter either way
+    assert.ok(delay >= base * 0.8 && delay <= base * 1.2, `${delay} after ${attempts} attempts`);
+  }
+});
+
+test('restored jobs older than maxAgeMs are dropped instead of sent', { timeout: 10000 }, async () => {
+  const queueFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'outbound-queue-')), 'queue.json');
+  const createdAt = Date.now();
+  fs.writeFileSync(queueFile, JSON.stringify([
+    { id: 'stale', type: 'text', threadId: THREAD_ID, payload: { text: 'stale' }, attempts: 1, nextAttemptAt: 0, createdAt: new Date(createdAt - 120000) },
+    { id: 'fresh', type: 'text', threadId: THREAD_ID, payload: { text: 'fresh' }, attempts: 0, nextAttemptAt: 0, createdAt: new Date(createdAt) }
+  ]));
+
+  const attempts = [];
+  const queue = new OutboundQueue(async job => attempts.push(job.id), { ...options, queueFile });
+  await queue.initialize();
+  assert.equal(queue.getStats().pending, 2);
+  // Nothing is sent before start()
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepStrictEqual(attempts, []);
+
+  queue.start();
+  while (queue.getStats().pending > 0) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.deepStrictEqual(attempts, ['fresh']);
+  assert.equal(queue.getStats().failed[0].reason, 'expired');
+
+  // The file is rewritten without the finished jobs
+  await queue.writing;
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(queueFile, 'utf8')), []);
+});
+
+test('clear drops the jobs of one thread, flush retries waiting jobs right away', { timeout: 10000 }, async () => {
+  let failing = true;
+  const { queue, attempts } = createQueue(() => {
+    if (failing) throw new Error('Network error');
+    return {};
+  }, { retryBaseMs: 60000, retryMaxMs: 60000 });
+
+  const waiting = await queue.enqueue('text', THREAD_ID, { text: 'waiting' });
+  const dropped = await queue.enqueue('text', OTHER_THREAD_ID, { text: 'dropped' });
+  while (attempts.length < 2) await new Promise(resolve => setTimeout(resolve, 10));
+
+  assert.equal(queue.clear(OTHER_THREAD_ID), 1);
+  assert.equal(await dropped.done, false);
+  assert.equal(queue.getStats().retrying, 1);
+
+  failing = false;
+  assert.equal(queue.flush(), 1);
+  assert.deepStrictEqual(await waiting.done, {});
+  assert.deepStrictEqual(attempts, ['text:waiting#1', 'text:dropped#1', 'text:waiting#2']);
+});
@@ -0,0 +1,111 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { PermissionManager, roleLevel, ROLES } from '../src/core/permission-manager.js';
+
+const THREAD_ID = '340282366841710300949128100000001';
+const OTHER_THREAD_ID = '340282366841710300949128100000002';
+
+// Assignments stay in memory, the tests don't need MongoDB
+config.database.enabled = false;
+
+// Looks usernames up in `pks` instead of on Instagram
+function createPermissions(pks = {}) {
+  return new PermissionManager({
+    user: {
+      getIdByUsername: async username => {
+        if (!(username in pks)) throw new Error(`User not found: ${username}`);
+        return pks[username];
+      }
+    }
+  });
+}
+
+test('ADMIN_USERS roles are revoked once the username is no longer listed', async () => {
+  const permissions = createPermissions({ alice: 1000000001, bob: 1000000002 });
+  config.admin.users = ['alice', 'bob'];
+  await permissions.importAdminUsers();
+  assert.equal(permissions.getRole('1000000002'), 'admin');
+
+  // A role given on purpose stays, whatever the list says
+  await permissions.assign('1000000003', 'admin', { username: 'carol', grantedBy: 'alice' });
+
+  config.admin.users = ['alice'];
+  await permissions.importAdminUsers();
+  assert.equal(permissions.getRole('1000000001'), 'admin');
+  assert.equal(permissions.getRole('1000000002'), 'user');
+  assert.equal(permissions.getRole('1000000003'), 'admin');
+});
+
+test('roles are ordered from banned to owner', () => {
+  assert.ok(roleLevel('banned') < roleLevel('user'));
+  assert.ok(roleLevel('moderator') < roleLevel('admin'));
+  assert.equal(roleLevel('owner'), ROLES.length - 1);
+  assert.throws(() => roleLevel('superuser'), /Unknown role: superuser/);
+});
+
+test('the higher of the global and thread role applies in a thread', async () => {
+  const permissions = createPermissions();
+  await permissions.assign('1000000001', 'trusted');
+  await permissions.assign('1000000001', 'moderator', { threadId: THREAD_ID });
+
+  assert.equal(permissions.getRole('1000000001', THREAD_ID), 'moderator');
+  assert.equal(permissions.getRole('1000000001', OTHER_THREAD_ID), 'trusted');
+  assert.equal(permissions.getRole('1000000001'), 'trusted');
+  assert.ok(permissions.hasRole(1000000001, THREAD_ID, 'moderator'));
+  assert.ok(!permissions.hasRole(1000000001, OTHER_THREAD_ID, 'moderator'));
+  // A lower thread role doesn't take away the global one
+  await permissions.assign('1000000001', 'user', { threadId: OTHER_THREAD_ID });
+  assert.equal(permissions.getRole('1000000001', OTHER_THREAD_ID), 'trusted');
+  // Unknown users are plain users
+  assert.equal(permissions.getRole('1000000099', THREAD_ID), 'user');
+});
+
+test('a ban in either scope wins', async () => {
+  const permissions = createPermissions();
+  await permissions.assign('1000000001', 'admin');
+  await permissions.assign('1000000001', 'banned', { threadId: THREAD_ID });
+  await permissions.assign('1000000002', 'banned');
+  await permissions.assign('1000000002', 'admin', { threadId: THREAD_ID });
+
+  assert.equal(permissions.getRole('1000000001', THREAD_ID), 'banned');
+  assert.equal(permissions.getRole('1000000001', OTHER_THREAD_ID), 'admin');
+  assert.equal(permissions.getRole('1000000002', THREAD_ID), 'banned');
+  assert.ok(!permissions.hasRole('1000000002', THREAD_ID, 'user'));
+});
+
+test('owners come from OWNER_IDS and outrank any stored role', async () => {
+  const permissions = createPermissions();
+  config.admin.ownerIds = ['1000000001'];
+  await permissions.assign('1000000001', 'banned');
+
+  assert.equal(permissions.getRole(1000000001, THREAD_ID), 'owner');
+  config.admin.ownerIds = [];
+});
+
+test('revoking a thread role leaves the global one', async () => {
+  const permissions = createPermissions();
+  await permissions.assign('1000000001', 'trusted');
+  await permissions.assign('1000000001', 'admin', { threadId: THREAD_ID });
+
+  assert.deepStrictEqual(permissions.getAssignments('1000000001').map(assignment => assignment.role), ['trusted', 'admin']);
+  assert.equal(await permissions.revoke('1000000001', { threadId: THREAD_ID }), true);
+  assert.equal(await permissions.revoke('1000000001', { threadId: THREAD_ID }), false);
+  assert.equal(permissions.getRole('1000000001', THREAD_ID), 'trusted');
+});
+
+test('usernames are resolved once, numeric ids are taken as they are', async () => {
+  let lookups = 0;
+  const permissions = createPermissions({ alice: 1000000001 });
+  const getIdByUsername = permissions.ig.user.getIdByUsername;
+  permissions.ig.user.getIdByUsername = username => {
+    lookups++;
+    return getIdByUsername(username);
+  };
+
+  assert.equal(await permissions.resolveUserId('Alice'), '1000000001');
+  assert.equal(await permissions.resolveUserId('alice'), '1000000001');
+  assert.equal(await permissions.resolveUserId('1000000042'), '1000000042');
+  assert.equal(lookups, 1);
+  await assert.rejects(permissions.resolveUserId('nobody'), /User not found/);
+});
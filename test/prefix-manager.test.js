@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { PrefixManager, validatePrefix } from '../src/core/prefix-manager.js';
+
+const THREAD_ID = '340282366841710300949128100000001';
+
+// Overrides stay in memory, the tests don't need MongoDB
+config.database.enabled = false;
+
+test('symbols of up to three characters are valid prefixes', () => {
+  for (const prefix of ['.', '!', '!!', '>>>', '/', '$', '~', '¿']) {
+    assert.equal(validatePrefix(prefix), null, prefix);
+  }
+});
+
+test('words, spaces and long or empty prefixes are refused', () => {
+  assert.equal(validatePrefix(''), '"" must be 1 to 3 characters');
+  assert.equal(validatePrefix(undefined), '"undefined" must be 1 to 3 characters');
+  assert.equal(validatePrefix('!!!!'), '"!!!!" must be 1 to 3 characters');
+  assert.equal(validatePrefix('! '), '"! " must not contain spaces');
+  assert.equal(validatePrefix('a'), '"a" must not start with a letter or digit');
+  assert.equal(validatePrefix('1!'), '"1!" must not start with a letter or digit');
+  // Letters of other scripts are words too
+  assert.equal(validatePrefix('é'), '"é" must not start with a letter or digit');
+  assert.equal(validatePrefix('ж!'), '"ж!" must not start with a letter or digit');
+});
+
+test('invalid prefixes from the config are ignored', () => {
+  assert.deepStrictEqual(new PrefixManager({ prefixes: ['the', '!', 'a'] }).defaultPrefixes, ['!']);
+  assert.deepStrictEqual(new PrefixManager({ prefixes: ['hey'] }).defaultPrefixes, ['.']);
+});
+
+test('the longest matching prefix wins and punctuation after it is not a command', async () => {
+  const prefixes = new PrefixManager({ prefixes: ['!', '!!'], mentionPrefix: true });
+
+  assert.deepStrictEqual(prefixes.match('!ping', THREAD_ID), { prefix: '!', body: 'ping' });
+  assert.deepStrictEqual(prefixes.match('!!ping  ', THREAD_ID), { prefix: '!!', body: 'ping' });
+  assert.equal(prefixes.match('!!!', THREAD_ID), null);
+  assert.equal(prefixes.match('! ping', THREAD_ID), null);
+  assert.deepStrictEqual(prefixes.match('@Relay_Bot: ping', THREAD_ID, 'relay_bot'), { prefix: '@Relay_Bot ', body: 'ping' });
+  assert.equal(prefixes.match('@someone ping', THREAD_ID, 'relay_bot'), null);
+
+  await prefixes.setThreadPrefixes(THREAD_ID, ['?']);
+  assert.equal(prefixes.match('!ping', THREAD_ID), null);
+  assert.deepStrictEqual(prefixes.match('?ping', THREAD_ID), { prefix: '?', body: 'ping' });
+  await prefixes.resetThreadPrefixes(THREAD_ID);
+  assert.deepStrictEqual(prefixes.getPrefixes(THREAD_ID), ['!', '!!']);
+});
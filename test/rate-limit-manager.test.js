@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { RateLimitManager } from '../src/core/rate-limit-manager.js';
+
+const THREAD_ID = '340282366841710300949128100000001';
+
+// Windows stay in memory, the tests don't need MongoDB
+config.database.enabled = false;
+
+const options = {
+  enabled: true,
+  user: { max: 3, windowMs: 60000 },
+  command: { max: 2, windowMs: 60000 },
+  thread: { max: 10, windowMs: 60000 },
+  send: { max: 30, windowMs: 60000 },
+  notice: { max: 1, windowMs: 60000 }
+};
+
+function message(sender, senderUsername = 'jane.doe') {
+  return { sender, senderUsername, threadId: THREAD_ID };
+}
+
+test('commands are limited per command before the user window', async () => {
+  const limits = new RateLimitManager(options);
+  const jane = message(1000000042);
+
+  assert.equal(await limits.checkCommand(jane, 'ping', {}), null);
+  assert.equal(await limits.checkCommand(jane, 'ping', {}), null);
+  const limited = await limits.checkCommand(jane, 'ping', {});
+  assert.equal(limited.scope, 'command');
+  assert.ok(limited.retryAfterMs > 0 && limited.retryAfterMs <= 60000);
+
+  assert.equal(await limits.checkCommand(jane, 'help', {}), null);
+  assert.equal((await limits.checkCommand(jane, 'status', {})).scope, 'user');
+  // Other users have their own windows
+  assert.equal(await limits.checkCommand(message(1000000043), 'ping', {}), null);
+});
+
+test('a command can override or opt out of its window', async () => {
+  const limits = new RateLimitManager({ ...options, user: false });
+  const jane = message(1000000042);
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await limits.checkCommand(jane, 'queue', { rateLimit: false }), null);
+  }
+  assert.equal(await limits.checkCommand(jane, 'roll', { rateLimit: { max: 1, windowMs: 1000 } }), null);
+  assert.equal((await limits.checkCommand(jane, 'roll', { rateLimit: { max: 1, windowMs: 1000 } })).scope, 'command');
+});
+
+test('limits follow the pk, not the username', async () => {
+  const limits = new RateLimitManager(options);
+
+  await limits.checkCommand(message(1000000042, 'jane.doe'), 'ping', {});
+  await limits.checkCommand(message(1000000042, 'jane.doe'), 'ping', {});
+  assert.equal((await limits.checkCommand(message(1000000042, 'jane.renamed'), 'ping', {})).scope, 'command');
+  // A new account taking the old username starts fresh
+  assert.equal(await limits.checkCommand(message(1000000099, 'jane.doe'), 'ping', {}), null);
+
+  // The refused command isn't counted
+  assert.equal(limits.getUsage('1000000042').user, 2);
+  assert.deepStrictEqual(limits.getUsage('1000000042').commands, [{ command: 'ping', hits: 2 }]);
+});
+
+test('bypassed users and disabled limits are never limited', async () => {
+  const limits = new RateLimitManager(options);
+  await limits.setBypass('1000000042', true);
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await limits.checkCommand(message(1000000042), 'ping', {}), null);
+    assert.equal(await limits.allowNotice(message(1000000042)), true);
+  }
+  assert.equal(limits.getUsage('1000000042').bypassed, true);
+
+  const disabled = new RateLimitManager({ ...options, enabled: false });
+  for (let i = 0; i < 5; i++) {
+    assert.equal(await disabled.checkCommand(message(1000000042), 'ping', {}), null);
+  }
+});
+
+test('notices go out once per user per window', async () => {
+  const limits = new RateLimitManager(options);
+
+  assert.equal(await limits.allowNotice(message(1000000042)), true);
+  assert.equal(await limits.allowNotice(message(1000000042)), false);
+  assert.equal(await limits.allowNotice(message(1000000042, 'jane.renamed')), false);
+  assert.equal(await limits.allowNotice(message(1000000043)), true);
+});
+
+test('reset clears the windows of one user or of everyone', async () => {
+  const limits = new RateLimitManager(options);
+  await limits.checkCommand(message(1000000042), 'ping', {});
+  await limits.allowNotice(message(1000000042));
+  await limits.checkCommand(message(1000000043), 'ping', {});
+
+  assert.equal(await limits.reset('1000000042'), 3);
+  assert.equal(limits.getUsage('1000000042').user, 0);
+  assert.equal(limits.getUsage('1000000043').user, 1);
+  assert.ok(await limits.reset() > 0);
+  assert.deepStrictEqual(limits.limiter.keys(), []);
+});
+
+test('windows of users who stopped sending are swept', async () => {
+  const limits = new RateLimitManager(options);
+  const twoMinutesAgo = Date.now() - 120000;
+  limits.limiter.hit('user:1000000042', twoMinutesAgo);
+  limits.limiter.hit('command:ping:1000000042', twoMinutesAgo);
+  await limits.checkCommand(message(1000000043), 'ping', {});
+
+  // Nothing is swept until the interval passed
+  limits.sweep();
+  assert.equal(limits.limiter.keys().length, 5);
+  limits.sweep(Date.now() + 10 * 60000);
+  assert.deepStrictEqual(limits.limiter.keys().sort(), ['command:ping:1000000043', `thread:${THREAD_ID}`, 'user:1000000043']);
+
+  // Windows of commands with a longer window of their own are kept as long
+  await limits.checkCommand(message(1000000043), 'digest', { rateLimit: { max: 1, windowMs: 600000 } });
+  limits.limiter.hit('command:digest:1000000042', twoMinutesAgo);
+  limits.sweep(Date.now() + 20 * 60000);
+  assert.ok(limits.limiter.keys().includes('command:digest:1000000042'));
+});
+
+test('sends wait for the global budget', { timeout: 10000 }, async () => {
+  const limits = new RateLimitManager({ ...options, send: { max: 2, windowMs: 300 } });
+
+  const startedAt = Date.now();
+  await limits.acquireSendSlot();
+  await limits.acquireSendSlot();
+  assert.ok(Date.now() - startedAt < 300);
+  await limits.acquireSendSlot();
+  assert.ok(Date.now() - startedAt >= 250, 'sent before the window passed');
+  assert.equal(limits.getSendUsage().sent, 1);
+});
@@ -0,0 +1,171 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { InstagramRealtimeBot } from '../src/core/realtime-bot.js';
+
+const BOT_ID = '1000000001';
+const USER_ID = '1000000042';
+const THREAD_ID = '340282366841710300949128100000001';
+
+// Cursors stay in memory, the tests don't need MongoDB
+config.database.enabled = false;
+
+const thread = {
+  thread_id: THREAD_ID,
+  thread_title: 'Weekend trip',
+  is_group: false,
+  users: [{ pk: Number(USER_ID), username: 'jane.doe', full_name: 'Jane' }]
+};
+
+// Items newer than the bot's start, so the thread's floor doesn't cover them
+const startedAt = Date.now() * 1000;
+function item(n, text) {
+  return { item_id: `3191958372894720000000000000${n}`, user_id: Number(USER_ID), timestamp: String(startedAt + n * 1000000), item_type: 'text', text };
+}
+
+/**
+ * A bot without connections: the thread feed returns `feedItems`, thread lookups
+ * return the thread and handled messages are collected in `handled`.
+ */
+function createBot(feedItems, { onFeedRead = () => {}, onHandle = () => {} } = {}) {
+  const bot = new InstagramRealtimeBot();
+  const handled = [];
+  Object.defineProperty(bot.ig.state, 'cookieUserId', { value: BOT_ID });
+  bot.ig.feed.directThread = () => ({
+    items: async () => {
+      await onFeedRead(bot);
+      // newest first, like the feed
+      return [...feedItems].reverse();
+    },
+    isMoreAvailable: () => false
+  });
+  bot.ig.entity.directThread = () => ({
+    info: async () => thread,
+    broadcastText: async text => {
+      bot.httpSends.push(text);
+      return { item_id: 'http-item', timestamp: String(startedAt) };
+    }
+  });
+  bot.httpSends = [];
+  bot.messageHandler = {
+    handleMessage: async message => {
+      handled.push(message.text);
+      await onHandle(bot, message);
+    }
+  };
+  return { bot, handled };
+}
+
+function realtimeItem(bot, message) {
+  return bot.handleRealtimeMessage({ message: { ...message, thread_id: THREAD_ID, path: `/direct_v2/threads/${THREAD_ID}/items/${message.item_id}` } });
+}
+
+test('a realtime item arriving during a backfill is handled after the whole batch', { timeout: 10000 }, async () => {
+  const missed = [item(1, 'one'), item(2, 'two'), item(3, 'three')];
+  let live;
+  const { bot, handled } = createBot(missed, {
+    onHandle: (bot, message) => {
+      // Arrives while the first backfilled item is handled
+      if (message.text === 'one') live = realtimeItem(bot, item(4, 'four'));
+    }
+  });
+
+  assert.equal(await bot.checkThreadMessages(thread), 3);
+  await live;
+  assert.deepStrictEqual(handled, ['one', 'two', 'three', 'four']);
+});
+
+test('missed items older than a realtime item handled before the backfill are not dropped', { timeout: 10000 }, async () => {
+  const missed = [item(1, 'one'), item(2, 'two')];
+  let live;
+  const { bot, handled } = createBot(missed, {
+    // Arrives while the backfill reads the thread and moves the cursor past the missed items
+    onFeedRead: async bot => {
+      live = realtimeItem(bot, item(3, 'three'));
+      await live;
+    }
+  });
+
+  await bot.checkThreadMessages(thread);
+  await live;
+  assert.deepStrictEqual(handled, ['three', 'one', 'two']);
+  assert.equal(bot.tracker.getCursor(THREAD_ID).itemId, item(3).item_id);
+
+  // Replays of any of them are still skipped
+  await realtimeItem(bot, item(2, 'two'));
+  assert.deepStrictEqual(handled, ['three', 'one', 'two']);
+});
+
+/**
+ * A bot connected to a stand-in for the realtime client's direct commands. `answer`
+ * is what the server publishes on /ig_send_message_response for a sent item.
+ */
+function connectRealtime(bot, { answer, publishError } = {}) {
+  bot.setupRealtimeListeners();
+  bot.isRealtimeConnected = true;
+  bot.sendResponseTimeoutMs = 200;
+  bot.ig.realtime.direct = {
+    sendItem: async ({ clientContext }) => {
+      if (publishError) throw publishError;
+      const data = answer?.(clientContext);
+      // The answer may arrive before the PUBACK
+      if (data) bot.ig.realtime.emit('receive', { id: '133', path: '/ig_send_message_response' }, [{ data }]);
+    }
+  };
+}
+
+function textJob(id) {
+  return { id, type: 'text', threadId: THREAD_ID, payload: { text: 'hello' }, attempts: 0 };
+}
+
+test('realtime sends resolve with the item the server answered with', { timeout: 10000 }, async () => {
+  const { bot } = createBot([]);
+  connectRealtime(bot, {
+    answer: clientContext => ({
+      action: 'item_ack',
+      status: 'ok',
+      payload: { client_context: clientContext, item_id: '31919583728947200000000000000042', timestamp: '1729000000000000', thread_id: THREAD_ID }
+    })
+  });
+
+  assert.deepStrictEqual(await bot.performAction(textJob('job-1')), {
+    itemId: '31919583728947200000000000000042',
+    timestamp: '1729000000000000',
+    via: 'realtime'
+  });
+  assert.deepStrictEqual(bot.httpSends, []);
+  assert.equal(bot.pendingSends.size, 0);
+});
+
+test('items the server refuses are sent over HTTP', { timeout: 10000 }, async () => {
+  const { bot } = createBot([]);
+  connectRealtime(bot, {
+    answer: clientContext => ({ action: 'item_ack', status: 'fail', status_code: '400', payload: { client_context: clientContext, message: 'Not allowed' } })
+  });
+
+  assert.deepStrictEqual(await bot.performAction(textJob('job-2')), { itemId: 'http-item', timestamp: String(startedAt), via: 'http' });
+  assert.deepStrictEqual(bot.httpSends, ['hello']);
+});
+
+test('answers to other items are ignored and a send without an answer is left to the queue', { timeout: 10000 }, async () => {
+  const { bot } = createBot([]);
+  connectRealtime(bot, {
+    answer: () => ({ action: 'item_ack', status: 'ok', payload: { client_context: 'someone-else', item_id: '1' } })
+  });
+
+  await assert.rejects(bot.performAction(textJob('job-3')), { name: 'SendResponseTimeoutError' });
+  // The outcome is unknown, resending over HTTP could post the item twice
+  assert.deepStrictEqual(bot.httpSends, []);
+  assert.equal(bot.pendingSends.size, 0);
+});
+
+test('a publish cut off by a disconnect is sent over HTTP', { timeout: 10000 }, async () => {
+  const { bot } = createBot([]);
+  const publishError = new Error('The stream ended');
+  publishError.name = 'EndOfStreamError';
+  connectRealtime(bot, { publishError });
+
+  assert.equal((await bot.performAction(textJob('job-4'))).via, 'http');
+  assert.deepStrictEqual(bot.httpSends, ['hello']);
+  assert.equal(bot.pendingSends.size, 0);
+});
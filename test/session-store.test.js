@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { config } from '../src/config.js';
+import { createSessionStore, FileSessionStore, MemorySessionStore } from '../src/core/session-store.js';
+
+// The mongo storage must be refused before connecting
+config.database.enabled = true;
+
+const options = { secret: '', keepVersions: 5, stateFile: './session/test-state.json' };
+
+test('the mongo and file storage refuse to start without a secret', async () => {
+  for (const storage of ['mongo', 'file', '']) {
+    await assert.rejects(createSessionStore({ ...options, storage }), /SESSION_SECRET is not set/);
+  }
+});
+
+test('readable sessions are saved only when allowed', async () => {
+  assert.ok(await createSessionStore({ ...options, storage: 'file', allowPlaintext: true }) instanceof FileSessionStore);
+  // Nothing outlives the process in memory
+  assert.ok(await createSessionStore({ ...options, storage: 'memory' }) instanceof MemorySessionStore);
+});
+
+test('a secret encrypts the saved state', async () => {
+  const store = await createSessionStore({ ...options, secret: 'a long random string', storage: 'file' });
+  assert.ok(store instanceof FileSessionStore);
+  assert.ok(store.cipher);
+});
@@ -0,0 +1,235 @@
+import { afterEach, beforeEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { config } from '../src/config.js';
+import { TelegramBridge } from '../src/tg-bridge/bridge.js';
+
+const CHAT_ID = '-1001234567890';
+const THREAD_ID = '340282366841710300949128100000001';
+const ADMIN = { id: 700000001, is_bot: false, first_name: 'Admin', username: 'relay_admin' };
+
+// Topic mappings stay in memory, the tests don't need MongoDB
+config.database.enabled = false;
+
+/**
+ * Minimal Telegram Bot API: records every call, answers with plausible results
+ * and hands out queued updates to getUpdates long polls.
+ */
+class FakeBotApi {
+  constructor() {
+    this.calls = [];
+    this.failures = new Map(); // method -> queued error responses
+    this.updates = [];
+    this.updateId = 1;
+    this.messageId = 100;
+    this.topicId = 10;
+    this.waitingPoll = null;
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  // The next `method` call fails with `response` instead of succeeding
+  fail(method, response) {
+    if (!this.failures.has(method)) this.failures.set(method, []);
+    this.failures.get(method).push(response);
+  }
+
+  // Queues a message in the group for the next getUpdates, returns its message_id
+  pushMessage(message) {
+    const messageId = this.messageId++;
+    this.updates.push({
+      update_id: this.updateId++,
+      message: { message_id: messageId, date: Math.floor(Date.now() / 1000), chat: { id: Number(CHAT_ID), type: 'supergroup', is_forum: true }, from: ADMIN, ...message }
+    });
+    this.waitingPoll?.();
+    return messageId;
+  }
+
+  callsOf(method) {
+    return this.calls.filter(call => call.method === method).map(call => call.params);
+  }
+
+  async handle(req, res) {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const method = req.url.split('/').pop();
+    const params = body ? JSON.parse(body) : {};
+    this.calls.push({ method, params });
+
+    const send = data => {
+      res.writeHead(data.ok ? 200 : data.error_code, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    const failure = this.failures.get(method)?.shift();
+    if (failure) return send({ ok: false, ...failure });
+
+    switch (method) {
+      case 'getMe':
+        return send({ ok: true, result: { id: 600000001, is_bot: true, first_name: 'Relay', username: 'relay_bot' } });
+      case 'createForumTopic':
+        return send({ ok: true, result: { message_thread_id: this.topicId++, name: params.name, icon_color: 7322096 } });
+      case 'sendMessage':
+        return send({ ok: true, result: { message_id: this.messageId++, message_thread_id: params.message_thread_id, chat: { id: Number(CHAT_ID) }, text: params.text } });
+      case 'getUpdates': {
+        // Long poll until an update is queued or the poll timeout passes
+        if (!this.updates.length) {
+          await new Promise(resolve => {
+            const timer = setTimeout(resolve, (params.timeout || 0) * 1000);
+            this.waitingPoll = () => { clearTimeout(timer); resolve(); };
+            req.on('close', this.waitingPoll);
+          });
+          this.waitingPoll = null;
+        }
+        if (res.destroyed) return;
+        const updates = this.updates.filter(update => update.update_id >= (params.offset || 0));
+        this.updates = [];
+        return send({ ok: true, result: updates });
+      }
+      default:
+        return send({ ok: false, error_code: 404, description: 'Not Found' });
+    }
+  }
+}
+
+// Resolves with the next reply the bridge routes to Instagram
+function nextReply(bridge) {
+  return new Promise(resolve => bridge.onMessage(async reply => {
+    resolve(reply);
+    return true;
+  }));
+}
+
+function message(text) {
+  return { threadId: THREAD_ID, threadTitle: 'Weekend trip', senderUsername: 'jane.doe', senderDisplayName: 'Jane', text, type: 'text' };
+}
+
+let api;
+let bridge;
+
+beforeEach(async () => {
+  api = new FakeBotApi();
+  await api.start();
+  bridge = new TelegramBridge({ botToken: '123456:TEST', chatId: CHAT_ID, apiUrl: api.url, pollTimeout: 1, adminIds: [String(ADMIN.id)] });
+  await bridge.initialize();
+});
+
+afterEach(async () => {
+  await bridge.disconnect();
+  await api.stop();
+});
+
+test('messages of a new thread share one forum topic', { timeout: 10000 }, async () => {
+  const results = await Promise.all([bridge.forwardMessage(message('first')), bridge.forwardMessage(message('second'))]);
+
+  assert.deepStrictEqual(results, [true, true]);
+  const [topic] = api.callsOf('createForumTopic');
+  assert.equal(api.callsOf('createForumTopic').length, 1);
+  assert.equal(topic.name, 'Weekend trip');
+
+  const sent = api.callsOf('sendMessage');
+  assert.deepStrictEqual(sent.map(params => params.message_thread_id), [10, 10]);
+  assert.match(sent[0].text, /^👤 Jane \(@jane\.doe\)\n💬 Weekend trip\n\nfirst$/);
+});
+
+test('a deleted topic is recreated and remapped', { timeout: 10000 }, async () => {
+  await bridge.forwardMessage(message('before'));
+  api.fail('sendMessage', { error_code: 400, description: 'Bad Request: message thread not found' });
+
+  assert.equal(await bridge.forwardMessage(message('after')), true);
+  assert.deepStrictEqual(api.callsOf('sendMessage').map(params => params.message_thread_id), [10, 10, 11]);
+  assert.equal(bridge.threadToTopic.get(THREAD_ID), 11);
+  assert.equal(bridge.topicToThread.has(10), false);
+});
+
+test('flood control is waited out once', { timeout: 10000 }, async () => {
+  await bridge.forwardMessage(message('warm up'));
+  api.fail('sendMessage', { error_code: 429, description: 'Too Many Requests: retry after 1', parameters: { retry_after: 1 } });
+
+  const startedAt = Date.now();
+  assert.equal(await bridge.forwardMessage(message('limited')), true);
+  assert.ok(Date.now() - startedAt >= 1000, 'retried before retry_after passed');
+  assert.deepStrictEqual(api.callsOf('sendMessage').slice(1).map(params => params.text.split('\n').pop()), ['limited', 'limited']);
+
+  // A second 429 in a row is given up on
+  api.fail('sendMessage', { error_code: 429, description: 'Too Many Requests: retry after 1', parameters: { retry_after: 1 } });
+  api.fail('sendMessage', { error_code: 429, description: 'Too Many Requests: retry after 1', parameters: { retry_after: 1 } });
+  assert.equal(await bridge.forwardMessage(message('dropped')), false);
+});
+
+test('replies in a topic are routed to its Instagram thread', { timeout: 10000 }, async () => {
+  await bridge.forwardMessage(message('hello'));
+  const routed = nextReply(bridge);
+
+  // Other chats, unmapped topics, bots and members who aren't admins are ignored
+  api.pushMessage({ chat: { id: -1009999, type: 'supergroup' }, message_thread_id: 10, text: 'other chat' });
+  api.pushMessage({ message_thread_id: 77, text: 'unmapped topic' });
+  api.pushMessage({ message_thread_id: 10, from: { id: 600000002, is_bot: true, first_name: 'Other' }, text: 'from a bot' });
+  api.pushMessage({ message_thread_id: 10, from: { id: 700000002, is_bot: false, first_name: 'Member' }, text: 'from a member' });
+  api.pushMessage({ message_thread_id: 10, text: 'see you there' });
+
+  const reply = await routed;
+  assert.deepStrictEqual(
+    { type: reply.type, threadId: reply.threadId, text: reply.text, from: reply.from },
+    { type: 'telegram_reply', threadId: THREAD_ID, text: 'see you there', from: 'relay_admin' }
+  );
+});
+
+test('replies are not relayed without admins', { timeout: 10000 }, async () => {
+  await bridge.forwardMessage(message('hello'));
+  bridge.adminIds.clear();
+  const relayed = [];
+  bridge.onMessage(async reply => relayed.push(reply.text));
+
+  api.pushMessage({ message_thread_id: 10, text: 'see you there' });
+  // The bridge polls again once it handled the update
+  while (api.callsOf('getUpdates').at(-1)?.offset !== api.updateId) await new Promise(resolve => setTimeout(resolve, 20));
+  assert.deepStrictEqual(relayed, []);
+});
+
+test('undelivered replies are answered in their topic', { timeout: 10000 }, async () => {
+  await bridge.forwardMessage(message('hello'));
+  const failed = new Promise(resolve => bridge.onMessage(async () => {
+    resolve();
+    return false;
+  }));
+
+  const messageId = api.pushMessage({ message_thread_id: 10, text: 'will not arrive' });
+  await failed;
+
+  // notifyFailure runs right after the handler
+  while (api.callsOf('sendMessage').length < 2) await new Promise(resolve => setTimeout(resolve, 20));
+  const [, notice] = api.callsOf('sendMessage');
+  assert.equal(notice.message_thread_id, 10);
+  assert.equal(notice.reply_to_message_id, messageId);
+  assert.equal(notice.text, '⚠️ Failed to deliver message to Instagram');
+});
+
+test('questions are answered only by admins replying to them', { timeout: 10000 }, async () => {
+  const answer = bridge.askAdmin('🔐 Enter the code');
+  // The question is open once it was posted
+  while (!bridge.pendingQuestions.length) await new Promise(resolve => setTimeout(resolve, 20));
+  const question = { message_id: bridge.pendingQuestions[0].messageId, chat: { id: Number(CHAT_ID) }, text: '🔐 Enter the code' };
+
+  api.pushMessage({ text: '111111' });
+  api.pushMessage({ from: { id: 700000002, is_bot: false, first_name: 'Member' }, reply_to_message: question, text: '222222' });
+  api.pushMessage({ reply_to_message: question, text: ' 333333 ' });
+
+  assert.equal(await answer, '333333');
+  assert.equal(bridge.pendingQuestions.length, 0);
+});
+
+test('questions are refused without admins', { timeout: 10000 }, async () => {
+  bridge.adminIds.clear();
+  await assert.rejects(bridge.askAdmin('🔐 Enter the code'), /TG_ADMIN_IDS/);
+  assert.equal(api.callsOf('sendMessage').length, 0);
+});
@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fc from 'fast-check';
+// The library in src/*.ts as compiled by `npm run build`
+import { BufferReader, BufferWriter, ThriftSchema, ThriftSchemaError } from '../dist/index.js';
+
+const S = ThriftSchema;
+
+const Inner = S.struct({
+  id: S.field(1, S.i64()),
+  flag: S.field(2, S.bool())
+});
+
+const Item = S.struct({
+  name: S.field(1, S.string()),
+  count: S.field(2, S.i32()),
+  inner: S.field(3, S.list(Inner))
+});
+
+// One field of every type, ids chosen so both short (delta) and long field headers are written
+const Everything = S.struct({
+  bool: S.field(1, S.bool()),
+  byte: S.field(2, S.byte()),
+  i16: S.field(3, S.i16()),
+  i32: S.field(4, S.i32()),
+  i64: S.field(5, S.i64()),
+  double: S.field(6, S.double()),
+  string: S.field(7, S.string()),
+  binary: S.field(8, S.binary()),
+  list: S.field(9, S.list(S.i32())),
+  boolList: S.field(10, S.list(S.bool())),
+  set: S.field(11, S.set(S.string())),
+  map: S.field(12, S.map(S.i32(), S.string())),
+  stringMap: S.field(13, S.stringMap(S.i64())),
+  items: S.field(40, S.list(Item)),
+  itemsByName: S.field(300, S.map(S.string(), Item)),
+  nested: S.field(14, S.list(S.list(S.byte())))
+});
+
+// Values as decode() returns them: i64 as bigint, sets as Set, maps as Map
+const anyInner = fc.record({ id: fc.bigIntN(64), flag: fc.boolean() }, { requiredKeys: [] });
+const anyItem = fc.record(
+  {
+    name: fc.fullUnicodeString(),
+    count: fc.integer({ min: -0x80000000, max: 0x7fffffff }),
+    inner: fc.array(anyInner, { maxLength: 4 })
+  },
+  { requiredKeys: [] }
+);
+const anyValue = fc.record(
+  {
+    bool: fc.boolean(),
+    byte: fc.integer({ min: -0x80, max: 0x7f }),
+    i16: fc.integer({ min: -0x8000, max: 0x7fff }),
+    i32: fc.integer({ min: -0x80000000, max: 0x7fffffff }),
+    i64: fc.bigIntN(64),
+    double: fc.double(),
+    string: fc.fullUnicodeString(),
+    binary: fc.uint8Array({ maxLength: 40 }).map(bytes => Buffer.from(bytes)),
+    list: fc.array(fc.integer({ min: -0x80000000, max: 0x7fffffff }), { maxLength: 20 }),
+    boolList: fc.array(fc.boolean(), { maxLength: 20 }),
+    set: fc.uniqueArray(fc.fullUnicodeString(), { maxLength: 20 }).map(values => new Set(values)),
+    map: fc.uniqueArray(fc.tuple(fc.integer({ min: -0x80000000, max: 0x7fffffff }), fc.string()), {
+      selector: ([key]) => key,
+      maxLength: 10
+    }).map(entries => new Map(entries)),
+    stringMap: fc.dictionary(fc.string(), fc.bigIntN(64), { maxKeys: 10 }),
+    items: fc.array(anyItem, { maxLength: 4 }),
+    itemsByName: fc.uniqueArray(fc.tuple(fc.string(), anyItem), { selector: ([key]) => key, maxLength: 4 })
+      .map(entries => new Map(entries)),
+    nested: fc.array(fc.array(fc.integer({ min: -0x80, max: 0x7f }), { maxLength: 5 }), { maxLength: 5 })
+  },
+  { requiredKeys: [] }
+);
+
+test('every compact type survives encode and decode', () => {
+  fc.assert(fc.property(anyValue, value => {
+    assert.deepStrictEqual(Everything.decode(Everything.encode(value)), value);
+  }));
+});
+
+test('numbers and sets are accepted as i64 and set input', () => {
+  fc.assert(fc.property(fc.maxSafeInteger(), fc.uniqueArray(fc.string()), (i64, set) => {
+    const decoded = Everything.decode(Everything.encode({ i64, set }));
+    assert.equal(decoded.i64, BigInt(i64));
+    assert.deepStrictEqual(decoded.set, new Set(set));
+  }));
+});
+
+test('a truncated payload throws a ThriftSchemaError or decodes to the fields before the cut', () => {
+  fc.assert(fc.property(anyValue, fc.nat(), (value, cutAt) => {
+    const encoded = Everything.encode(value);
+    const full = Everything.decode(encoded);
+    const truncated = encoded.subarray(0, cutAt % encoded.length);
+
+    let partial;
+    try {
+      partial = Everything.decode(truncated);
+    } catch (e) {
+      assert.ok(e instanceof ThriftSchemaError, `expected a ThriftSchemaError, got ${e}`);
+      return;
+    }
+    // the top level stop may be missing, so a cut between two fields is a shorter struct
+    for (const [name, fieldValue] of Object.entries(partial)) {
+      assert.deepStrictEqual(fieldValue, full[name]);
+    }
+  }));
+});
+
+test('a payload cut inside a value names the field', () => {
+  const encoded = Everything.encode({ i32: 1, items: [{ name: 'truncated' }] });
+  assert.throws(() => Everything.decode(encoded.subarray(0, encoded.length - 4)), {
+    name: 'ThriftSchemaError',
+    path: 'items[0].name'
+  });
+});
+
+test('invalid values are refused with their path', () => {
+  const outOfRange = fc.oneof(
+    fc.integer({ min: Number.MIN_SAFE_INTEGER, max: -0x80000001 }),
+    fc.integer({ min: 0x80000000, max: Number.MAX_SAFE_INTEGER })
+  );
+  fc.assert(fc.property(outOfRange, n => {
+    assert.throws(() => Everything.encode({ items: [{ inner: [], count: n }] }), {
+      name: 'ThriftSchemaError',
+      path: 'items[0].count'
+    });
+  }));
+});
+
+test('ints and longs survive zigzag and varint encoding, negative ones included', () => {
+  fc.assert(fc.property(
+    fc.integer({ min: -0x8000, max: 0x7fff }),
+    fc.integer({ min: -0x80000000, max: 0x7fffffff }),
+    fc.bigIntN(64),
+    fc.integer({ min: 0, max: 0xffffffff }),
+    (word, int, long, varint) => {
+      const writer = BufferWriter.empty().writeWord(word).writeInt(int).writeLong(long).writeVarInt(varint);
+      const reader = new BufferReader(writer.buffer);
+      assert.equal(reader.readSmallInt(), word);
+      assert.equal(reader.readSmallInt(), int);
+      assert.equal(reader.readBigint().int, long);
+      assert.equal(reader.readVarInt(), varint);
+      assert.equal(reader.position, reader.length);
+    }
+  ));
+});
+
+test('BufferReader throws instead of reading past the end', () => {
+  fc.assert(fc.property(fc.uint8Array({ maxLength: 20 }), bytes => {
+    const reader = new BufferReader(Buffer.from(bytes));
+    for (const byte of bytes) assert.equal(reader.readByte(), byte);
+    assert.throws(() => reader.readByte(), RangeError);
+    assert.throws(() => reader.readDouble(), RangeError);
+    assert.equal(reader.position, bytes.length);
+  }));
+
+  // a varint whose continuation bit points past the end
+  assert.throws(() => new BufferReader(Buffer.from([0x80, 0x80])).readVarInt(), RangeError);
+});